@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Static site build CLI
+ *
+ * Generates a static copy of the web app from microsoft-customer-stories.json:
+ * a pre-rendered index.html that script.js enhances with search and filters,
+ * one page per story, one page per industry and per product, Atom and JSON
+ * feeds of the newest stories, and with `site.baseUrl` set, sitemap.xml and
+ * robots.txt. Every page works without JavaScript and carries Open Graph tags
+ * for link previews.
+ *
+ * Exit codes:
+ *   0 - the site was built
+ *   1 - the build failed
+ *   2 - invalid command line arguments
+ */
+const fs = require('fs');
+const path = require('path');
+
+const { DEFAULT_CONFIG_PATH, loadConfig } = require('./lib/config');
+const { buildSiteConfig } = require('./lib/site');
+const { buildStaticSite } = require('./lib/static-site');
+const { writeFeeds } = require('./lib/feeds');
+
+const USAGE = `Usage: node build-site.js [options]
+
+Options:
+  --config <path>     Config file (default: config.json)
+  --data <path>       Dataset to render (default: output.dataFile)
+  --out <path>        Output directory, emptied first (default: output.siteDirectory)
+  --base-url <url>    Public URL of the site (default: site.baseUrl)
+  --help              Show this message
+
+Without a base URL, sitemap.xml, robots.txt, canonical links and og:url/og:image are left out.`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {object} - Parsed options
+ */
+function parseArgs(argv) {
+  const options = {};
+  const valueFlags = {
+    '--config': 'config',
+    '--data': 'data',
+    '--out': 'out',
+    '--base-url': 'baseUrl'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+    if (valueFlags[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      options[valueFlags[flag]] = value;
+    } else if ((flag === '--help' || flag === '-h') && inlineValue === undefined) {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (options.baseUrl !== undefined && !/^https?:\/\//.test(options.baseUrl)) {
+    throw new Error(`--base-url must be an http(s) URL, got "${options.baseUrl}"`);
+  }
+
+  return options;
+}
+
+/**
+ * Build the static site
+ * @param {object} options - Parsed command line options
+ * @returns {object} - Build summary
+ */
+function run(options) {
+  const config = loadConfig(options.config ? path.resolve(options.config) : DEFAULT_CONFIG_PATH);
+  const output = config.output || {};
+  const dataFile = path.resolve(options.data || output.dataFile || 'microsoft-customer-stories.json');
+  const outDir = path.resolve(options.out || output.siteDirectory || '_site');
+  const rootDir = path.dirname(dataFile);
+
+  if (!fs.existsSync(dataFile)) {
+    throw new Error(`Dataset not found: ${dataFile}`);
+  }
+  const results = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+
+  // The extractor writes site.json; fall back to config.json when it has not run yet
+  const siteFile = path.join(rootDir, path.basename(output.siteFile || 'site.json'));
+  const site = fs.existsSync(siteFile) ?
+    JSON.parse(fs.readFileSync(siteFile, 'utf8')) :
+    buildSiteConfig(config, { rootDir });
+
+  const baseUrl = options.baseUrl || config.site?.baseUrl || '';
+  const feedOptions = config.site?.feeds || {};
+  if (feedOptions.enabled !== false && !feedOptions.idPrefix) {
+    console.warn('Feeds skipped: set site.feeds.idPrefix to a tag URI on a domain you own');
+  }
+  const feeds = feedOptions.enabled === false || !feedOptions.idPrefix ? null : {
+    feedFile: output.feedFile || 'feed.xml',
+    jsonFeedFile: output.jsonFeedFile || 'feed.json',
+    feedDirectory: output.feedDirectory || 'feeds',
+    perIndustry: feedOptions.perIndustry !== false,
+    perProduct: feedOptions.perProduct !== false
+  };
+
+  const summary = buildStaticSite(results, { rootDir, outDir, site, baseUrl, feeds });
+
+  // Written after the pages, since the build empties the output directory first
+  summary.feeds = feeds ? writeFeeds(results, {
+    directory: outDir,
+    site: config.site,
+    baseUrl,
+    feedFile: feeds.feedFile,
+    jsonFeedFile: feeds.jsonFeedFile,
+    feedDirectory: feeds.feedDirectory
+  }).length : 0;
+  return summary;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    const summary = run(options);
+    console.log(`Built ${summary.pages} pages (${summary.stories} stories, ${summary.industries} industries, ` +
+      `${summary.products} products), ${summary.feeds} feed files and copied ${summary.files} files`);
+    if (!summary.sitemap) {
+      console.warn('No base URL set (site.baseUrl or --base-url): sitemap.xml and absolute Open Graph URLs were skipped');
+    }
+    return 0;
+  } catch (error) {
+    console.error(`Site build failed: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = {
+  parseArgs,
+  run
+};
@@ -0,0 +1,638 @@
+#!/usr/bin/env node
+/**
+ * Microsoft Customer Stories extraction CLI
+ *
+ * Loads config.json, builds a search URL for each saved query in
+ * `extraction.queries` (or takes a single URL from --url / BASE_URL), walks the
+ * paginated results with Playwright in each locale of `extraction.locales`,
+ * links the translations of each story, combines the stories of all queries and
+ * merges them into the previous microsoft-customer-stories.json,
+ * downloads images for new or changed stories and writes the merged dataset
+ * along with a report of what changed since the previous run, the exports
+ * listed in `output.formats`, Atom and JSON feeds of the newest stories and
+ * the site config the web app reads its title and datasets from. The merged
+ * dataset is validated first and is not written when it fails the
+ * data-quality gate.
+ *
+ * Failed pages are retried with backoff. Progress is checkpointed after every
+ * results page and image batch, so `--resume` continues an interrupted run or
+ * retries the failures of a completed one, and the run ends with a summary of
+ * every page and image that still failed.
+ * Afterwards, successful or not, the run is reported to the channels
+ * configured under `notifications`.
+ *
+ * Exit codes:
+ *   0 - extraction succeeded
+ *   1 - extraction failed or found no stories
+ *   2 - invalid command line arguments
+ *   3 - results failed validation; previous results were left untouched
+ *   4 - results were written, but some pages or images failed (see the run summary)
+ */
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+
+const { DEFAULT_CONFIG_PATH, loadConfig } = require('./lib/config');
+const { extractAllStories, buildResults } = require('./lib/extractor');
+const { downloadStoryImages } = require('./lib/images');
+const { createStoryImageVariants } = require('./lib/image-variants');
+const { loadPreviousResults, hasLocalImages, mergeStories } = require('./lib/history');
+const { buildChangeReport, writeChangeReport } = require('./lib/changes');
+const { crawlStoryPages } = require('./lib/story-page');
+const { checkFormats, exportResults } = require('./lib/exporters');
+const { SCHEMA_VERSION, validateResults } = require('./lib/validation');
+const { addSelectorMatches, buildSelectorHealthReport } = require('./lib/selector-health');
+const { resolveQueries, combineQueryStories, isPartialRun, scopePreviousStories } = require('./lib/queries');
+const { buildStatistics } = require('./lib/statistics');
+const { buildSiteConfig } = require('./lib/site');
+const { writeFeeds } = require('./lib/feeds');
+const { buildNotificationContext, sendNotifications } = require('./lib/notifications');
+const { resolveLocales, toLocaleUrl, combineLocaleStories } = require('./lib/locales');
+const {
+  createCheckpoint,
+  loadCheckpoint,
+  saveCheckpoint,
+  finishCheckpoint,
+  buildRunSummary,
+  formatRunSummary
+} = require('./lib/checkpoint');
+
+// Options that shape a run; a resumed run takes them from its checkpoint
+const RUN_OPTIONS = ['url', 'queries', 'locales', 'maxPages', 'output', 'mediaDir', 'formats', 'listing', 'images', 'full', 'deep'];
+
+const USAGE = `Usage: node extract-microsoft-customers.js [options]
+
+Options:
+  --config <path>     Config file (default: config.json)
+  --url <url>         Search URL to extract instead of the configured queries
+  --query <names>     Comma-separated names of the extraction.queries to run (default: all)
+  --locales <codes>   Comma-separated locales to extract, primary first (default: extraction.locales)
+  --max-pages <n>     Maximum number of result pages per query (default: the query's maxPages)
+  --output <path>     Output JSON file (default: output.dataFile)
+  --media-dir <path>  Directory for downloaded images (default: output.mediaDirectory)
+  --formats <list>    Comma-separated export formats: json, csv, ndjson, excel (default: output.formats)
+  --listing <mode>    Read listings from the search page's data request (api) or its cards (dom)
+                      (default: api, or dom when extraction.api.enabled is false)
+  --no-images         Skip image downloads
+  --full              Re-process every story, including ones whose card data is unchanged
+  --deep              Visit each story page for its full content (default: extraction.deepCrawl.enabled)
+  --resume            Continue the interrupted run recorded in output.checkpointFile with its options
+  --no-notify         Do not send the notifications configured in config.json
+  --notify-dry-run    Print the notifications instead of sending them
+  --headed            Show the browser window
+  --help              Show this message
+
+The BASE_URL environment variable is used when --url is not given.
+Without --url or BASE_URL, every query in extraction.queries is run.
+--resume can only be combined with --config, --headed and the notification options.`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {object} - Parsed options
+ */
+function parseArgs(argv) {
+  const options = { images: true };
+  const valueFlags = {
+    '--config': 'config',
+    '--url': 'url',
+    '--query': 'queries',
+    '--locales': 'locales',
+    '--max-pages': 'maxPages',
+    '--output': 'output',
+    '--media-dir': 'mediaDir',
+    '--formats': 'formats',
+    '--listing': 'listing'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+    if (valueFlags[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      options[valueFlags[flag]] = value;
+    } else if (flag === '--no-images') {
+      options.images = false;
+    } else if (flag === '--deep') {
+      options.deep = true;
+    } else if (flag === '--full') {
+      options.full = true;
+    } else if (flag === '--headed') {
+      options.headed = true;
+    } else if (flag === '--resume') {
+      options.resume = true;
+    } else if (flag === '--no-notify') {
+      options.notify = false;
+    } else if (flag === '--notify-dry-run') {
+      options.notifyDryRun = true;
+    } else if (flag === '--help' || flag === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (options.maxPages !== undefined) {
+    const maxPages = parseInt(options.maxPages, 10);
+    if (!Number.isInteger(maxPages) || maxPages < 1) {
+      throw new Error(`--max-pages must be a positive integer, got "${options.maxPages}"`);
+    }
+    options.maxPages = maxPages;
+  }
+
+  if (options.listing !== undefined && !['api', 'dom'].includes(options.listing)) {
+    throw new Error(`--listing must be "api" or "dom", got "${options.listing}"`);
+  }
+
+  ['formats', 'queries', 'locales'].forEach(key => {
+    if (options[key] !== undefined) {
+      options[key] = options[key].split(',').map(value => value.trim()).filter(Boolean);
+    }
+  });
+  if (options.formats !== undefined) {
+    checkFormats(options.formats, '--formats');
+  }
+
+  if (options.resume && (options.images === false || RUN_OPTIONS.some(key => key !== 'images' && options[key] !== undefined))) {
+    throw new Error('--resume continues the interrupted run with its original options and can only be combined with --config, --headed and the notification options');
+  }
+
+  return options;
+}
+
+/**
+ * Build the selector health report, write it to `output.selectorHealthFile`
+ * and log the fields that need attention
+ * @param {object} inputs - Stories of this and the previous run, selector match counts and config
+ */
+function writeSelectorHealthReport({ stories, previousStories, selectorMatches, config }) {
+  const report = buildSelectorHealthReport({
+    stories,
+    previousStories,
+    selectorMatches,
+    selectors: config.selectors,
+    maxFillRateDrop: config.dataExtraction?.maxFillRateDrop
+  });
+  const reportFile = path.resolve(config.output?.selectorHealthFile || 'selector-health.json');
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+
+  if (report.healthy) {
+    console.log(`Selector health: all fields OK (${reportFile})`);
+  } else {
+    console.warn(`Selector health: ${report.flagged.length} field(s) need attention (${reportFile})`);
+    report.flagged.forEach(field => {
+      console.warn(`  ${field}: ${report.fields[field].warnings.join('; ')}`);
+    });
+  }
+}
+
+/**
+ * Write one dataset per query next to the combined dataset
+ * @param {Array<object>} stories - Merged stories of all queries
+ * @param {Array<object>} queryMetadata - Per-query run metadata
+ * @param {object} info - Output information
+ * @param {string} info.directory - Directory for the per-query files
+ * @param {string} info.extractionDate - ISO timestamp of the run
+ * @param {Array<object>} info.locales - Locales of the run
+ */
+function writeQueryDatasets(stories, queryMetadata, { directory, extractionDate, locales }) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  queryMetadata.forEach(query => {
+    const queryStories = stories.filter(story => (story.queries || []).includes(query.name));
+    const results = buildResults(queryStories, {
+      baseUrl: query.url,
+      pagesVisited: query.pagesVisited,
+      extractionDate,
+      queries: [query],
+      locales
+    });
+    const filePath = path.join(directory, `${query.name}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(results, null, 2));
+    console.log(`Query dataset saved to: ${filePath}`);
+  });
+}
+
+/**
+ * Run an extraction with the given options
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<{results: object, summary: object, report: object, runDate: string}>} - The results
+ *   document that was written, the run summary, the change report and the run date
+ */
+async function run(options) {
+  const config = loadConfig(options.config ? path.resolve(options.config) : DEFAULT_CONFIG_PATH);
+  const { browser: browserConfig = {} } = config.extraction;
+  const output = config.output || {};
+  const checkpointFile = path.resolve(output.checkpointFile || 'extraction-checkpoint.json');
+  // The exports are written last, so their formats are checked before anything is extracted
+  if (!options.formats) {
+    checkFormats(output.formats || [], 'output.formats');
+  }
+
+  let checkpoint;
+  if (options.resume) {
+    checkpoint = loadCheckpoint(checkpointFile);
+    if (!checkpoint) {
+      throw new Error(`There is no interrupted run to resume (${checkpointFile} not found)`);
+    }
+    options = { ...options, ...checkpoint.options };
+    console.log(`Resuming the run started ${checkpoint.startedAt} (last checkpoint ${checkpoint.updatedAt})`);
+  } else {
+    if (fs.existsSync(checkpointFile)) {
+      console.warn(`Starting a new run; the checkpoint of an interrupted run in ${checkpointFile} is replaced. Use --resume to continue it instead.`);
+    }
+    // BASE_URL is recorded so a resumed run extracts the same URL
+    const runOptions = { ...options, url: options.url || process.env.BASE_URL };
+    checkpoint = createCheckpoint({
+      startedAt: new Date().toISOString(),
+      options: Object.fromEntries(RUN_OPTIONS.filter(key => runOptions[key] !== undefined).map(key => [key, runOptions[key]]))
+    });
+    saveCheckpoint(checkpointFile, checkpoint);
+  }
+
+  const queries = resolveQueries(config.extraction, {
+    url: options.resume ? options.url : options.url || process.env.BASE_URL,
+    names: options.queries
+  });
+  const locales = resolveLocales(config.extraction, options.locales);
+  const dataFile = path.resolve(options.output || output.dataFile || 'microsoft-customer-stories.json');
+  const mediaDir = path.resolve(options.mediaDir || output.mediaDirectory || 'media');
+
+  queries.forEach(query => console.log(`Query "${query.name}": ${query.url}`));
+  if (locales.length > 0) {
+    console.log(`Locales: ${locales.map(locale => locale.code).join(', ')}`);
+  }
+
+  const runDate = checkpoint.startedAt;
+  const previous = loadPreviousResults(dataFile);
+  if (previous) {
+    console.log(`Loaded ${previous.stories.length} stories from previous run (${previous.metadata?.extractionDate})`);
+  }
+
+  const browser = await chromium.launch({
+    headless: options.headed ? false : browserConfig.headless !== false,
+    slowMo: browserConfig.slowMo || 0
+  });
+
+  const deepCrawl = options.deep || config.extraction.deepCrawl?.enabled === true;
+  const dataDir = path.dirname(dataFile);
+  const selectorMatches = {};
+  const queryResults = [];
+  const listingResults = [];
+
+  let stories;
+  let merged;
+  let storiesToProcess;
+  let outOfScope = [];
+  let storyPageFailures = [];
+  try {
+    const page = await browser.newPage();
+
+    for (const query of queries) {
+      // With extraction.locales, each query is run on every locale's search page
+      const runs = locales.length > 0 ?
+        locales.map(locale => ({ locale: locale.code, url: toLocaleUrl(query.url, locale.code) })) :
+        [{ locale: null, url: query.url }];
+      const localeResults = [];
+
+      for (const { locale, url } of runs) {
+        const runName = locale ? `"${query.name}" (${locale})` : `"${query.name}"`;
+        const runKey = locale ? `${query.name}@${locale}` : query.name;
+        console.log(`\n=== QUERY ${runName} ===`);
+        // A query's checkpoint only applies while its URL is unchanged
+        const saved = checkpoint.queries[runKey]?.url === url ? checkpoint.queries[runKey] : {};
+        let result = saved.result;
+        if (result) {
+          console.log(`Using ${result.stories.length} stories from ${result.pagesVisited} pages in the checkpoint`);
+        } else {
+          if (saved.progress) {
+            console.log(`Continuing from page ${saved.progress.nextPage} with ${saved.progress.stories.length} stories from the checkpoint`);
+          }
+          result = await extractAllStories(page, {
+            baseUrl: url,
+            config,
+            maxPages: options.maxPages || query.maxPages,
+            listing: options.listing,
+            resume: saved.progress,
+            onPage: progress => {
+              checkpoint.queries[runKey] = { url, progress };
+              saveCheckpoint(checkpointFile, checkpoint);
+            }
+          });
+          // A query that stopped at a failed page keeps its progress so a resumed run retries that page
+          if (!result.failedPage) {
+            checkpoint.queries[runKey] = { url, result };
+            saveCheckpoint(checkpointFile, checkpoint);
+          }
+        }
+        addSelectorMatches(selectorMatches, result.selectorMatches);
+        localeResults.push({ locale, url, ...result });
+        listingResults.push({ query, locale, ...result });
+        console.log(`Query ${runName}: ${result.stories.length} stories from ${result.pagesVisited} pages (${result.source})`);
+        if (result.totalResults !== null && result.stories.length < result.totalResults) {
+          console.warn(`Query ${runName} has ${result.totalResults} results; ${result.totalResults - result.stories.length} were not extracted (page limit or unreadable results)`);
+        }
+      }
+
+      const queryStories = locales.length > 0 ? combineLocaleStories(localeResults) : localeResults[0].stories;
+      if (locales.length > 1) {
+        const translated = queryStories.filter(story => Object.keys(story.locales).length > 1).length;
+        console.log(`Query "${query.name}": ${queryStories.length} stories, ${translated} of them in more than one locale`);
+      }
+      queryResults.push({ query, stories: queryStories, localeResults });
+    }
+
+    stories = combineQueryStories(queryResults);
+    const extractedCount = queryResults.reduce((sum, result) => sum + result.stories.length, 0);
+    if (extractedCount > stories.length) {
+      console.log(`${extractedCount - stories.length} stories were found by more than one query`);
+    }
+
+    writeSelectorHealthReport({
+      stories,
+      previousStories: previous ? previous.stories.filter(story => story.status !== 'removed') : [],
+      selectorMatches,
+      config
+    });
+
+    if (stories.length === 0) {
+      throw new Error('No stories were extracted. Check the URL and selectors in config.json.');
+    }
+
+    // A run of only some queries or of a custom URL, or a query that stopped at a failed page,
+    // must not mark the stories it did not reach as removed
+    let previousStories = previous ? previous.stories : [];
+    const completeQueryNames = queryResults
+      .filter(result => result.localeResults.every(localeResult => !localeResult.failedPage))
+      .map(result => result.query.name);
+    if (isPartialRun(queries, completeQueryNames, options.queries)) {
+      ({ inScope: previousStories, outOfScope } = scopePreviousStories(previousStories, stories, completeQueryNames));
+    }
+
+    merged = mergeStories(previousStories, stories, runDate);
+    merged.stories.push(...outOfScope);
+    storiesToProcess = merged.stories.filter(story =>
+      story.status !== 'removed' &&
+      !outOfScope.includes(story) &&
+      (options.full || !merged.unchangedIds.has(story.globalId) || !hasLocalImages(story, dataDir))
+    );
+    console.log(`${storiesToProcess.length} new or changed stories, ${merged.unchangedIds.size} unchanged`);
+
+    if (deepCrawl) {
+      // Unchanged stories are crawled again only if they have no details yet
+      const storiesToCrawl = merged.stories.filter(story =>
+        story.status !== 'removed' &&
+        !outOfScope.includes(story) &&
+        (options.full || !merged.unchangedIds.has(story.globalId) || !story.details || story.detailsError)
+      );
+      console.log(`\n=== CRAWLING ${storiesToCrawl.length} STORY PAGES ===`);
+      const { crawled, failed, failures } = await crawlStoryPages(page, storiesToCrawl, config);
+      storyPageFailures = failures;
+      console.log(`Crawled ${crawled} story pages, ${failed} failed`);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  let imageFailures = [];
+  if (options.images && storiesToProcess.length > 0) {
+    console.log(`\n=== DOWNLOADING IMAGES ===`);
+    ({ failed: imageFailures } = await downloadStoryImages(storiesToProcess, {
+      mediaDir,
+      publicPath: path.relative(dataDir, mediaDir).split(path.sep).join('/'),
+      timeout: config.extraction.timeouts?.navigation,
+      ...config.extraction.downloads,
+      // Images fetched before the interruption are not requested again
+      reuseSince: runDate,
+      onBatch: (summary, processed, total) => {
+        checkpoint.images = { processed, total, failed: summary.failed.length };
+        saveCheckpoint(checkpointFile, checkpoint);
+      }
+    }));
+  }
+
+  const imageVariants = config.extraction.imageVariants || {};
+  if (options.images && imageVariants.enabled !== false) {
+    // Covers unchanged stories too, so images downloaded before variants existed get them;
+    // variants that are newer than their source image are reused
+    console.log(`\n=== CREATING IMAGE VARIANTS ===`);
+    await createStoryImageVariants(
+      merged.stories.filter(story => story.status !== 'removed' && !outOfScope.includes(story)),
+      { rootDir: dataDir, sizes: imageVariants.sizes, webp: imageVariants.webp, quality: imageVariants.quality }
+    );
+  }
+
+  // The primary locale describes the query; every locale's run is listed under `locales`
+  const queryMetadata = queryResults.map(({ query, stories: queryStories, localeResults }) => ({
+    name: query.name,
+    label: query.label,
+    url: localeResults[0].url,
+    pagesVisited: localeResults.reduce((sum, result) => sum + result.pagesVisited, 0),
+    totalStories: queryStories.length,
+    totalResults: localeResults[0].totalResults,
+    source: localeResults[0].source,
+    ...(locales.length > 0 && {
+      locales: localeResults.map(result => ({
+        locale: result.locale,
+        url: result.url,
+        pagesVisited: result.pagesVisited,
+        totalStories: result.stories.length,
+        totalResults: result.totalResults,
+        source: result.source
+      }))
+    })
+  }));
+  const pagesVisited = queryMetadata.reduce((sum, query) => sum + query.pagesVisited, 0);
+
+  console.log(`\n=== PAGINATION EXTRACTION COMPLETE ===`);
+  console.log(`Total stories across ${pagesVisited} pages and ${queries.length} queries: ${stories.length}`);
+
+  const results = buildResults(merged.stories, {
+    baseUrl: queryMetadata[0].url,
+    pagesVisited,
+    extractionDate: runDate,
+    queries: queryMetadata,
+    locales
+  });
+  console.log(`Stories per page breakdown:`, results.metadata.storiesPerPage);
+  console.log(`New stories: ${results.metadata.newStories}, removed stories: ${results.metadata.removedStories}`);
+
+  results.metadata.schemaVersion = SCHEMA_VERSION;
+  const validation = validateResults(results, config.dataExtraction, { previousStories: previous ? previous.stories : [] });
+  const validationReportFile = path.resolve(output.validationReportFile || 'validation-report.json');
+  fs.writeFileSync(validationReportFile, JSON.stringify(validation, null, 2));
+  console.log(`Validation: ${validation.validStories}/${validation.activeStories} valid active stories, ` +
+    `${validation.duplicates} duplicates, quality score ${validation.qualityScore} (threshold ${validation.threshold})`);
+
+  if (!validation.passed) {
+    if (validation.activeStoryDrop > validation.maxActiveStoryDrop) {
+      console.error(`  Active stories dropped from ${validation.previousActiveStories} to ${validation.activeStories} ` +
+        `(${Math.round(validation.activeStoryDrop * 100)}%, at most ${Math.round(validation.maxActiveStoryDrop * 100)}% allowed)`);
+    }
+    validation.issues.slice(0, 10).forEach(issue => {
+      console.error(`  ${issue.globalId} ${issue.field}: ${issue.message}`);
+    });
+    const error = new Error(`Results failed validation, ${dataFile} was not updated. See ${validationReportFile}`);
+    error.exitCode = 3;
+    throw error;
+  }
+
+  fs.writeFileSync(dataFile, JSON.stringify(results, null, 2));
+  console.log(`Results saved to: ${dataFile}`);
+
+  // Statistics cover every configured query, not only the ones run this time
+  const configuredQueries = config.extraction.queries || [];
+  const knownQueries = [
+    ...configuredQueries,
+    ...queryMetadata.filter(query => !configuredQueries.some(configured => configured.name === query.name))
+  ];
+  const statistics = buildStatistics(merged.stories, {
+    generatedAt: runDate,
+    queries: knownQueries
+  });
+  const statisticsFile = path.resolve(output.statisticsFile || 'statistics.json');
+  fs.writeFileSync(statisticsFile, JSON.stringify(statistics, null, 2));
+  console.log('Stories per industry:', statistics.industries);
+  console.log('Stories per product:', statistics.products);
+  console.log(`Statistics saved to: ${statisticsFile}`);
+
+  if (output.queryDirectory) {
+    writeQueryDatasets(merged.stories, queryMetadata, {
+      directory: path.resolve(output.queryDirectory),
+      extractionDate: runDate,
+      locales
+    });
+  }
+
+  // The web app offers every per-query dataset on disk, including ones from earlier runs
+  const site = buildSiteConfig(config, {
+    dataFile,
+    queries: output.queryDirectory ?
+      knownQueries.filter(query => fs.existsSync(path.resolve(output.queryDirectory, `${query.name}.json`))) :
+      []
+  });
+  const siteFile = path.resolve(output.siteFile || 'site.json');
+  fs.writeFileSync(siteFile, JSON.stringify(site, null, 2));
+  console.log(`Site config saved to: ${siteFile}`);
+
+  if (config.site?.feeds?.enabled !== false && !config.site?.feeds?.idPrefix) {
+    console.warn('Feeds skipped: set site.feeds.idPrefix to a tag URI on a domain you own');
+  } else if (config.site?.feeds?.enabled !== false) {
+    const feedFiles = writeFeeds(results, {
+      directory: process.cwd(),
+      site: config.site,
+      baseUrl: config.site?.baseUrl || '',
+      feedFile: output.feedFile,
+      jsonFeedFile: output.jsonFeedFile,
+      feedDirectory: output.feedDirectory
+    });
+    console.log(`Feeds saved to: ${feedFiles.slice(0, 2).join(' and ')}` +
+      (feedFiles.length > 2 ? ` (and ${feedFiles.length - 2} per-industry and per-product files)` : ''));
+  }
+
+  const report = buildChangeReport(previous ? previous.stories : [], merged.stories, {
+    generatedAt: runDate,
+    previousExtractionDate: previous?.metadata?.extractionDate || null
+  });
+  const changesFile = path.resolve(output.changesFile || 'changes.json');
+  const changesSummaryFile = path.resolve(output.changesSummaryFile || 'changes.md');
+  writeChangeReport(report, { jsonPath: changesFile, markdownPath: changesSummaryFile });
+  console.log(`Change report saved to: ${changesFile} and ${changesSummaryFile}`);
+
+  const exportOutput = options.formats ? { ...output, formats: options.formats } : output;
+  exportResults(results, exportOutput, { baseName: path.basename(dataFile, '.json') })
+    .forEach(filePath => console.log(`Exported: ${filePath}`));
+
+  const summary = buildRunSummary({ startedAt: runDate, queryResults: listingResults, storyPageFailures, imageFailures });
+  const runSummaryFile = path.resolve(output.runSummaryFile || 'run-summary.json');
+  fs.writeFileSync(runSummaryFile, JSON.stringify(summary, null, 2));
+  const checkpointKept = finishCheckpoint(checkpointFile, summary);
+
+  console.log(`\n=== RUN SUMMARY ===`);
+  formatRunSummary(summary).forEach(line => console.log(line));
+  console.log(`Run summary saved to: ${runSummaryFile}`);
+  if (checkpointKept) {
+    console.log(`Checkpoint kept in ${checkpointFile}; use --resume to retry the failed pages and images`);
+  }
+
+  return { results, summary, report, runDate };
+}
+
+/**
+ * Send the notifications configured in `notifications` for a finished run
+ * @param {object} options - Parsed command line options
+ * @param {object} run - Outcome, exit code and whatever the run produced (see `buildNotificationContext`)
+ */
+async function notifyRun(options, run) {
+  if (options.notify === false) {
+    return;
+  }
+
+  let notifications;
+  try {
+    notifications = loadConfig(options.config ? path.resolve(options.config) : DEFAULT_CONFIG_PATH).notifications;
+  } catch (error) {
+    console.warn(`Notifications skipped: ${error.message}`);
+    return;
+  }
+  // A dry run also prints disabled notifications, so they can be checked before enabling them
+  if (!notifications || (notifications.enabled === false && !options.notifyDryRun)) {
+    return;
+  }
+
+  console.log(`\n=== NOTIFICATIONS ===`);
+  const context = buildNotificationContext({ ...run, maxStories: notifications.maxStories });
+  await sendNotifications(notifications, context, { dryRun: options.notifyDryRun });
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let outcome;
+  try {
+    const { results, summary, report, runDate } = await run(options);
+    if (summary.passed) {
+      outcome = { outcome: 'success', exitCode: 0 };
+    } else {
+      console.error('Extraction completed with failures; see the run summary above');
+      outcome = { outcome: 'partial', exitCode: 4 };
+    }
+    Object.assign(outcome, { runDate, results, report, summary });
+  } catch (error) {
+    console.error(`Extraction failed: ${error.message}`);
+    outcome = { outcome: 'failure', exitCode: error.exitCode || 1, runDate: new Date().toISOString(), error };
+  }
+
+  // Notifications never change the exit code of the run
+  try {
+    await notifyRun(options, outcome);
+  } catch (error) {
+    console.warn(`Notifications failed: ${error.message}`);
+  }
+  return outcome.exitCode;
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  parseArgs,
+  run
+};
@@ -0,0 +1,193 @@
+/**
+ * Listing data captured from the search page's own data request.
+ *
+ * The search page fills its result cards from a background JSON request. In
+ * API mode the extractor listens for that response while the page loads and
+ * maps its results to the same story shape `extractStoryCards` produces, so no
+ * waiting for the cards to render is needed. Which response to use and where
+ * each field lives in it come from `extraction.api` in config.json.
+ */
+
+/**
+ * Read a value from an object by a dot-separated path (e.g. "image.src" or "items.0.name")
+ * @param {*} object - Object to read from
+ * @param {string} fieldPath - Path; an empty path returns the object itself
+ * @returns {*} - The value, or undefined if any part of the path is missing
+ */
+function getPath(object, fieldPath) {
+  if (!fieldPath) {
+    return object;
+  }
+  return fieldPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+/**
+ * Turn a response value into text; lists use their first entry and objects their name
+ * @param {*} value - Value from the response
+ * @returns {string} - Trimmed text, or an empty string
+ */
+function toText(value) {
+  if (Array.isArray(value)) {
+    return toText(value[0]);
+  }
+  if (value && typeof value === 'object') {
+    return toText(value.name || value.title || value.label);
+  }
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Resolve a possibly relative URL from the response against the response URL
+ * @param {*} value - URL from the response
+ * @param {string} baseUrl - URL of the response
+ * @returns {string} - Absolute URL, or an empty string
+ */
+function toUrl(value, baseUrl) {
+  const text = toText(value);
+  if (!text) {
+    return '';
+  }
+  try {
+    return new URL(text, baseUrl).href;
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Map a listing response to stories in the shape `extractStoryCards` returns
+ * @param {object} body - Parsed JSON response
+ * @param {object} options - Mapping options
+ * @param {number} options.pageNum - Page number the response belongs to
+ * @param {object} options.fields - `extraction.api.fields` from config.json
+ * @param {string} options.responseUrl - URL of the response, for resolving relative URLs
+ * @returns {{stories: Array<object>, count: number, total: number|null, pageSize: number|null}|null} -
+ *   Stories, the number of results in the response and the result counts reported by the API,
+ *   or null if the response has no results list
+ */
+function parseApiResults(body, { pageNum, fields, responseUrl }) {
+  const results = getPath(body, fields.results);
+  if (!Array.isArray(results)) {
+    return null;
+  }
+
+  const stories = [];
+  results.forEach((result, index) => {
+    const title = toText(getPath(result, fields.title));
+    const storyUrl = toUrl(getPath(result, fields.storyUrl), responseUrl);
+    if (!title || !storyUrl) {
+      console.warn(`Skipping API result ${index + 1} on page ${pageNum}: missing title or story URL`);
+      return;
+    }
+
+    const products = [].concat(getPath(result, fields.products) || [])
+      .map(product => ({
+        name: toText(typeof product === 'object' ? getPath(product, fields.productName) : product),
+        icon: typeof product === 'object' ? toUrl(getPath(product, fields.productIcon), responseUrl) : '',
+        iconAlt: typeof product === 'object' ? toText(getPath(product, fields.productIconAlt)) : ''
+      }))
+      .filter(product => product.name);
+    const publishedDate = toText(getPath(result, fields.publishedDate));
+
+    stories.push({
+      page: pageNum,
+      positionOnPage: index + 1,
+      title,
+      industry: toText(getPath(result, fields.industry)),
+      storyUrl,
+      company: {
+        logo: toUrl(getPath(result, fields.logo), responseUrl)
+      },
+      media: {
+        headerImage: toUrl(getPath(result, fields.headerImage), responseUrl),
+        headerImageAlt: toText(getPath(result, fields.headerImageAlt))
+      },
+      microsoftProducts: products,
+      ...(publishedDate && { publishedDate }),
+      extractedAt: new Date().toISOString()
+    });
+  });
+
+  const toCount = value => (Number.isInteger(Number(value)) && value !== null && value !== '' ? Number(value) : null);
+  return {
+    stories,
+    count: results.length,
+    total: toCount(getPath(body, fields.total)),
+    pageSize: toCount(getPath(body, fields.pageSize))
+  };
+}
+
+/**
+ * Check whether a response could be the listing's data request
+ * @param {import('playwright').Response} response - Response seen by the page
+ * @param {RegExp} urlPattern - Pattern the request URL must match
+ * @returns {boolean} - True for successful JSON fetch/XHR responses whose URL matches
+ */
+function isCandidateResponse(response, urlPattern) {
+  return urlPattern.test(response.url()) &&
+    ['fetch', 'xhr'].includes(response.request().resourceType()) &&
+    response.ok() &&
+    (response.headers()['content-type'] || '').includes('json');
+}
+
+/**
+ * Open a results page and capture the listing data it requests
+ *
+ * The page is only loaded up to DOMContentLoaded; the first matching JSON
+ * response with a results list is used. When none arrives within
+ * `api.timeout`, null is returned and the page is left loaded so the caller
+ * can parse the rendered cards instead.
+ *
+ * @param {import('playwright').Page} page - Playwright page to drive
+ * @param {string} url - Results page URL
+ * @param {object} options - Capture options
+ * @param {object} options.api - `extraction.api` from config.json
+ * @param {number} options.pageNum - Page number
+ * @param {number} [options.navigationTimeout] - Navigation timeout in milliseconds
+ * @returns {Promise<object|null>} - Result of `parseApiResults`, or null if no matching response was seen
+ */
+async function captureApiResults(page, url, { api, pageNum, navigationTimeout }) {
+  const urlPattern = new RegExp(api.urlPattern);
+  let parsed = null;
+
+  const captured = page.waitForResponse(async response => {
+    if (!isCandidateResponse(response, urlPattern)) {
+      return false;
+    }
+    try {
+      parsed = parseApiResults(await response.json(), { pageNum, fields: api.fields, responseUrl: response.url() });
+    } catch (error) {
+      return false;
+    }
+    return parsed !== null;
+  }, { timeout: api.timeout }).then(() => parsed, () => null);
+
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: navigationTimeout });
+  return captured;
+}
+
+/**
+ * Decide whether to continue to the next page from the counts the API reported
+ * @param {object} results - Result of `parseApiResults` for the current page
+ * @param {number} currentPage - Page that was just processed
+ * @param {number} resultsSoFar - Results received on this and earlier pages
+ * @returns {{hasNext: boolean, message: string}} - Decision and a log message
+ */
+function resolveApiNextPage(results, currentPage, resultsSoFar) {
+  if (results.total !== null) {
+    return resultsSoFar < results.total ?
+      { hasNext: true, message: `Navigating to page ${currentPage + 1}... (${resultsSoFar} of ${results.total})` } :
+      { hasNext: false, message: `All ${results.total} results collected` };
+  }
+  if (results.pageSize !== null && results.count < results.pageSize) {
+    return { hasNext: false, message: `Last page reached (${results.count} of ${results.pageSize} results per page)` };
+  }
+  return { hasNext: true, message: `Navigating to page ${currentPage + 1}... (result count not reported)` };
+}
+
+module.exports = {
+  getPath,
+  parseApiResults,
+  captureApiResults,
+  resolveApiNextPage
+};
@@ -0,0 +1,203 @@
+const fs = require('fs');
+
+/**
+ * Fields compared between runs. Each entry maps a report field name to a
+ * getter on the story object.
+ */
+const TRACKED_FIELDS = {
+  title: story => story.title || '',
+  industry: story => story.industry || '',
+  storyUrl: story => story.storyUrl || '',
+  logo: story => story.company?.logo || '',
+  headerImage: story => story.media?.headerImage || '',
+  headerImageAlt: story => story.media?.headerImageAlt || '',
+  products: story => (story.microsoftProducts || []).map(product => product.name)
+};
+
+/**
+ * Short description of a story used in the report
+ * @param {object} story - Story object
+ * @returns {object} - Identifying fields of the story
+ */
+function describeStory(story) {
+  return {
+    globalId: story.globalId,
+    title: story.title,
+    industry: story.industry,
+    storyUrl: story.storyUrl,
+    products: TRACKED_FIELDS.products(story),
+    queries: story.queries || []
+  };
+}
+
+/**
+ * List the tracked fields that differ between two versions of a story
+ * @param {object} before - Story from the previous run
+ * @param {object} after - Story from the current run
+ * @returns {Array<object>} - Field changes with `before`/`after` values
+ */
+function diffStory(before, after) {
+  const changes = [];
+
+  Object.entries(TRACKED_FIELDS).forEach(([field, getValue]) => {
+    const oldValue = getValue(before);
+    const newValue = getValue(after);
+
+    if (Array.isArray(oldValue)) {
+      const added = newValue.filter(item => !oldValue.includes(item));
+      const removed = oldValue.filter(item => !newValue.includes(item));
+      if (added.length > 0 || removed.length > 0) {
+        changes.push({ field, before: oldValue, after: newValue, added, removed });
+      }
+    } else if (oldValue !== newValue) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Compare the previous dataset with the merged dataset of the current run
+ * @param {Array<object>} previousStories - Stories from the previous results
+ * @param {Array<object>} currentStories - Merged stories of the current run
+ * @param {object} info - Run information
+ * @param {string} info.generatedAt - ISO timestamp of the current run
+ * @param {string} [info.previousExtractionDate] - ISO timestamp of the previous run
+ * @returns {object} - Change report
+ */
+function buildChangeReport(previousStories, currentStories, { generatedAt, previousExtractionDate = null }) {
+  const previousById = new Map(previousStories.map(story => [story.globalId, story]));
+  const report = {
+    generatedAt,
+    previousExtractionDate,
+    summary: {},
+    added: [],
+    restored: [],
+    removed: [],
+    updated: []
+  };
+
+  currentStories.forEach(story => {
+    const previous = previousById.get(story.globalId);
+    const isActive = story.status !== 'removed';
+    const wasActive = previous && previous.status !== 'removed';
+
+    if (isActive && !previous) {
+      report.added.push(describeStory(story));
+    } else if (isActive && !wasActive) {
+      report.restored.push(describeStory(story));
+    } else if (!isActive && wasActive) {
+      report.removed.push(describeStory(story));
+    } else if (isActive) {
+      const changes = diffStory(previous, story);
+      if (changes.length > 0) {
+        report.updated.push({ ...describeStory(story), changes });
+      }
+    }
+  });
+
+  report.summary = {
+    activeStories: currentStories.filter(story => story.status !== 'removed').length,
+    added: report.added.length,
+    restored: report.restored.length,
+    removed: report.removed.length,
+    updated: report.updated.length,
+    hasChanges: report.added.length + report.restored.length + report.removed.length + report.updated.length > 0
+  };
+
+  return report;
+}
+
+/**
+ * Format a field value for the Markdown summary
+ * @param {*} value - Field value
+ * @returns {string} - Printable value
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : '(none)';
+  }
+  return value ? `"${value}"` : '(empty)';
+}
+
+/**
+ * Render a Markdown line linking to a story
+ * @param {object} story - Story description from the report
+ * @returns {string} - Markdown list item
+ */
+function formatStoryLine(story) {
+  const details = [story.industry, story.products.join(', '), story.queries.join(', ')].filter(Boolean).join(' · ');
+  return `- [${story.title}](${story.storyUrl})${details ? ` — ${details}` : ''}`;
+}
+
+/**
+ * Render the change report as Markdown
+ * @param {object} report - Result of `buildChangeReport`
+ * @returns {string} - Markdown summary
+ */
+function renderChangeReportMarkdown(report) {
+  const { summary } = report;
+  const lines = [
+    `# Customer stories changes (${report.generatedAt.slice(0, 10)})`,
+    ''
+  ];
+
+  if (!summary.hasChanges) {
+    lines.push(`No changes since the previous run. ${summary.activeStories} active stories.`);
+    return `${lines.join('\n')}\n`;
+  }
+
+  lines.push(
+    `**${summary.added} new**, **${summary.removed} removed**, **${summary.updated} updated**` +
+    `${summary.restored ? `, **${summary.restored} restored**` : ''} (${summary.activeStories} active stories)`
+  );
+
+  const sections = [
+    ['New stories', report.added],
+    ['Restored stories', report.restored],
+    ['Removed stories', report.removed]
+  ];
+  sections.forEach(([heading, stories]) => {
+    if (stories.length > 0) {
+      lines.push('', `## ${heading}`, '', ...stories.map(formatStoryLine));
+    }
+  });
+
+  if (report.updated.length > 0) {
+    lines.push('', '## Updated stories', '');
+    report.updated.forEach(story => {
+      lines.push(`- [${story.title}](${story.storyUrl})`);
+      story.changes.forEach(change => {
+        if (change.added || change.removed) {
+          const parts = [];
+          if (change.added.length > 0) parts.push(`added ${change.added.join(', ')}`);
+          if (change.removed.length > 0) parts.push(`removed ${change.removed.join(', ')}`);
+          lines.push(`  - ${change.field}: ${parts.join('; ')}`);
+        } else {
+          lines.push(`  - ${change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}`);
+        }
+      });
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write the change report as JSON and Markdown
+ * @param {object} report - Result of `buildChangeReport`
+ * @param {object} paths - Output paths
+ * @param {string} paths.jsonPath - Path of the machine-readable report
+ * @param {string} paths.markdownPath - Path of the Markdown summary
+ */
+function writeChangeReport(report, { jsonPath, markdownPath }) {
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(markdownPath, renderChangeReportMarkdown(report));
+}
+
+module.exports = {
+  buildChangeReport,
+  renderChangeReportMarkdown,
+  writeChangeReport
+};
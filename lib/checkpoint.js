@@ -0,0 +1,165 @@
+const fs = require('fs');
+
+const { writeFileAtomic } = require('./download-manager');
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Start the checkpoint of a new run
+ *
+ * The checkpoint records the run's options, the listing progress of each
+ * query (see `extractAllStories`) and how far the image downloads got. It is
+ * written after every results page and image batch and removed when the run
+ * completes without failures, so a checkpoint on disk means the last run was
+ * interrupted or left pages to retry.
+ *
+ * @param {object} info - Run information
+ * @param {string} info.startedAt - ISO timestamp of the run
+ * @param {object} info.options - Command line options the run was started with
+ * @returns {object} - New checkpoint
+ */
+function createCheckpoint({ startedAt, options }) {
+  return {
+    version: CHECKPOINT_VERSION,
+    startedAt,
+    updatedAt: startedAt,
+    options,
+    queries: {},
+    images: null
+  };
+}
+
+/**
+ * Load the checkpoint of an interrupted run
+ * @param {string} checkpointFile - Path to the checkpoint
+ * @returns {object|null} - Checkpoint, or null if there is none
+ */
+function loadCheckpoint(checkpointFile) {
+  if (!fs.existsSync(checkpointFile)) {
+    return null;
+  }
+
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unreadable checkpoint ${checkpointFile}: ${error.message}`);
+  }
+  if (checkpoint.version !== CHECKPOINT_VERSION) {
+    throw new Error(`Checkpoint ${checkpointFile} has version ${checkpoint.version}, expected ${CHECKPOINT_VERSION}`);
+  }
+  return checkpoint;
+}
+
+/**
+ * Write the checkpoint, replacing the previous one in a single step
+ * @param {string} checkpointFile - Path to the checkpoint
+ * @param {object} checkpoint - Checkpoint (its `updatedAt` is set)
+ */
+function saveCheckpoint(checkpointFile, checkpoint) {
+  checkpoint.updatedAt = new Date().toISOString();
+  writeFileAtomic(checkpointFile, JSON.stringify(checkpoint, null, 2));
+}
+
+/**
+ * Delete the checkpoint once the run has completed
+ * @param {string} checkpointFile - Path to the checkpoint
+ */
+function removeCheckpoint(checkpointFile) {
+  fs.rmSync(checkpointFile, { force: true });
+}
+
+/**
+ * Remove the checkpoint of a run that completed without failures
+ *
+ * A run with failed pages or images keeps its checkpoint, so `--resume` can
+ * retry them: a query that stopped at a failed page continues from that page.
+ *
+ * @param {string} checkpointFile - Path to the checkpoint
+ * @param {object} summary - Result of `buildRunSummary`
+ * @returns {boolean} - True if the checkpoint was kept
+ */
+function finishCheckpoint(checkpointFile, summary) {
+  if (!summary.passed) {
+    return true;
+  }
+  removeCheckpoint(checkpointFile);
+  return false;
+}
+
+/**
+ * List everything that permanently failed during a run
+ * @param {object} run - Run results
+ * @param {string} run.startedAt - ISO timestamp of the run
+ * @param {Array<object>} run.queryResults - Results of each query (and locale) with their `failedPage`
+ * @param {Array<object>} [run.storyPageFailures] - Story pages that could not be crawled
+ * @param {Array<object>} [run.imageFailures] - Images that could not be downloaded
+ * @returns {object} - Run summary; `passed` is false when anything failed
+ */
+function buildRunSummary({ startedAt, queryResults, storyPageFailures = [], imageFailures = [] }) {
+  const failedPages = queryResults
+    .filter(result => result.failedPage)
+    .map(result => ({ query: result.query.name, ...(result.locale && { locale: result.locale }), ...result.failedPage }));
+
+  return {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    passed: failedPages.length === 0 && storyPageFailures.length === 0 && imageFailures.length === 0,
+    queries: queryResults.map(result => ({
+      name: result.query.name,
+      ...(result.locale && { locale: result.locale }),
+      pagesVisited: result.pagesVisited,
+      stories: result.stories.length,
+      complete: !result.failedPage
+    })),
+    failedPages,
+    failedStoryPages: storyPageFailures,
+    failedAssets: imageFailures
+  };
+}
+
+/**
+ * Format a run summary for the console
+ * @param {object} summary - Result of `buildRunSummary`
+ * @returns {Array<string>} - Lines to print
+ */
+function formatRunSummary(summary) {
+  const inLocale = entry => (entry.locale ? ` (${entry.locale})` : '');
+  const lines = summary.queries.map(query =>
+    `Query "${query.name}"${inLocale(query)}: ${query.stories} stories from ${query.pagesVisited} pages${query.complete ? '' : ' (incomplete)'}`);
+
+  if (summary.passed) {
+    lines.push('No pages or assets failed');
+    return lines;
+  }
+
+  if (summary.failedPages.length > 0) {
+    lines.push(`Failed results pages (${summary.failedPages.length}):`);
+    summary.failedPages.forEach(failure => {
+      lines.push(`  ${failure.query}${inLocale(failure)} page ${failure.page} after ${failure.attempts} attempts: ${failure.error} (${failure.url})`);
+    });
+  }
+  if (summary.failedStoryPages.length > 0) {
+    lines.push(`Failed story pages (${summary.failedStoryPages.length}):`);
+    summary.failedStoryPages.forEach(failure => {
+      lines.push(`  ${failure.globalId}: ${failure.error} (${failure.url})`);
+    });
+  }
+  if (summary.failedAssets.length > 0) {
+    lines.push(`Failed images (${summary.failedAssets.length}):`);
+    summary.failedAssets.forEach(failure => {
+      lines.push(`  ${failure.globalId}: ${failure.error} (${failure.url})`);
+    });
+  }
+  return lines;
+}
+
+module.exports = {
+  createCheckpoint,
+  loadCheckpoint,
+  saveCheckpoint,
+  removeCheckpoint,
+  finishCheckpoint,
+  buildRunSummary,
+  formatRunSummary
+};
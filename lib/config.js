@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config.json');
+
+/**
+ * Load and parse the extraction configuration file
+ * @param {string} configPath - Path to the JSON config file
+ * @returns {object} - Parsed configuration
+ */
+function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Convert a camelCase filter key from config.json to the kebab-case facet name
+ * used by the Microsoft search page (e.g. businessNeed -> business-need)
+ * @param {string} key - Filter key from config.json
+ * @returns {string} - Facet name
+ */
+function toFacetName(key) {
+  return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Build the Microsoft Customer Stories search URL from the extraction config
+ *
+ * Every entry of `filters` except `sortBy` becomes a `facet:value` pair; array
+ * values produce one pair per item. `sortBy` is appended as its own parameter.
+ *
+ * @param {object} extraction - The `extraction` section of config.json
+ * @returns {string} - Search URL
+ */
+function buildSearchUrl(extraction) {
+  if (!extraction || !extraction.baseUrl) {
+    throw new Error('extraction.baseUrl is missing from config');
+  }
+
+  const { sortBy, ...filters } = extraction.filters || {};
+  const facets = [];
+
+  Object.entries(filters).forEach(([key, value]) => {
+    const values = Array.isArray(value) ? value : [value];
+    values
+      .filter(item => item !== undefined && item !== null && item !== '')
+      .forEach(item => facets.push(`${toFacetName(key)}:${item}`));
+  });
+
+  const params = [];
+  if (facets.length > 0) {
+    params.push(`filters=${encodeURIComponent(facets.join(','))}`);
+  }
+  if (sortBy) {
+    // sortBy is stored in its query-string form (e.g. "PublishedDate+Desc")
+    params.push(`sortBy=${sortBy}`);
+  }
+
+  return params.length > 0 ? `${extraction.baseUrl}?${params.join('&')}` : extraction.baseUrl;
+}
+
+/**
+ * Build the URL of a specific results page
+ * @param {string} baseUrl - Search URL for the first page
+ * @param {number} pageNum - 1-based page number
+ * @returns {string} - URL of the requested page
+ */
+function getPageUrl(baseUrl, pageNum) {
+  if (pageNum === 1) {
+    return baseUrl;
+  }
+  return `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}page=${pageNum}`;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  loadConfig,
+  buildSearchUrl,
+  getPageUrl
+};
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+
+const MANIFEST_VERSION = 1;
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+/**
+ * Perform a GET request and buffer the response, following redirects
+ * @param {string} url - URL to fetch
+ * @param {object} options - Request options
+ * @param {object} [options.headers] - Request headers
+ * @param {number} [options.timeout] - Socket timeout in milliseconds
+ * @param {number} [options.maxRedirects] - Redirects to follow before giving up
+ * @returns {Promise<{statusCode: number, headers: object, body: Buffer, url: string}>} - Response;
+ *   rejects with an error carrying `statusCode` for responses other than 2xx and 304
+ */
+function requestAsset(url, { headers = {}, timeout = 30000, maxRedirects = 5 } = {}) {
+  return new Promise((resolve, reject) => {
+    const protocol = url.startsWith('https:') ? https : http;
+
+    const request = protocol.get(url, { headers }, (response) => {
+      const { statusCode } = response;
+
+      if (REDIRECT_STATUS_CODES.includes(statusCode) && response.headers.location) {
+        response.resume();
+        if (maxRedirects <= 0) {
+          reject(new Error(`Too many redirects while fetching ${url}`));
+          return;
+        }
+        requestAsset(new URL(response.headers.location, url).href, { headers, timeout, maxRedirects: maxRedirects - 1 })
+          .then(resolve)
+          .catch(reject);
+        return;
+      }
+
+      if (statusCode !== 304 && (statusCode < 200 || statusCode >= 300)) {
+        response.resume();
+        const error = new Error(`Failed to download image: ${statusCode}`);
+        error.statusCode = statusCode;
+        reject(error);
+        return;
+      }
+
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({ statusCode, headers: response.headers, body: Buffer.concat(chunks), url }));
+      response.on('error', reject);
+    });
+
+    request.on('error', reject);
+    request.setTimeout(timeout, () => {
+      request.destroy(new Error('Download timeout'));
+    });
+  });
+}
+
+/**
+ * Whether a failed request is worth retrying (network errors, timeouts,
+ * rate limiting and server errors)
+ * @param {Error} error - Request error
+ * @returns {boolean} - True if the request should be retried
+ */
+function isRetryable(error) {
+  return !error.statusCode || error.statusCode === 408 || error.statusCode === 429 || error.statusCode >= 500;
+}
+
+/**
+ * Run a task, retrying retryable failures with exponential backoff
+ * @param {Function} task - Async function to run
+ * @param {object} options - Retry options
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.retryDelay] - Delay before the first retry in milliseconds, doubled after each retry
+ * @param {Function} [options.onRetry] - Called with the error, the retry number and the delay before each retry
+ * @returns {Promise<*>} - Result of the task; rejects with the last error, which carries the number of `attempts`
+ */
+async function withRetries(task, { retries = 3, retryDelay = 1000, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      const delay = retryDelay * 2 ** attempt;
+      if (onRetry) {
+        onRetry(error, attempt + 1, delay);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Run a worker over every item with at most `limit` workers in flight
+ * @param {Array<*>} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with each item and its index
+ * @returns {Promise<Array<*>>} - Worker results in item order
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(lanes);
+  return results;
+}
+
+/**
+ * Detect an image type from its first bytes, falling back to the Content-Type header
+ * @param {Buffer} buffer - Image contents
+ * @param {string} [contentType] - Content-Type response header
+ * @returns {string|null} - File extension, or null if the content is not a known image type
+ */
+function detectImageType(buffer, contentType = '') {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.subarray(0, 6).toString('latin1'))) return 'gif';
+  if (buffer.length >= 12 && buffer.subarray(0, 4).toString('latin1') === 'RIFF' &&
+      buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'webp';
+  if (buffer.length >= 12 && buffer.subarray(4, 12).toString('latin1') === 'ftypavif') return 'avif';
+
+  const head = buffer.subarray(0, 512).toString('utf8').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(head)) return 'svg';
+
+  // Unrecognised bytes: trust an explicit image Content-Type
+  const match = contentType.toLowerCase().match(/^image\/(jpeg|jpg|png|gif|webp|avif|svg\+xml)/);
+  if (match) {
+    return { jpeg: 'jpg', 'svg+xml': 'svg' }[match[1]] || match[1];
+  }
+
+  return null;
+}
+
+/**
+ * Load the media manifest, which maps each asset URL to its stored file,
+ * content hash and cache validators
+ * @param {string} manifestFile - Path to the manifest
+ * @returns {object} - Manifest
+ */
+function loadManifest(manifestFile) {
+  if (fs.existsSync(manifestFile)) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+      if (manifest.version === MANIFEST_VERSION) {
+        return manifest;
+      }
+    } catch (error) {
+      console.warn(`Ignoring unreadable media manifest ${manifestFile}: ${error.message}`);
+    }
+  }
+  return { version: MANIFEST_VERSION, assets: {} };
+}
+
+/**
+ * Write a file through a temporary file so readers never see partial contents
+ * @param {string} filePath - Destination path
+ * @param {Buffer|string} contents - File contents
+ */
+function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Create a download manager for the media directory
+ *
+ * Assets are fetched with conditional requests (ETag/Last-Modified) when the
+ * manifest already has them, retried with backoff on transient failures, and
+ * stored once per content hash: an asset identical to one already on disk
+ * reuses that file. A shared file is never overwritten: when one of the URLs
+ * sharing it changes, its new content is stored under a name with the content
+ * hash appended. The manifest is saved after every stored asset, so an
+ * interrupted run resumes where it stopped; with `reuseSince`, assets fetched
+ * or checked since then are reused without a request.
+ *
+ * @param {object} options - Manager options
+ * @param {string} options.mediaDir - Directory where assets are stored
+ * @param {string} [options.manifestFile] - Manifest path (default: manifest.json in mediaDir)
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @param {number} [options.retries] - Retries per asset
+ * @param {number} [options.retryDelay] - Initial backoff delay in milliseconds
+ * @param {number} [options.maxRedirects] - Redirects to follow per request
+ * @param {string} [options.reuseSince] - ISO timestamp; assets fetched or checked since then are not requested again
+ * @returns {{fetch: Function, manifest: object}} - Download manager
+ */
+function createDownloadManager({
+  mediaDir,
+  manifestFile = path.join(mediaDir, 'manifest.json'),
+  timeout = 30000,
+  retries = 3,
+  retryDelay = 1000,
+  maxRedirects = 5,
+  reuseSince
+}) {
+  fs.mkdirSync(mediaDir, { recursive: true });
+  const manifest = loadManifest(manifestFile);
+  const inFlight = new Map();
+
+  const fileExists = file => file && fs.existsSync(path.join(mediaDir, file));
+  const findFileByHash = hash => {
+    const match = Object.values(manifest.assets).find(asset => asset.hash === hash && fileExists(asset.file));
+    return match ? match.file : null;
+  };
+  const isSharedFile = (file, url) => fileExists(file) &&
+    Object.entries(manifest.assets).some(([assetUrl, asset]) => assetUrl !== url && asset.file === file);
+
+  const fetchAsset = async (url, nameFile) => {
+    const cached = manifest.assets[url];
+    if (reuseSince && cached && fileExists(cached.file) &&
+        [cached.fetchedAt, cached.checkedAt].some(date => date && date >= reuseSince)) {
+      return { file: cached.file, status: 'unchanged' };
+    }
+
+    const headers = {};
+    if (cached && fileExists(cached.file)) {
+      if (cached.etag) headers['If-None-Match'] = cached.etag;
+      if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+    }
+
+    const response = await withRetries(
+      () => requestAsset(url, { headers, timeout, maxRedirects }),
+      { retries, retryDelay }
+    );
+
+    if (response.statusCode === 304) {
+      cached.checkedAt = new Date().toISOString();
+      return { file: cached.file, status: 'not-modified' };
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    const extension = detectImageType(response.body, contentType);
+    if (!extension) {
+      throw new Error(`Response is not an image (${contentType || 'unknown content type'})`);
+    }
+
+    const hash = crypto.createHash('sha256').update(response.body).digest('hex');
+    let file = cached && cached.hash === hash && fileExists(cached.file) ? cached.file : findFileByHash(hash);
+    const status = file ? (cached && file === cached.file ? 'unchanged' : 'deduplicated') : 'downloaded';
+
+    if (!file) {
+      file = nameFile(extension);
+      // Other URLs deduplicated onto this file keep its content; the new content is named by its hash
+      if (isSharedFile(file, url)) {
+        const extname = path.extname(file);
+        file = `${path.basename(file, extname)}-${hash.slice(0, 12)}${extname}`;
+      }
+      writeFileAtomic(path.join(mediaDir, file), response.body);
+    }
+
+    manifest.assets[url] = {
+      file,
+      hash,
+      size: response.body.length,
+      contentType,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+      fetchedAt: new Date().toISOString()
+    };
+    writeFileAtomic(manifestFile, JSON.stringify(manifest, null, 2));
+
+    return { file, status };
+  };
+
+  return {
+    manifest,
+
+    /**
+     * Fetch an asset into the media directory
+     * @param {string} url - Asset URL
+     * @param {Function} nameFile - Called with the detected extension to name the file when the content is new
+     * @returns {Promise<{file: string, status: string}>} - Stored filename and one of
+     *   "downloaded", "unchanged", "not-modified" or "deduplicated"
+     */
+    fetch(url, nameFile) {
+      if (!inFlight.has(url)) {
+        inFlight.set(url, fetchAsset(url, nameFile));
+      }
+      return inFlight.get(url);
+    },
+
+    /**
+     * Write the manifest to disk
+     */
+    save() {
+      writeFileAtomic(manifestFile, JSON.stringify(manifest, null, 2));
+    }
+  };
+}
+
+module.exports = {
+  requestAsset,
+  withRetries,
+  runWithConcurrency,
+  writeFileAtomic,
+  detectImageType,
+  loadManifest,
+  createDownloadManager
+};
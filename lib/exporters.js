@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Flat columns used by the CSV exports, in output order. Nested company,
+ * media and product fields are flattened; product names are joined with "; ".
+ */
+const CSV_COLUMNS = {
+  globalId: story => story.globalId,
+  status: story => story.status || 'active',
+  title: story => story.title,
+  industry: story => story.industry,
+  storyUrl: story => story.storyUrl,
+  companyName: story => story.company?.name,
+  companyLogo: story => story.company?.logo,
+  companyLogoLocal: story => story.company?.logoLocal,
+  headerImage: story => story.media?.headerImage,
+  headerImageAlt: story => story.media?.headerImageAlt,
+  headerImageLocal: story => story.media?.headerImageLocal,
+  products: story => (story.microsoftProducts || []).map(product => product.name).join('; '),
+  productCount: story => (story.microsoftProducts || []).length,
+  publishedDate: story => story.details?.publishedDate || story.publishedDate,
+  region: story => story.details?.region,
+  organizationSize: story => story.details?.organizationSize,
+  page: story => story.page,
+  positionOnPage: story => story.positionOnPage,
+  firstSeen: story => story.firstSeen,
+  lastSeen: story => story.lastSeen,
+  removedAt: story => story.removedAt,
+  extractedAt: story => story.extractedAt
+};
+
+/**
+ * Quote a value for CSV (RFC 4180)
+ * @param {*} value - Cell value
+ * @param {boolean} guardFormulas - Prefix values spreadsheets would evaluate as formulas
+ * @returns {string} - CSV cell
+ */
+function toCsvCell(value, guardFormulas = false) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (guardFormulas && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render stories as CSV
+ * @param {Array<object>} stories - Story records
+ * @param {object} options - CSV options
+ * @param {boolean} options.excel - Add a UTF-8 byte order mark and guard formulas for Excel
+ * @returns {string} - CSV document
+ */
+function toCsv(stories, { excel = false } = {}) {
+  const rows = [Object.keys(CSV_COLUMNS).join(',')];
+  stories.forEach(story => {
+    rows.push(Object.values(CSV_COLUMNS).map(getValue => toCsvCell(getValue(story), excel)).join(','));
+  });
+  return `${excel ? '\uFEFF' : ''}${rows.join('\r\n')}\r\n`;
+}
+
+/**
+ * Writers for each supported `output.formats` entry. Each returns the
+ * file extension and the file contents.
+ */
+const FORMATS = {
+  json: (results, { saveMetadata }) => ({
+    extension: 'json',
+    content: JSON.stringify(saveMetadata ? results : results.stories, null, 2)
+  }),
+  ndjson: results => ({
+    extension: 'ndjson',
+    content: results.stories.map(story => JSON.stringify(story)).join('\n') + '\n'
+  }),
+  csv: results => ({
+    extension: 'csv',
+    content: toCsv(results.stories)
+  }),
+  excel: results => ({
+    extension: 'excel.csv',
+    content: toCsv(results.stories, { excel: true })
+  })
+};
+
+/**
+ * Check that every export format is supported
+ * @param {Array<string>} formats - Format names
+ * @param {string} source - Where the formats came from, for the error message
+ */
+function checkFormats(formats, source) {
+  const unknown = formats.filter(format => !FORMATS[format]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown export format(s) in ${source}: ${unknown.join(', ')}. Supported: ${Object.keys(FORMATS).join(', ')}`);
+  }
+}
+
+/**
+ * Write the results in every format listed in `output.formats`
+ * @param {object} results - Results document (metadata and stories)
+ * @param {object} output - The `output` section of config.json
+ * @param {object} [options] - Export options
+ * @param {string} [options.baseName] - Filename without extension
+ * @param {string} [options.timestamp] - ISO timestamp used for timestamped filenames
+ * @returns {Array<string>} - Paths of the files written
+ */
+function exportResults(results, output, {
+  baseName = 'microsoft-customer-stories',
+  timestamp = results.metadata.extractionDate
+} = {}) {
+  const formats = output.formats || [];
+  checkFormats(formats, 'output.formats');
+
+  const directory = path.resolve(output.directory || 'exports');
+  fs.mkdirSync(directory, { recursive: true });
+
+  const suffix = output.includeTimestamp ? `-${timestamp.replace(/[:.]/g, '-')}` : '';
+  const fileBase = `${baseName}${suffix}`;
+  const written = [];
+
+  formats.forEach(format => {
+    const { extension, content } = FORMATS[format](results, { saveMetadata: output.saveMetadata !== false });
+    const filePath = path.join(directory, `${fileBase}.${extension}`);
+    fs.writeFileSync(filePath, content);
+    written.push(filePath);
+  });
+
+  // Flat formats cannot carry the run metadata, so it goes into a sidecar file
+  if (output.saveMetadata !== false && formats.some(format => format !== 'json')) {
+    const filePath = path.join(directory, `${fileBase}.metadata.json`);
+    fs.writeFileSync(filePath, JSON.stringify(results.metadata, null, 2));
+    written.push(filePath);
+  }
+
+  return written;
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  toCsv,
+  checkFormats,
+  exportResults
+};
@@ -0,0 +1,235 @@
+const { getPageUrl } = require('./config');
+const { extractStoryCards, isListingRendered, detectPagination, toSelectorList, resolveNextPage } = require('./listing');
+const { assignStoryIds } = require('./stories');
+const { addSelectorMatches } = require('./selector-health');
+const { captureApiResults, resolveApiNextPage } = require('./api-listing');
+const { withRetries } = require('./download-manager');
+
+/**
+ * Walk the paginated search results and collect every story
+ *
+ * In API mode (the default when `extraction.api.urlPattern` is set, unless
+ * `extraction.api.enabled` is false or `listing` is 'dom') each page's stories
+ * are read from the listing's JSON data request. If no matching request is
+ * seen, that page and all later ones are parsed from the rendered cards.
+ *
+ * A page that fails to load or parse is retried `extraction.pagination.retries`
+ * times with exponential backoff. If it still fails, pagination stops and the
+ * stories of the earlier pages are returned along with `failedPage`.
+ * `onPage` receives the progress after every page; passing that progress back
+ * as `resume` continues the walk from the page after it.
+ *
+ * @param {import('playwright').Page} page - Playwright page to drive
+ * @param {object} options - Extraction options
+ * @param {string} options.baseUrl - Search URL of the first results page
+ * @param {object} options.config - Parsed config.json
+ * @param {number} [options.maxPages] - Overrides `extraction.pagination.maxPages`
+ * @param {string} [options.listing] - 'api' or 'dom'; overrides `extraction.api.enabled`
+ * @param {object} [options.resume] - Progress from `onPage` to continue from
+ * @param {Function} [options.onPage] - Called with the progress after each page
+ * @returns {Promise<{stories: Array<object>, pagesVisited: number, selectorMatches: object,
+ *   source: string, totalResults: number|null, failedPage: object|null}>} - Extracted stories, how
+ *   often each candidate selector matched, where the stories came from ('api', 'dom' or 'api+dom'),
+ *   the total result count the search page reported and the page that failed, if any
+ */
+async function extractAllStories(page, { baseUrl, config, maxPages, listing, resume, onPage }) {
+  const { pagination = {}, timeouts = {}, api = {} } = config.extraction;
+  const selectors = config.selectors;
+  const pageLimit = pagination.enabled === false ? 1 : (maxPages || pagination.maxPages || 1);
+  const { retries = 2, retryDelay = 2000 } = pagination;
+
+  const progress = {
+    nextPage: 1,
+    pagesVisited: 0,
+    stories: [],
+    selectorMatches: {},
+    sources: [],
+    totalResults: null,
+    apiResultCount: 0,
+    useApi: listing ? listing === 'api' : api.enabled !== false && Boolean(api.urlPattern),
+    ...resume
+  };
+  let currentPage = progress.nextPage;
+  let hasNextPage = true;
+  let failedPage = null;
+
+  // Loads a page and reads its stories; apart from a switch to the cards it leaves the progress alone, so a failed attempt can be retried
+  const readPage = async (pageUrl) => {
+    if (progress.useApi) {
+      const apiResults = await captureApiResults(page, pageUrl, { api, pageNum: currentPage, navigationTimeout: timeouts.navigation });
+      if (apiResults) {
+        return { source: 'api', apiResults };
+      }
+      console.warn(`No listing data request matched extraction.api.urlPattern within ${api.timeout} ms; parsing the rendered cards instead`);
+      progress.useApi = false;
+      await page.waitForLoadState('networkidle', { timeout: timeouts.navigation });
+    } else {
+      await page.goto(pageUrl, {
+        waitUntil: 'networkidle',
+        timeout: timeouts.navigation
+      });
+    }
+
+    // Wait for content, then for the first card or an empty result; a page whose cards never
+    // render is treated like an empty one below
+    await page.waitForSelector(toSelectorList(selectors.dynamicContent), { timeout: timeouts.elementWait });
+    await page.waitForFunction(isListingRendered, selectors, { timeout: timeouts.elementWait })
+      .catch(() => console.warn(`No story cards rendered within ${timeouts.elementWait} ms`));
+
+    // Check if stories exist on this page
+    const storyCards = await page.$$(toSelectorList(selectors.storyCard));
+    if (storyCards.length === 0) {
+      return { source: 'dom', cardResults: null };
+    }
+
+    const cardResults = await page.evaluate(extractStoryCards, { pageNum: currentPage, selectors });
+    const paginationInfo = await page.evaluate(detectPagination, selectors);
+    return { source: 'dom', cardResults, paginationInfo };
+  };
+
+  while (hasNextPage && currentPage <= pageLimit) {
+    console.log(`\nProcessing page ${currentPage}...`);
+    const pageUrl = getPageUrl(baseUrl, currentPage);
+
+    let pageResult;
+    try {
+      pageResult = await withRetries(() => readPage(pageUrl), {
+        retries,
+        retryDelay,
+        onRetry: (error, retry, delay) => {
+          console.warn(`Page ${currentPage} failed (${error.message}); retry ${retry} of ${retries} in ${delay} ms`);
+        }
+      });
+    } catch (error) {
+      failedPage = { page: currentPage, url: pageUrl, error: error.message, attempts: error.attempts || 1 };
+      console.error(`Page ${currentPage} failed after ${failedPage.attempts} attempts: ${error.message}. Stopping pagination.`);
+      break;
+    }
+    progress.pagesVisited = currentPage;
+    if (!progress.sources.includes(pageResult.source)) {
+      progress.sources.push(pageResult.source);
+    }
+
+    let next;
+    if (pageResult.source === 'api') {
+      const { apiResults } = pageResult;
+      if (apiResults.stories.length === 0) {
+        console.log('No stories found on this page. Stopping pagination.');
+        break;
+      }
+      progress.totalResults = apiResults.total !== null ? apiResults.total : progress.totalResults;
+      progress.apiResultCount += apiResults.count;
+      const pageStories = assignStoryIds(apiResults.stories);
+      progress.stories.push(...pageStories);
+      console.log(`Found ${pageStories.length} stories on page ${currentPage} (from the listing API)`);
+
+      next = resolveApiNextPage(apiResults, currentPage, progress.apiResultCount);
+    } else {
+      const { cardResults, paginationInfo } = pageResult;
+      if (!cardResults) {
+        console.log('No stories found on this page. Stopping pagination.');
+        break;
+      }
+      const pageStories = assignStoryIds(cardResults.stories);
+      addSelectorMatches(progress.selectorMatches, cardResults.selectorMatches);
+      progress.stories.push(...pageStories);
+      console.log(`Found ${pageStories.length} stories on page ${currentPage}`);
+
+      console.log('Pagination info:', paginationInfo);
+      if (paginationInfo.totalResults > 0) {
+        progress.totalResults = paginationInfo.totalResults;
+      }
+      next = resolveNextPage(paginationInfo, currentPage);
+    }
+
+    console.log(next.message);
+    hasNextPage = next.hasNext;
+    progress.nextPage = currentPage + 1;
+    if (onPage) {
+      onPage({ ...progress, done: !hasNextPage || currentPage >= pageLimit });
+    }
+
+    if (hasNextPage) {
+      if (currentPage >= pageLimit) {
+        console.log(`Page limit of ${pageLimit} reached. Stopping pagination.`);
+        break;
+      }
+      currentPage++;
+      if (pagination.delayBetweenPages) {
+        await page.waitForTimeout(pagination.delayBetweenPages);
+      }
+    }
+  }
+
+  return {
+    stories: progress.stories,
+    pagesVisited: progress.pagesVisited,
+    selectorMatches: progress.selectorMatches,
+    source: progress.sources.join('+') || 'dom',
+    totalResults: progress.totalResults,
+    failedPage
+  };
+}
+
+/**
+ * Build the JSON document that is written to microsoft-customer-stories.json
+ * @param {Array<object>} stories - Merged stories, including removed ones
+ * @param {object} info - Run information
+ * @param {string} info.baseUrl - Search URL of the (first) query of the run
+ * @param {number} info.pagesVisited - Number of listing pages processed
+ * @param {string} [info.extractionDate] - ISO timestamp of the run
+ * @param {Array<object>} [info.queries] - Saved searches that were run, with per-query counts
+ * @param {Array<{code: string, label: string}>} [info.locales] - Locales the stories were extracted in, primary first
+ * @returns {object} - Results document with metadata and stories
+ */
+function buildResults(stories, { baseUrl, pagesVisited, extractionDate = new Date().toISOString(), queries, locales }) {
+  const activeStories = stories.filter(story => story.status !== 'removed');
+
+  return {
+    metadata: {
+      totalPages: pagesVisited,
+      totalStories: activeStories.length,
+      removedStories: stories.length - activeStories.length,
+      newStories: activeStories.filter(story => story.firstSeen === extractionDate).length,
+      extractionDate,
+      baseUrl: baseUrl,
+      storiesPerPage: activeStories.reduce((acc, story) => {
+        acc[story.page] = (acc[story.page] || 0) + 1;
+        return acc;
+      }, {}),
+      ...(queries && { queries }),
+      ...(locales && locales.length > 0 && { locales })
+    },
+    stories
+  };
+}
+
+/**
+ * Count stories per industry and per Microsoft product
+ * @param {Array<object>} stories - Extracted stories
+ * @returns {{industryCount: object, productCount: object}} - Summary statistics
+ */
+function summarizeStories(stories) {
+  const industryCount = {};
+  const productCount = {};
+
+  stories.forEach(story => {
+    if (story.industry) {
+      industryCount[story.industry] = (industryCount[story.industry] || 0) + 1;
+    }
+
+    // Count products (handle both string and object formats)
+    (story.microsoftProducts || []).forEach(product => {
+      const productName = typeof product === 'object' ? product.name : product;
+      productCount[productName] = (productCount[productName] || 0) + 1;
+    });
+  });
+
+  return { industryCount, productCount };
+}
+
+module.exports = {
+  extractAllStories,
+  buildResults,
+  summarizeStories
+};
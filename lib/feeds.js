@@ -0,0 +1,270 @@
+/**
+ * Atom and JSON Feed output of the newest stories.
+ *
+ * Entry IDs are built from the configured `idPrefix` and the story's
+ * `globalId` only, so a story keeps its ID across runs, site moves and title
+ * changes and feed readers do not show it as new again. There is no default
+ * prefix: IDs must be minted on a domain the site's owner controls. Entry dates come from
+ * `firstSeen` or the publish date, which do not change between runs either.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { writeFileAtomic } = require('./download-manager');
+const { escapeHtml, safeStoryUrl, getProductNames } = require('../safe-html');
+const { planPages } = require('./static-site');
+
+const DEFAULT_FEED_OPTIONS = {
+  orderBy: 'firstSeen',
+  limit: 50,
+  perIndustry: true,
+  perProduct: true
+};
+
+const JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+
+/**
+ * Parse a date string to an ISO timestamp
+ * @param {string} value - Date string
+ * @returns {string|null} - ISO timestamp, or null if the date cannot be parsed
+ */
+function toIsoDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : null;
+}
+
+/**
+ * Get the date a story is listed under in the feeds
+ * @param {object} story - Story
+ * @param {string} orderBy - "firstSeen" or "published"
+ * @returns {string|null} - ISO timestamp; the publish date falls back to `firstSeen` when it is unknown
+ */
+function getFeedDate(story, orderBy) {
+  const published = orderBy === 'published' ?
+    toIsoDate(story.details?.publishedDate) || toIsoDate(story.publishedDate) :
+    null;
+  return published || toIsoDate(story.firstSeen) || toIsoDate(story.extractedAt);
+}
+
+/**
+ * Resolve a path inside the site against its public URL
+ * @param {string} baseUrl - Public URL of the site, or an empty string
+ * @param {string} sitePath - Path relative to the site root
+ * @returns {string|null} - Absolute URL, or null without a base URL
+ */
+function toSiteUrl(baseUrl, sitePath) {
+  return baseUrl ? new URL(sitePath, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).href : null;
+}
+
+/**
+ * Build a feed entry for a story
+ * @param {object} story - Story
+ * @param {object} options - Feed options
+ * @param {string} options.orderBy - "firstSeen" or "published"
+ * @param {string} options.idPrefix - Prefix of every feed and entry ID
+ * @param {string} options.baseUrl - Public URL of the web app, or an empty string
+ * @returns {object} - Entry with `id`, `date`, `title`, `url`, `storyUrl`, `image`, `tags` and `contentHtml`
+ */
+function toFeedEntry(story, { orderBy, idPrefix, baseUrl }) {
+  const storyUrl = safeStoryUrl(story.storyUrl);
+  const headerImage = story.media?.headerImageLocal && baseUrl ?
+    toSiteUrl(baseUrl, story.media.headerImageLocal) :
+    /^https?:\/\//.test(story.media?.headerImage || '') ? story.media.headerImage : null;
+  const products = getProductNames(story);
+
+  const contentHtml = [
+    headerImage && `<p><img src="${escapeHtml(headerImage)}" alt="${escapeHtml(story.media?.headerImageAlt || '')}"></p>`,
+    story.industry && `<p>Industry: ${escapeHtml(story.industry)}</p>`,
+    products.length > 0 && `<p>Microsoft products: ${products.map(escapeHtml).join(', ')}</p>`,
+    storyUrl && `<p><a href="${escapeHtml(storyUrl)}">Read the story on microsoft.com</a></p>`
+  ].filter(Boolean).join('\n');
+
+  return {
+    id: `${idPrefix}story:${story.globalId}`,
+    date: getFeedDate(story, orderBy),
+    title: story.title,
+    // With a base URL the entry opens the story in the web app, otherwise on microsoft.com
+    url: baseUrl ? toSiteUrl(baseUrl, `?story=${encodeURIComponent(story.globalId)}`) : storyUrl,
+    storyUrl,
+    image: headerImage,
+    tags: [story.industry, ...products].filter(Boolean),
+    contentHtml
+  };
+}
+
+/**
+ * Build a feed of the newest active stories
+ * @param {Array<object>} stories - Stories
+ * @param {object} options - Feed options
+ * @param {string} options.id - Feed ID
+ * @param {string} options.title - Feed title
+ * @param {string} [options.subtitle] - Feed description
+ * @param {string} options.path - Path of the Atom feed relative to the site root, without extension
+ * @param {string} [options.baseUrl] - Public URL of the web app
+ * @param {string} [options.updated] - Timestamp to use when the feed has no entries
+ * @param {object} options.feedOptions - Resolved `site.feeds` options
+ * @returns {object} - Feed with its entries, newest first
+ */
+function buildFeed(stories, { id, title, subtitle = '', path: feedPath, baseUrl = '', updated, feedOptions }) {
+  const entries = stories
+    .filter(story => story.status !== 'removed' && story.globalId)
+    .map(story => toFeedEntry(story, { ...feedOptions, baseUrl }))
+    .filter(entry => entry.date && (entry.url || entry.storyUrl))
+    // Stories found in the same run keep their listing order, newest first on microsoft.com
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, feedOptions.limit);
+
+  return {
+    id,
+    title,
+    subtitle,
+    // The newest entry's date, so a run without new stories leaves the feed unchanged
+    updated: entries[0]?.date || toIsoDate(updated) || new Date(0).toISOString(),
+    homePageUrl: toSiteUrl(baseUrl, ''),
+    atomUrl: toSiteUrl(baseUrl, `${feedPath}.xml`),
+    jsonUrl: toSiteUrl(baseUrl, `${feedPath}.json`),
+    entries
+  };
+}
+
+/**
+ * Render a feed as an Atom document
+ * @param {object} feed - Result of `buildFeed`
+ * @returns {string} - XML document
+ */
+function renderAtomFeed(feed) {
+  const links = [
+    feed.homePageUrl && `  <link rel="alternate" type="text/html" href="${escapeHtml(feed.homePageUrl)}"/>`,
+    feed.atomUrl && `  <link rel="self" type="application/atom+xml" href="${escapeHtml(feed.atomUrl)}"/>`
+  ].filter(Boolean);
+
+  const entries = feed.entries.map(entry => [
+    '  <entry>',
+    `    <id>${escapeHtml(entry.id)}</id>`,
+    `    <title>${escapeHtml(entry.title)}</title>`,
+    `    <updated>${entry.date}</updated>`,
+    `    <published>${entry.date}</published>`,
+    `    <link rel="alternate" type="text/html" href="${escapeHtml(entry.url || entry.storyUrl)}"/>`,
+    entry.url && entry.storyUrl && entry.url !== entry.storyUrl &&
+      `    <link rel="related" type="text/html" href="${escapeHtml(entry.storyUrl)}"/>`,
+    ...entry.tags.map(tag => `    <category term="${escapeHtml(tag)}"/>`),
+    `    <content type="html">${escapeHtml(entry.contentHtml)}</content>`,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeHtml(feed.id)}</id>
+  <title>${escapeHtml(feed.title)}</title>
+${feed.subtitle ? `  <subtitle>${escapeHtml(feed.subtitle)}</subtitle>\n` : ''}  <updated>${feed.updated}</updated>
+  <author><name>${escapeHtml(feed.title)}</name></author>
+${[...links, ...entries].join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Render a feed as a JSON Feed 1.1 document
+ * @param {object} feed - Result of `buildFeed`
+ * @returns {string} - JSON document
+ */
+function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: JSON_FEED_VERSION,
+    title: feed.title,
+    ...(feed.subtitle && { description: feed.subtitle }),
+    ...(feed.homePageUrl && { home_page_url: feed.homePageUrl }),
+    ...(feed.jsonUrl && { feed_url: feed.jsonUrl }),
+    items: feed.entries.map(entry => ({
+      id: entry.id,
+      url: entry.url || entry.storyUrl,
+      ...(entry.url && entry.storyUrl && entry.url !== entry.storyUrl && { external_url: entry.storyUrl }),
+      title: entry.title,
+      content_html: entry.contentHtml,
+      ...(entry.image && { image: entry.image }),
+      date_published: entry.date,
+      tags: entry.tags
+    }))
+  }, null, 2);
+}
+
+/**
+ * Write the site's feeds: `feed.xml` and `feed.json` with the newest stories,
+ * and with `perIndustry`/`perProduct`, one pair per industry and per product
+ * under `feeds/industries/` and `feeds/products/`, named like the static
+ * site's listing pages
+ *
+ * @param {object} results - Results document (metadata and stories)
+ * @param {object} options - Write options
+ * @param {string} options.directory - Site root to write the feeds to
+ * @param {object} options.site - The `site` section of config.json (title, subtitle and `feeds` options, which must set `idPrefix`)
+ * @param {string} [options.baseUrl] - Public URL of the web app; feed readers need it for links to the app and local images
+ * @param {string} [options.feedFile] - Atom feed path relative to the directory (default: feed.xml)
+ * @param {string} [options.jsonFeedFile] - JSON Feed path relative to the directory (default: feed.json)
+ * @param {string} [options.feedDirectory] - Directory of the per-industry and per-product feeds (default: feeds)
+ * @returns {Array<string>} - Paths of the files written
+ */
+function writeFeeds(results, { directory, site = {}, baseUrl = '', feedFile = 'feed.xml', jsonFeedFile = 'feed.json', feedDirectory = 'feeds' }) {
+  const feedOptions = { ...DEFAULT_FEED_OPTIONS, ...site.feeds };
+  if (!['firstSeen', 'published'].includes(feedOptions.orderBy)) {
+    throw new Error(`site.feeds.orderBy must be "firstSeen" or "published", got "${feedOptions.orderBy}"`);
+  }
+  if (!feedOptions.idPrefix) {
+    throw new Error('site.feeds.idPrefix is missing; set it to a tag URI on a domain you own, like "tag:example.com,2025:customer-stories:"');
+  }
+
+  const stories = (results.stories || []).filter(story => story.status !== 'removed' && story.globalId);
+  const siteTitle = site.title || 'Microsoft Customer Stories';
+  const common = { baseUrl, updated: results.metadata?.extractionDate, feedOptions };
+  const written = [];
+
+  const write = (feed, atomPath, jsonPath) => {
+    [[atomPath, renderAtomFeed(feed)], [jsonPath, renderJsonFeed(feed)]].forEach(([relativePath, content]) => {
+      const target = path.join(directory, relativePath);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      writeFileAtomic(target, content);
+      written.push(target);
+    });
+  };
+
+  write(buildFeed(stories, {
+    ...common,
+    id: `${feedOptions.idPrefix}feed`,
+    title: siteTitle,
+    subtitle: site.subtitle,
+    path: feedFile.replace(/\.xml$/, '')
+  }), feedFile, jsonFeedFile);
+
+  const { industries, products } = planPages(stories);
+  [[feedOptions.perIndustry, industries, 'Industry'], [feedOptions.perProduct, products, 'Product']]
+    .filter(([enabled]) => enabled)
+    .forEach(([, groups, kind]) => groups.forEach(group => {
+      const groupPath = `${feedDirectory}/${group.page.replace(/\.html$/, '')}`;
+      write(buildFeed(group.stories, {
+        ...common,
+        id: `${feedOptions.idPrefix}feed:${group.page.replace(/\.html$/, '')}`,
+        title: `${siteTitle}: ${group.name}`,
+        subtitle: `${kind}: ${group.name}`,
+        path: groupPath
+      }), `${groupPath}.xml`, `${groupPath}.json`);
+    }));
+
+  // Industries and products that no longer have active stories lose their feeds
+  ['industries', 'products'].map(kind => path.join(directory, feedDirectory, kind))
+    .filter(kindDirectory => fs.existsSync(kindDirectory))
+    .forEach(kindDirectory => fs.readdirSync(kindDirectory)
+      .map(file => path.join(kindDirectory, file))
+      .filter(file => /\.(xml|json)$/.test(file) && !written.includes(file))
+      .forEach(file => fs.rmSync(file)));
+
+  return written;
+}
+
+module.exports = {
+  getFeedDate,
+  buildFeed,
+  renderAtomFeed,
+  renderJsonFeed,
+  writeFeeds
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseStoryUrl } = require('./stories');
+
+/**
+ * Load the results document written by a previous run
+ *
+ * Stories from files written before story IDs were derived from URLs are
+ * re-keyed so they can be matched against the current run.
+ *
+ * @param {string} dataFile - Path to microsoft-customer-stories.json
+ * @returns {object|null} - Previous results, or null if there are none
+ */
+function loadPreviousResults(dataFile) {
+  if (!fs.existsSync(dataFile)) {
+    return null;
+  }
+
+  let results;
+  try {
+    results = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+  } catch (error) {
+    console.warn(`Ignoring previous results in ${dataFile}: ${error.message}`);
+    return null;
+  }
+
+  results.stories = (results.stories || []).map(story => {
+    const identity = parseStoryUrl(story.storyUrl);
+    return identity && story.globalId !== identity.storyId
+      ? { ...story, globalId: identity.storyId, ...identity }
+      : story;
+  });
+  return results;
+}
+
+/**
+ * Hash the fields read from a listing card, used to detect unchanged stories
+ * @param {object} story - Story object
+ * @returns {string} - Hex digest of the card data
+ */
+function computeCardHash(story) {
+  const cardData = {
+    title: story.title,
+    industry: story.industry,
+    storyUrl: story.storyUrl,
+    logo: story.company?.logo || '',
+    headerImage: story.media?.headerImage || '',
+    headerImageAlt: story.media?.headerImageAlt || '',
+    products: (story.microsoftProducts || []).map(product => [product.name, product.icon, product.iconAlt])
+  };
+  return crypto.createHash('sha1').update(JSON.stringify(cardData)).digest('hex');
+}
+
+/**
+ * Check that every image path recorded on a story exists on disk
+ * @param {object} story - Story object
+ * @param {string} rootDir - Directory the local image paths are relative to
+ * @returns {boolean} - True when no downloaded image is missing
+ */
+function hasLocalImages(story, rootDir) {
+  const expected = [
+    [story.company?.logo, story.company?.logoLocal],
+    [story.media?.headerImage, story.media?.headerImageLocal],
+    ...(story.microsoftProducts || []).map(product => [product.icon, product.iconLocal])
+  ];
+
+  return expected.every(([remoteUrl, localPath]) =>
+    !remoteUrl || (localPath && fs.existsSync(path.join(rootDir, localPath)))
+  );
+}
+
+/**
+ * Merge the stories of the current run into the previous dataset
+ *
+ * - New stories get `firstSeen` set to the run date.
+ * - Stories still listed keep their `firstSeen` and get a new `lastSeen`. When
+ *   their card data is unchanged the previous record (including downloaded
+ *   image paths) is kept and the story is reported as unchanged. Changed
+ *   stories keep the details crawled from their story page.
+ * - Translations from `locales` are updated per locale; a locale that did not
+ *   list the story this run keeps its translation from earlier runs.
+ * - Stories that are no longer listed are kept with `status: "removed"`.
+ *
+ * @param {Array<object>} previousStories - Stories from the previous results
+ * @param {Array<object>} currentStories - Stories extracted in this run
+ * @param {string} runDate - ISO timestamp of this run
+ * @returns {{stories: Array<object>, unchangedIds: Set<string>}} - Merged stories
+ */
+function mergeStories(previousStories, currentStories, runDate) {
+  const previousById = new Map(previousStories.map(story => [story.globalId, story]));
+  const currentIds = new Set();
+  const unchangedIds = new Set();
+
+  const merged = currentStories.map(story => {
+    currentIds.add(story.globalId);
+    const cardHash = computeCardHash(story);
+    const previous = previousById.get(story.globalId);
+    const localeFields = story.locales && { locales: { ...previous?.locales, ...story.locales } };
+    const history = {
+      status: 'active',
+      firstSeen: previous ? previous.firstSeen || previous.extractedAt || runDate : runDate,
+      lastSeen: runDate,
+      cardHash
+    };
+
+    if (previous && previous.cardHash === cardHash) {
+      unchangedIds.add(story.globalId);
+      const { removedAt, ...kept } = previous;
+      const listing = {
+        page: story.page,
+        positionOnPage: story.positionOnPage,
+        queries: story.queries,
+        ...(story.publishedDate && { publishedDate: story.publishedDate }),
+        ...localeFields
+      };
+      return { ...kept, ...listing, ...history };
+    }
+
+    // Keep what was learned from the story page until it is crawled again
+    if (previous && previous.details) {
+      return {
+        ...story,
+        company: { ...story.company, ...(previous.company?.name && { name: previous.company.name }) },
+        details: previous.details,
+        ...localeFields,
+        ...history
+      };
+    }
+    return { ...story, ...localeFields, ...history };
+  });
+
+  const removed = previousStories
+    .filter(story => !currentIds.has(story.globalId))
+    .map(story => ({
+      ...story,
+      status: 'removed',
+      firstSeen: story.firstSeen || story.extractedAt || runDate,
+      lastSeen: story.lastSeen || story.extractedAt || runDate,
+      removedAt: story.removedAt || runDate
+    }));
+
+  return { stories: [...merged, ...removed], unchangedIds };
+}
+
+module.exports = {
+  loadPreviousResults,
+  computeCardHash,
+  hasLocalImages,
+  mergeStories
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+/**
+ * Variant widths generated for each kind of image when config.json does not set
+ * extraction.imageVariants.sizes. Widths are roughly twice the size the web app
+ * displays the image at, for high-density screens.
+ */
+const DEFAULT_SIZES = {
+  headerImage: { card: 640, thumb: 400 },
+  logo: { thumb: 120 },
+  icon: { icon: 32 }
+};
+
+// Formats sharp can re-encode; SVGs scale on their own and are left alone
+const RASTER_FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'png', avif: 'avif' };
+
+/**
+ * Write resized variants of one image next to it, plus a WebP copy of each
+ * variant. Files that are newer than the source image are reused.
+ * @param {string} sourcePath - Path to the downloaded image
+ * @param {object} sizes - Map of variant name to maximum width in pixels
+ * @param {object} options - Encoding options
+ * @param {boolean} [options.webp] - Also write WebP versions
+ * @param {number} [options.quality] - JPEG/WebP quality
+ * @returns {Promise<{width: number, height: number, variants: Array<object>}|null>} - Source
+ *   dimensions and variant files (filenames relative to the source directory), or null for
+ *   images that are not resized (SVG)
+ */
+async function createImageVariants(sourcePath, sizes, { webp = true, quality = 80 } = {}) {
+  const metadata = await sharp(sourcePath).metadata();
+  const extension = RASTER_FORMATS[metadata.format];
+  if (!extension) {
+    return null;
+  }
+
+  const dir = path.dirname(sourcePath);
+  const base = path.basename(sourcePath, path.extname(sourcePath));
+  const sourceModified = fs.statSync(sourcePath).mtimeMs;
+  const isFresh = file => fs.existsSync(file) && fs.statSync(file).mtimeMs >= sourceModified;
+
+  const variants = [];
+  for (const [name, maxWidth] of Object.entries(sizes)) {
+    const width = Math.min(maxWidth, metadata.width);
+    const height = Math.round(metadata.height * width / metadata.width);
+    const variant = { name, width, height, file: `${base}_${name}.${extension}` };
+
+    const resized = () => sharp(sourcePath).resize({ width, withoutEnlargement: true });
+    const target = path.join(dir, variant.file);
+    if (!isFresh(target)) {
+      const encoder = resized();
+      await (extension === 'jpg' ? encoder.jpeg({ quality, mozjpeg: true }) : encoder.toFormat(extension)).toFile(target);
+    }
+
+    if (webp && extension !== 'webp') {
+      variant.webpFile = `${base}_${name}.webp`;
+      const webpTarget = path.join(dir, variant.webpFile);
+      if (!isFresh(webpTarget)) {
+        await resized().webp({ quality }).toFile(webpTarget);
+      }
+    }
+
+    variants.push(variant);
+  }
+
+  return { width: metadata.width, height: metadata.height, variants };
+}
+
+/**
+ * Create variants for the logo, header image and product icons of every story
+ * that has them downloaded, and record dimensions and variant paths on the
+ * stories as `<field>Width`, `<field>Height` and `<field>Variants`
+ * (e.g. `media.headerImageVariants`)
+ * @param {Array<object>} stories - Stories with local image paths (mutated in place)
+ * @param {object} options - Variant options
+ * @param {string} options.rootDir - Directory the local image paths are relative to
+ * @param {object} [options.sizes] - Variant widths per image kind (see DEFAULT_SIZES)
+ * @param {boolean} [options.webp] - Also write WebP versions
+ * @param {number} [options.quality] - JPEG/WebP quality
+ * @returns {Promise<{processed: number, failed: number}>} - Number of images processed and failed
+ */
+async function createStoryImageVariants(stories, { rootDir, sizes = {}, webp = true, quality = 80 }) {
+  const sizesByKind = { ...DEFAULT_SIZES, ...sizes };
+  const cache = new Map();
+  const counts = { processed: 0, failed: 0 };
+
+  const applyVariants = async (target, field, localPath, kind) => {
+    if (!target || !localPath) {
+      return;
+    }
+
+    // Deduplicated images share a file, so share its variants too
+    if (!cache.has(localPath)) {
+      cache.set(localPath, createImageVariants(path.join(rootDir, localPath), sizesByKind[kind], { webp, quality }));
+    }
+
+    try {
+      const result = await cache.get(localPath);
+      if (!result) {
+        return;
+      }
+
+      const dir = path.posix.dirname(localPath);
+      target[`${field}Width`] = result.width;
+      target[`${field}Height`] = result.height;
+      target[`${field}Variants`] = result.variants.map(variant => ({
+        name: variant.name,
+        width: variant.width,
+        height: variant.height,
+        path: `${dir}/${variant.file}`,
+        ...(variant.webpFile ? { webpPath: `${dir}/${variant.webpFile}` } : {})
+      }));
+      counts.processed++;
+    } catch (error) {
+      counts.failed++;
+      console.warn(`  Failed to create variants for ${localPath}: ${error.message}`);
+    }
+  };
+
+  for (const story of stories) {
+    await applyVariants(story.company, 'logo', story.company?.logoLocal, 'logo');
+    await applyVariants(story.media, 'headerImage', story.media?.headerImageLocal, 'headerImage');
+
+    for (const product of story.microsoftProducts || []) {
+      if (typeof product === 'object') {
+        await applyVariants(product, 'icon', product.iconLocal, 'icon');
+      }
+    }
+  }
+
+  console.log(`Image variants: ${counts.processed} images processed, ${counts.failed} failed`);
+  return counts;
+}
+
+module.exports = {
+  DEFAULT_SIZES,
+  createImageVariants,
+  createStoryImageVariants
+};
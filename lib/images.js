@@ -0,0 +1,106 @@
+const { runWithConcurrency, createDownloadManager } = require('./download-manager');
+
+/**
+ * Generate safe filename from globalId and other identifiers (no company name)
+ * @param {string} globalId - Stable story ID derived from the story URL (see lib/stories.js)
+ * @param {string} type - Type of image (logo, header, product-icon)
+ * @param {string} extension - File extension
+ * @returns {string} - Safe filename
+ */
+function generateImageFilename(globalId, type, extension) {
+  return `${globalId}_${type}.${extension}`;
+}
+
+/**
+ * Download the logo, header image and product icons of every story and
+ * record their local paths on the story objects
+ *
+ * Downloads run concurrently through a download manager (see
+ * lib/download-manager.js), which skips assets the server reports as
+ * unchanged and stores identical images only once. Images are downloaded in
+ * batches of `batchSize`; after each batch the media manifest is saved and
+ * `onBatch` is called, so a long run can record its progress.
+ *
+ * @param {Array<object>} stories - Extracted stories (mutated in place)
+ * @param {object} options - Download options
+ * @param {string} options.mediaDir - Directory where images are written
+ * @param {string} options.publicPath - Path prefix stored in the JSON (e.g. "media")
+ * @param {number} options.timeout - Per-image download timeout in milliseconds
+ * @param {number} options.concurrency - Maximum number of downloads in flight
+ * @param {number} options.retries - Retries per image for transient failures
+ * @param {number} options.retryDelay - Initial retry backoff in milliseconds
+ * @param {number} options.maxRedirects - Redirects to follow per image
+ * @param {string} options.manifestFile - Media manifest path (default: manifest.json in mediaDir)
+ * @param {string} [options.reuseSince] - ISO timestamp; images fetched since then are reused without a request
+ * @param {number} [options.batchSize] - Images per batch
+ * @param {Function} [options.onBatch] - Called after each batch with the summary so far, the number
+ *   of images processed and the total
+ * @returns {Promise<object>} - Counts per download status and the list of failures
+ */
+async function downloadStoryImages(stories, {
+  mediaDir,
+  publicPath = 'media',
+  timeout = 30000,
+  concurrency = 4,
+  retries = 3,
+  retryDelay = 1000,
+  maxRedirects = 5,
+  manifestFile,
+  reuseSince,
+  batchSize = 20,
+  onBatch
+}) {
+  const manager = createDownloadManager({ mediaDir, manifestFile, timeout, retries, retryDelay, maxRedirects, reuseSince });
+  const summary = { downloaded: 0, unchanged: 0, 'not-modified': 0, deduplicated: 0, failed: [] };
+
+  const tasks = [];
+  const addTask = (story, url, type, label, target, key) => {
+    if (url && !url.startsWith('data:')) {
+      tasks.push({ story, url, type, label, target, key });
+    }
+  };
+
+  for (const story of stories) {
+    addTask(story, story.company?.logo, 'logo', 'logo', story.company, 'logoLocal');
+    addTask(story, story.media?.headerImage, 'header', 'header image', story.media, 'headerImageLocal');
+
+    for (const product of story.microsoftProducts || []) {
+      if (typeof product === 'object' && product.icon) {
+        const productSafeName = product.name.replace(/[^a-zA-Z0-9]/g, '_').toLowerCase();
+        addTask(story, product.icon, `product_${productSafeName}`, `product icon for ${product.name}`, product, 'iconLocal');
+      }
+    }
+  }
+
+  console.log(`Downloading ${tasks.length} images for ${stories.length} stories (concurrency ${concurrency})`);
+
+  for (let start = 0; start < tasks.length; start += batchSize) {
+    await runWithConcurrency(tasks.slice(start, start + batchSize), concurrency, async (task) => {
+      try {
+        const { file, status } = await manager.fetch(task.url,
+          extension => generateImageFilename(task.story.globalId, task.type, extension));
+        task.target[task.key] = `${publicPath}/${file}`;
+        summary[status]++;
+        console.log(`  ${task.story.globalId} ${task.label}: ${file} (${status})`);
+      } catch (error) {
+        summary.failed.push({ globalId: task.story.globalId, url: task.url, error: error.message });
+        console.warn(`  Failed to download ${task.label} for story ${task.story.globalId}: ${error.message}`);
+      }
+    });
+
+    manager.save();
+    if (onBatch) {
+      onBatch(summary, Math.min(start + batchSize, tasks.length), tasks.length);
+    }
+  }
+
+  manager.save();
+  console.log(`Images: ${summary.downloaded} downloaded, ${summary['not-modified'] + summary.unchanged} unchanged, ` +
+    `${summary.deduplicated} deduplicated, ${summary.failed.length} failed`);
+  return summary;
+}
+
+module.exports = {
+  generateImageFilename,
+  downloadStoryImages
+};
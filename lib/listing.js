@@ -0,0 +1,252 @@
+/**
+ * Listing page parsing helpers.
+ *
+ * `extractStoryCards` and `detectPagination` are passed to `page.evaluate`, so
+ * they run inside the browser and must not reference anything outside their
+ * own body. Selectors are handed in from config.json; each may be a single
+ * selector or an ordered list of fallback candidates.
+ */
+
+/**
+ * Extract story data from every customer story card on the current page
+ *
+ * Each card selector in config.json may be a single selector or an ordered
+ * list of candidates; the first candidate that matches is used. The selector
+ * that matched each field is counted so selector drift can be reported.
+ *
+ * @param {object} args - Evaluation arguments
+ * @param {number} args.pageNum - Current page number
+ * @param {object} args.selectors - The `selectors` section of config.json
+ * @returns {{stories: Array<object>, selectorMatches: object}} - Stories found on the page
+ *   and, per field, how often each candidate selector matched (`(none)` when none did)
+ */
+function extractStoryCards({ pageNum, selectors }) {
+  const stories = [];
+  const selectorMatches = {};
+
+  const candidates = field => (Array.isArray(selectors[field]) ? selectors[field] : [selectors[field]]);
+  const recordMatch = (field, selector) => {
+    const counts = selectorMatches[field] || (selectorMatches[field] = {});
+    counts[selector] = (counts[selector] || 0) + 1;
+  };
+  const queryField = (root, field) => {
+    for (const selector of candidates(field)) {
+      const element = root.querySelector(selector);
+      if (element) {
+        recordMatch(field, selector);
+        return element;
+      }
+    }
+    recordMatch(field, '(none)');
+    return null;
+  };
+  const queryAllField = (root, field) => {
+    for (const selector of candidates(field)) {
+      const elements = root.querySelectorAll(selector);
+      if (elements.length > 0) {
+        recordMatch(field, selector);
+        return Array.from(elements);
+      }
+    }
+    recordMatch(field, '(none)');
+    return [];
+  };
+
+  const cards = queryAllField(document, 'storyCard');
+
+  cards.forEach((card, index) => {
+    try {
+      const titleElement = queryField(card, 'title');
+      const industryElement = queryField(card, 'industry');
+      const storyLink = queryField(card, 'storyLink');
+      const logoImg = queryField(card, 'companyLogo');
+
+      // Extract header/story image
+      const headerImg = queryField(card, 'headerImage');
+
+      if (titleElement && storyLink) {
+        // Extract products for this story with icons
+        const products = [];
+        const productElements = queryAllField(card, 'products');
+        productElements.forEach(product => {
+          const productLabel = queryField(product, 'productLabel');
+          const productIcon = product.querySelector('img');
+
+          if (productLabel) {
+            products.push({
+              name: productLabel.textContent.trim(),
+              icon: productIcon ? productIcon.getAttribute('src') || '' : '',
+              iconAlt: productIcon ? productIcon.getAttribute('alt') || '' : ''
+            });
+          }
+        });
+
+        stories.push({
+          page: pageNum,
+          positionOnPage: index + 1,
+          title: titleElement.textContent.trim(),
+          industry: industryElement ? industryElement.textContent.replace('Industry: ', '').trim() : '',
+          storyUrl: storyLink.href || storyLink.getAttribute('href'),
+
+          // Company information with logo only (no name extraction)
+          company: {
+            logo: logoImg ? logoImg.getAttribute('src') || '' : ''
+          },
+
+          // Story media assets
+          media: {
+            headerImage: headerImg ? headerImg.getAttribute('src') || '' : '',
+            headerImageAlt: headerImg ? headerImg.getAttribute('alt') || '' : ''
+          },
+
+          microsoftProducts: products,
+          extractedAt: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      console.error(`Error extracting story on page ${pageNum}, position ${index + 1}:`, error.message);
+    }
+  });
+
+  return { stories, selectorMatches };
+}
+
+/**
+ * Check whether the listing has rendered its cards or reports no results
+ *
+ * Runs in the browser (`page.waitForFunction`), so the extractor can move on
+ * as soon as the cards are there instead of sleeping a fixed time.
+ *
+ * @param {object} selectors - The `selectors` section of config.json
+ * @returns {boolean} - True once a story card exists or the result total is 0
+ */
+function isListingRendered(selectors) {
+  const select = field => document.querySelector([].concat(selectors[field]).join(', '));
+  const showTotal = select('showTotal');
+  return select('storyCard') !== null || (showTotal !== null && showTotal.textContent.trim() === '0');
+}
+
+/**
+ * Inspect the pagination controls of the current page
+ *
+ * Uses multiple indicators, in order of reliability:
+ * 1. Primary: Check if pagination container has 'd-none' class (hidden = single page)
+ * 2. Secondary: Compare showing values (show-value === show-total = all results on one page)
+ * 3. Tertiary: Parse pagination announcement text for "Page X of Y"
+ * 4. Fallback: Check next button state (disabled or missing = no more pages)
+ *
+ * @param {object} selectors - The `selectors` section of config.json
+ * @returns {object} - Pagination info
+ */
+function detectPagination(selectors) {
+  const select = field => document.querySelector([].concat(selectors[field]).join(', '));
+
+  // Strategy 1: Check if pagination container is hidden (most reliable for single page)
+  const paginationContainer = select('paginationContainer');
+  const isPaginationHidden = paginationContainer && paginationContainer.classList.contains('d-none');
+
+  // Strategy 2: Compare showing values to determine if all results are on one page
+  const showValue = select('showValue');
+  const showTotal = select('showTotal');
+  const currentShowing = showValue ? parseInt(showValue.textContent) : 0;
+  const totalResults = showTotal ? parseInt(showTotal.textContent) : 0;
+  const allResultsOnOnePage = currentShowing === totalResults && totalResults > 0;
+
+  // Strategy 3: Check pagination announcement for page numbers
+  const paginationElement = select('paginationAnnouncement');
+  const paginationText = paginationElement ? paginationElement.textContent : '';
+  const match = paginationText.match(/Page (\d+) of (\d+)/);
+
+  // Strategy 4: Check right arrow state
+  const nextButton = select('nextPageButton');
+  const nextButtonDisabled = !nextButton ||
+    nextButton.classList.contains('disabled') ||
+    nextButton.getAttribute('aria-disabled') === 'true';
+
+  // Only consider it a single page if pagination is truly hidden AND all results are shown
+  // If pagination container exists but not hidden, check other indicators
+  if (isPaginationHidden && allResultsOnOnePage) {
+    return {
+      currentPage: 1,
+      totalPages: 1,
+      hasNext: false,
+      singlePage: true,
+      totalResults,
+      showingResults: `${currentShowing} of ${totalResults}`,
+      reason: 'pagination hidden and all results shown'
+    };
+  }
+
+  if (match) {
+    const currentPage = parseInt(match[1]);
+    const totalPages = parseInt(match[2]);
+    return {
+      currentPage: currentPage,
+      totalPages: totalPages,
+      hasNext: currentPage < totalPages,
+      singlePage: totalPages === 1,
+      totalResults,
+      showingResults: `${currentShowing} of ${totalResults}`,
+      reason: 'pagination announcement'
+    };
+  }
+
+  // Fallback: check next button state
+  return {
+    hasNext: !nextButtonDisabled,
+    currentPage: null,
+    totalPages: null,
+    singlePage: false,
+    totalResults,
+    showingResults: `${currentShowing} of ${totalResults}`,
+    reason: 'next button state'
+  };
+}
+
+/**
+ * Combine a selector or list of candidate selectors into one CSS selector list
+ * @param {string|Array<string>} value - Selector or candidates from config.json
+ * @returns {string} - CSS selector matching any candidate
+ */
+function toSelectorList(value) {
+  return [].concat(value).join(', ');
+}
+
+/**
+ * Decide whether the extractor should continue to the next page
+ * @param {object} paginationInfo - Result of `detectPagination`
+ * @param {number} currentPage - Page that was just processed
+ * @returns {{hasNext: boolean, message: string}} - Decision and a log message
+ */
+function resolveNextPage(paginationInfo, currentPage) {
+  if (paginationInfo.singlePage) {
+    return {
+      hasNext: false,
+      message: `Single page detected (${paginationInfo.reason}): ${paginationInfo.showingResults}`
+    };
+  }
+  if (paginationInfo.totalPages && currentPage >= paginationInfo.totalPages) {
+    return {
+      hasNext: false,
+      message: `Reached last page (${paginationInfo.totalPages}): ${paginationInfo.showingResults}`
+    };
+  }
+  if (paginationInfo.hasNext === false) {
+    return {
+      hasNext: false,
+      message: `No more pages available (${paginationInfo.reason}): ${paginationInfo.showingResults}`
+    };
+  }
+  return {
+    hasNext: true,
+    message: `Navigating to page ${currentPage + 1}... (${paginationInfo.showingResults})`
+  };
+}
+
+module.exports = {
+  extractStoryCards,
+  isListingRendered,
+  detectPagination,
+  toSelectorList,
+  resolveNextPage
+};
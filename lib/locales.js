@@ -0,0 +1,111 @@
+/**
+ * Locale helpers.
+ *
+ * microsoft.com puts the locale in the first path segment, as in
+ * `/en-us/customers/search/` or `/zh-tw/customers/story/24963-...`. A story
+ * keeps its numeric ID in every language, so the translations found on each
+ * locale's search page are linked to one record by `globalId`.
+ */
+
+const LOCALE_PATTERN = /^[a-z]{2}(-[a-z0-9]{2,4})?$/;
+
+/**
+ * Validate a locale code
+ * @param {string} code - Locale code from config.json or the command line
+ * @returns {string} - Lowercase code
+ */
+function toLocaleCode(code) {
+  const normalized = (code || '').toLowerCase();
+  if (!LOCALE_PATTERN.test(normalized)) {
+    throw new Error(`Locale codes must look like "en-us" or "ja", got "${code}"`);
+  }
+  return normalized;
+}
+
+/**
+ * Point a microsoft.com URL at another locale
+ * @param {string} url - Absolute URL
+ * @param {string} locale - Locale code (e.g. "zh-hk")
+ * @returns {string} - URL with its locale segment replaced, or prefixed when it has none
+ */
+function toLocaleUrl(url, locale) {
+  const parsed = new URL(url);
+  const segments = parsed.pathname.split('/');
+  if (LOCALE_PATTERN.test((segments[1] || '').toLowerCase())) {
+    segments[1] = locale;
+  } else {
+    segments.splice(1, 0, locale);
+  }
+  parsed.pathname = segments.join('/');
+  return parsed.href;
+}
+
+/**
+ * Resolve the locales to extract in this run
+ *
+ * `extraction.locales` lists locale codes, or `{ code, label }` objects that
+ * name the language in the web app's switcher. The first locale is the
+ * primary one: its text fills a story's top-level fields.
+ *
+ * @param {object} extraction - The `extraction` section of config.json
+ * @param {Array<string>} [codes] - Only extract these locales, in this order
+ * @returns {Array<{code: string, label: string}>} - Locales to extract, or an empty list when none are configured
+ */
+function resolveLocales(extraction, codes) {
+  const configured = (extraction.locales || []).map(locale => {
+    const entry = typeof locale === 'string' ? { code: locale } : locale;
+    const code = toLocaleCode(entry.code);
+    return { code, label: entry.label || code };
+  });
+
+  const selected = !codes || codes.length === 0 ? configured : codes.map(code => {
+    const normalized = toLocaleCode(code);
+    return configured.find(locale => locale.code === normalized) || { code: normalized, label: normalized };
+  });
+
+  const duplicate = selected.find((locale, index) => selected.findIndex(other => other.code === locale.code) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate locale "${duplicate.code}"`);
+  }
+  return selected;
+}
+
+/**
+ * Link the stories each locale's search page listed into one record per story
+ *
+ * Every record gets `locales`, which maps each locale that lists the story
+ * to its title, industry, product names and story URL there. The top-level
+ * fields come from the first locale in `localeResults` that lists the story,
+ * so a story missing from the primary locale is still kept.
+ *
+ * @param {Array<{locale: string, stories: Array<object>}>} localeResults - Stories per locale, primary locale first
+ * @returns {Array<object>} - One record per story, in listing order of the primary locale
+ */
+function combineLocaleStories(localeResults) {
+  const byId = new Map();
+
+  localeResults.forEach(({ locale, stories }) => {
+    stories.forEach(story => {
+      const translation = {
+        title: story.title,
+        industry: story.industry,
+        products: (story.microsoftProducts || []).map(product => (typeof product === 'object' ? product.name : product)),
+        storyUrl: story.storyUrl
+      };
+      const existing = byId.get(story.globalId);
+      if (!existing) {
+        byId.set(story.globalId, { ...story, locales: { [locale]: translation } });
+      } else if (!existing.locales[locale]) {
+        existing.locales[locale] = translation;
+      }
+    });
+  });
+
+  return Array.from(byId.values());
+}
+
+module.exports = {
+  toLocaleUrl,
+  resolveLocales,
+  combineLocaleStories
+};
@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { detectImageType, createDownloadManager } = require('./download-manager');
+const { createStoryImageVariants } = require('./image-variants');
+
+// Fields holding an original image URL; the local copy is stored in `<field>Local`
+// and its resized variants in `<field>Variants` (see lib/image-variants.js)
+const IMAGE_FIELDS = ['logo', 'headerImage', 'icon'];
+
+/**
+ * List every local media path referenced by the active stories
+ *
+ * Stories marked removed stay in the dataset, but the web app and static site
+ * do not show them, so their images count as orphaned and `--prune` deletes
+ * them. A story that comes back has its images downloaded again.
+ *
+ * @param {Array<object>} stories - Stories from the dataset
+ * @returns {Array<object>} - References as { globalId, target, field, path, url, variant };
+ *   `url` is the original image URL and `variant` is set for resized variants
+ */
+function collectMediaReferences(stories) {
+  const references = [];
+
+  const addReferences = (story, target) => {
+    if (!target || typeof target !== 'object') {
+      return;
+    }
+
+    IMAGE_FIELDS.forEach(field => {
+      const localPath = target[`${field}Local`];
+      if (!localPath) {
+        return;
+      }
+      references.push({ globalId: story.globalId, target, field, path: localPath, url: target[field] || null });
+
+      (target[`${field}Variants`] || []).forEach(variant => {
+        [variant.path, variant.webpPath].filter(Boolean).forEach(variantPath => {
+          references.push({ globalId: story.globalId, target, field, path: variantPath, url: null, variant: variant.name });
+        });
+      });
+    });
+  };
+
+  stories.filter(story => story.status !== 'removed').forEach(story => {
+    getImageTargets(story).forEach(target => addReferences(story, target));
+  });
+
+  return references;
+}
+
+/**
+ * Get the objects of a story that hold image fields
+ * @param {object} story - Story
+ * @returns {Array<object>} - The company, media and products of the story that are set
+ */
+function getImageTargets(story) {
+  return [story.company, story.media, ...(story.microsoftProducts || [])]
+    .filter(target => target && typeof target === 'object');
+}
+
+/**
+ * Forget the local copies of removed stories whose files are gone, so the
+ * dataset does not point at images `--prune` deleted. The original URLs are
+ * kept, and a story that comes back has its images downloaded again.
+ * @param {Array<object>} stories - Stories from the dataset (mutated in place)
+ * @param {string} rootDir - Directory the local paths in the dataset are relative to
+ * @returns {number} - Number of local copies forgotten
+ */
+function clearRemovedStoryMedia(stories, rootDir) {
+  let cleared = 0;
+
+  stories.filter(story => story.status === 'removed').forEach(story => {
+    getImageTargets(story).forEach(target => {
+      IMAGE_FIELDS.forEach(field => {
+        const localPath = target[`${field}Local`];
+        if (!localPath || fs.existsSync(path.resolve(rootDir, localPath))) {
+          return;
+        }
+        ['Local', 'Width', 'Height', 'Variants'].forEach(suffix => delete target[`${field}${suffix}`]);
+        cleared++;
+      });
+    });
+  });
+
+  return cleared;
+}
+
+/**
+ * Check whether a file is a readable image
+ * @param {string} filePath - Image path
+ * @returns {Promise<boolean>} - True if the file can be decoded
+ */
+async function isReadableImage(filePath) {
+  const type = detectImageType(fs.readFileSync(filePath));
+  if (!type) {
+    return false;
+  }
+  if (type === 'svg') {
+    return true;
+  }
+
+  try {
+    await sharp(filePath).stats();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Cross-reference the stories with the files in the media directory
+ * @param {Array<object>} stories - Stories from the dataset
+ * @param {object} options - Check options
+ * @param {string} options.rootDir - Directory the local paths in the dataset are relative to
+ * @param {string} options.mediaDir - Media directory
+ * @param {string} [options.manifestFile] - Download manifest, never reported as orphaned
+ * @returns {Promise<object>} - Report with `missing`, `empty` and `corrupt` references
+ *   and `orphaned` filenames
+ */
+async function checkMedia(stories, { rootDir, mediaDir, manifestFile = path.join(mediaDir, 'manifest.json') }) {
+  const references = collectMediaReferences(stories);
+  const report = { referenced: 0, files: 0, missing: [], empty: [], corrupt: [], orphaned: [] };
+  const referencedFiles = new Set();
+  const checked = new Map();
+
+  for (const reference of references) {
+    const filePath = path.resolve(rootDir, reference.path);
+    referencedFiles.add(filePath);
+
+    if (!checked.has(filePath)) {
+      let status = 'ok';
+      if (!fs.existsSync(filePath)) {
+        status = 'missing';
+      } else if (fs.statSync(filePath).size === 0) {
+        status = 'empty';
+      } else if (!(await isReadableImage(filePath))) {
+        status = 'corrupt';
+      }
+      checked.set(filePath, status);
+    }
+
+    if (checked.get(filePath) !== 'ok') {
+      report[checked.get(filePath)].push(reference);
+    }
+  }
+  report.referenced = referencedFiles.size;
+
+  if (fs.existsSync(mediaDir)) {
+    const files = fs.readdirSync(mediaDir, { withFileTypes: true }).filter(entry => entry.isFile());
+    report.files = files.length;
+    report.orphaned = files
+      .map(entry => path.join(mediaDir, entry.name))
+      .filter(filePath => !referencedFiles.has(filePath) && filePath !== path.resolve(manifestFile))
+      .map(filePath => path.basename(filePath))
+      .sort();
+  }
+
+  return report;
+}
+
+/**
+ * Delete orphaned files and drop their entries from the download manifest
+ * @param {Array<string>} orphaned - Orphaned filenames from checkMedia
+ * @param {object} options - Prune options
+ * @param {string} options.mediaDir - Media directory
+ * @param {string} [options.manifestFile] - Download manifest
+ * @param {boolean} [options.dryRun] - Only report what would be deleted
+ * @returns {number} - Bytes freed (or that would be freed)
+ */
+function pruneOrphans(orphaned, { mediaDir, manifestFile = path.join(mediaDir, 'manifest.json'), dryRun = false }) {
+  let bytes = 0;
+
+  orphaned.forEach(file => {
+    const filePath = path.join(mediaDir, file);
+    bytes += fs.statSync(filePath).size;
+    console.log(`  ${dryRun ? 'Would delete' : 'Deleting'} ${file}`);
+    if (!dryRun) {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  if (!dryRun && orphaned.length > 0 && fs.existsSync(manifestFile)) {
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    const removed = new Set(orphaned);
+    Object.keys(manifest.assets || {}).forEach(url => {
+      if (removed.has(manifest.assets[url].file)) {
+        delete manifest.assets[url];
+      }
+    });
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+  }
+
+  return bytes;
+}
+
+/**
+ * Download missing, empty and corrupt images again from their original URLs,
+ * update the local paths on the stories and recreate resized variants
+ * @param {Array<object>} stories - Stories from the dataset (mutated in place)
+ * @param {object} report - Report from checkMedia
+ * @param {object} options - Repair options
+ * @param {string} options.rootDir - Directory the local paths in the dataset are relative to
+ * @param {string} options.mediaDir - Media directory
+ * @param {boolean} [options.dryRun] - Only report what would be fetched
+ * @param {object} [options.downloads] - Download manager options (extraction.downloads)
+ * @param {object} [options.imageVariants] - Variant options (extraction.imageVariants)
+ * @returns {Promise<{fetched: number, failed: Array<object>}>} - Number of images fetched and the failures
+ */
+async function refetchMedia(stories, report, { rootDir, mediaDir, dryRun = false, downloads = {}, imageVariants = {} }) {
+  const broken = [...report.missing, ...report.empty, ...report.corrupt];
+  const originals = new Map();
+  broken.filter(reference => !reference.variant).forEach(reference => originals.set(reference.path, reference));
+  const result = { fetched: 0, failed: [] };
+
+  // A broken variant of an intact original only needs the variant step
+  const affectedStories = new Set(broken.map(reference => reference.globalId));
+
+  const variants = broken.filter(reference => reference.variant);
+
+  if (dryRun) {
+    originals.forEach(reference => console.log(`  Would fetch ${reference.path} from ${reference.url || '(no URL)'}`));
+    variants.forEach(reference => console.log(`  Would recreate ${reference.path}`));
+    return result;
+  }
+
+  // Broken variants are only recreated once they are gone, as newer files are reused
+  variants.forEach(reference => fs.rmSync(path.resolve(rootDir, reference.path), { force: true }));
+
+  const manager = createDownloadManager({ mediaDir, ...downloads });
+  for (const reference of originals.values()) {
+    if (!reference.url) {
+      result.failed.push({ globalId: reference.globalId, path: reference.path, error: 'No original URL' });
+      continue;
+    }
+
+    const filePath = path.resolve(rootDir, reference.path);
+    if (fs.existsSync(filePath)) {
+      // Remove the broken copy so the manager downloads it instead of revalidating it
+      fs.unlinkSync(filePath);
+    }
+
+    try {
+      const baseName = path.basename(reference.path, path.extname(reference.path));
+      const { file } = await manager.fetch(reference.url, extension => `${baseName}.${extension}`);
+      const localPath = `${path.posix.dirname(reference.path)}/${file}`;
+      stories
+        .flatMap(story => [story.company, story.media, ...(story.microsoftProducts || [])])
+        .filter(target => target && target[`${reference.field}Local`] === reference.path)
+        .forEach(target => { target[`${reference.field}Local`] = localPath; });
+      result.fetched++;
+      console.log(`  Fetched ${localPath}`);
+    } catch (error) {
+      result.failed.push({ globalId: reference.globalId, path: reference.path, error: error.message });
+      console.warn(`  Failed to fetch ${reference.path}: ${error.message}`);
+    }
+  }
+  manager.save();
+
+  if (imageVariants.enabled !== false && affectedStories.size > 0) {
+    await createStoryImageVariants(stories.filter(story => affectedStories.has(story.globalId)), {
+      rootDir,
+      sizes: imageVariants.sizes,
+      webp: imageVariants.webp,
+      quality: imageVariants.quality
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  collectMediaReferences,
+  checkMedia,
+  pruneOrphans,
+  clearRemovedStoryMedia,
+  refetchMedia
+};
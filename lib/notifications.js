@@ -0,0 +1,502 @@
+/**
+ * Notifications sent after an extraction run.
+ *
+ * `notifications.channels` in config.json lists where to report each run: a
+ * generic JSON `webhook`, a `slack` or `teams` incoming webhook, or an `email`
+ * sent over SMTP. Message bodies are rendered from templates with the run's
+ * outcome, story counts and new and removed stories (see
+ * `buildNotificationContext`). Secrets stay out of config.json: `${NAME}` in
+ * any setting is replaced by the environment variable NAME, and a channel
+ * whose variables are not set is skipped.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const { sendMail } = require('./smtp');
+
+const OUTCOMES = ['success', 'partial', 'failure'];
+
+const OUTCOME_LABELS = {
+  success: 'succeeded',
+  partial: 'completed with failures',
+  failure: 'failed'
+};
+
+const DEFAULT_SUBJECT = 'Customer stories extraction {{status}}: {{newCount}} new, {{removedCount}} removed';
+
+// Plain text for email, Slack mrkdwn and Teams Markdown share the same shape
+const DEFAULT_TEMPLATES = {
+  email: [
+    'Customer stories extraction {{status}} ({{runDate}}).',
+    '{{#error}}',
+    'Error: {{error}}',
+    '{{/error}}',
+    '{{^error}}',
+    'Stories: {{totalStories}} ({{newCount}} new, {{removedCount}} removed, {{updatedCount}} updated)',
+    'Stories per page: {{#pages}}{{page}}: {{stories}}  {{/pages}}',
+    '{{/error}}',
+    '{{#failedPageCount}}',
+    'Failed pages, story pages or images: {{failedPageCount}} (see run-summary.json)',
+    '{{/failedPageCount}}',
+    '{{#newStories.length}}',
+    '',
+    'New stories:',
+    '{{#newStories}}',
+    '- {{title}} ({{industry}}) {{storyUrl}}',
+    '{{/newStories}}',
+    '{{#moreNewStories}}',
+    '...and {{moreNewStories}} more',
+    '{{/moreNewStories}}',
+    '{{/newStories.length}}',
+    '{{#removedStories.length}}',
+    '',
+    'Removed stories:',
+    '{{#removedStories}}',
+    '- {{title}} {{storyUrl}}',
+    '{{/removedStories}}',
+    '{{#moreRemovedStories}}',
+    '...and {{moreRemovedStories}} more',
+    '{{/moreRemovedStories}}',
+    '{{/removedStories.length}}',
+    '{{#runUrl}}',
+    '',
+    'Run: {{runUrl}}',
+    '{{/runUrl}}'
+  ].join('\n'),
+  slack: [
+    '*Customer stories extraction {{status}}* ({{runDate}})',
+    '{{#error}}',
+    'Error: {{error}}',
+    '{{/error}}',
+    '{{^error}}',
+    'Stories: {{totalStories}} ({{newCount}} new, {{removedCount}} removed, {{updatedCount}} updated)',
+    '{{/error}}',
+    '{{#failedPageCount}}',
+    ':warning: {{failedPageCount}} pages, story pages or images failed',
+    '{{/failedPageCount}}',
+    '{{#newStories.length}}',
+    '*New stories*',
+    '{{#newStories}}',
+    '• <{{storyUrl}}|{{title}}> ({{industry}})',
+    '{{/newStories}}',
+    '{{#moreNewStories}}',
+    '…and {{moreNewStories}} more',
+    '{{/moreNewStories}}',
+    '{{/newStories.length}}',
+    '{{#removedStories.length}}',
+    '*Removed stories*',
+    '{{#removedStories}}',
+    '• {{title}}',
+    '{{/removedStories}}',
+    '{{#moreRemovedStories}}',
+    '…and {{moreRemovedStories}} more',
+    '{{/moreRemovedStories}}',
+    '{{/removedStories.length}}',
+    '{{#runUrl}}',
+    '<{{runUrl}}|View the run>',
+    '{{/runUrl}}'
+  ].join('\n'),
+  teams: [
+    '{{#error}}',
+    'Error: {{error}}',
+    '',
+    '{{/error}}',
+    '{{^error}}',
+    'Stories: {{totalStories}} ({{newCount}} new, {{removedCount}} removed, {{updatedCount}} updated)',
+    '',
+    '{{/error}}',
+    '{{#failedPageCount}}',
+    '{{failedPageCount}} pages, story pages or images failed',
+    '',
+    '{{/failedPageCount}}',
+    '{{#newStories.length}}',
+    '**New stories**',
+    '',
+    '{{#newStories}}',
+    '- [{{title}}]({{storyUrl}}) ({{industry}})',
+    '{{/newStories}}',
+    '{{#moreNewStories}}',
+    '- ...and {{moreNewStories}} more',
+    '{{/moreNewStories}}',
+    '',
+    '{{/newStories.length}}',
+    '{{#removedStories.length}}',
+    '**Removed stories**',
+    '',
+    '{{#removedStories}}',
+    '- {{title}}',
+    '{{/removedStories}}',
+    '{{#moreRemovedStories}}',
+    '- ...and {{moreRemovedStories}} more',
+    '{{/moreRemovedStories}}',
+    '',
+    '{{/removedStories.length}}',
+    '{{#runUrl}}',
+    '[View the run]({{runUrl}})',
+    '{{/runUrl}}'
+  ].join('\n')
+};
+
+// How interpolated values are escaped for each channel's message format
+const ESCAPES = {
+  webhook: value => JSON.stringify(value).slice(1, -1),
+  slack: value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'),
+  teams: value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'),
+  email: value => value
+};
+
+const THEME_COLORS = {
+  success: '2EB67D',
+  partial: 'ECB22E',
+  failure: 'E01E5A'
+};
+
+/**
+ * Read a value from the template context by a dot-separated path
+ * @param {Array<object>} stack - Context stack, innermost last
+ * @param {string} name - Path such as "title" or "newStories.length"; "." is the current item
+ * @returns {*} - The value, or undefined
+ */
+function lookup(stack, name) {
+  if (name === '.') {
+    return stack[stack.length - 1];
+  }
+  const [first, ...rest] = name.split('.');
+  const scope = [...stack].reverse().find(item => item !== null && typeof item === 'object' && first in item);
+  return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope?.[first]);
+}
+
+/**
+ * Render a template
+ *
+ * `{{name}}` inserts a value, `{{#name}}...{{/name}}` repeats the block for
+ * every item of a list (or renders it once when the value is truthy) and
+ * `{{^name}}...{{/name}}` renders the block when the value is empty. Lines
+ * holding only a section tag are dropped from the output.
+ *
+ * @param {string} template - Template text
+ * @param {object} context - Values to insert
+ * @param {Function} [escape] - Escapes each inserted value for the message format
+ * @returns {string} - Rendered text
+ */
+function renderTemplate(template, context, escape = value => value) {
+  // Section tags on a line of their own leave no blank line behind
+  const source = template.replace(/^[ \t]*(\{\{[#^/][^}]+\}\})[ \t]*(?:\r?\n|$)/gm, '$1');
+  const tagPattern = /\{\{([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+  const render = (text, stack) => {
+    let output = '';
+    let position = 0;
+    tagPattern.lastIndex = 0;
+    let match;
+
+    while ((match = tagPattern.exec(text)) !== null) {
+      const [tag, kind, name] = match;
+      output += text.slice(position, match.index);
+      position = match.index + tag.length;
+
+      if (kind === '') {
+        const value = lookup(stack, name);
+        output += value === null || value === undefined ? '' : escape(String(value));
+        continue;
+      }
+      if (kind === '/') {
+        throw new Error(`Unexpected {{/${name}}} in template`);
+      }
+
+      // Find the matching closing tag, allowing nested sections of the same name
+      const inner = new RegExp(`\\{\\{([#^/])\\s*${name.replace(/\./g, '\\.')}\\s*\\}\\}`, 'g');
+      inner.lastIndex = position;
+      let depth = 1;
+      let close;
+      while (depth > 0 && (close = inner.exec(text)) !== null) {
+        depth += close[1] === '/' ? -1 : 1;
+      }
+      if (depth > 0) {
+        throw new Error(`Unclosed {{${kind}${name}}} in template`);
+      }
+      const block = text.slice(position, close.index);
+      position = close.index + close[0].length;
+
+      const value = lookup(stack, name);
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+      if (kind === '^') {
+        output += empty ? render(block, stack) : '';
+      } else if (Array.isArray(value)) {
+        output += value.map(item => render(block, [...stack, item])).join('');
+      } else if (!empty) {
+        output += render(block, typeof value === 'object' ? [...stack, value] : stack);
+      }
+      tagPattern.lastIndex = position;
+    }
+    return output + text.slice(position);
+  };
+
+  return render(source, [context]);
+}
+
+/**
+ * Short description of a story for messages
+ * @param {object} story - Story from the change report
+ * @returns {object} - Story fields used by the templates
+ */
+function describeStory(story) {
+  return {
+    globalId: story.globalId,
+    title: story.title,
+    industry: story.industry || '',
+    storyUrl: story.storyUrl || '',
+    products: (story.products || []).join(', ')
+  };
+}
+
+/**
+ * Collect the values notification templates can use
+ * @param {object} run - Run information
+ * @param {string} run.outcome - "success", "partial" (results written, but some pages failed) or "failure"
+ * @param {number} run.exitCode - Exit code of the run
+ * @param {string} run.runDate - ISO timestamp of the run
+ * @param {object} [run.results] - Results document that was written
+ * @param {object} [run.report] - Change report (see lib/changes.js)
+ * @param {object} [run.summary] - Run summary (see lib/checkpoint.js)
+ * @param {Error|string} [run.error] - Why the run failed
+ * @param {number} [run.maxStories] - Most new and removed stories to list (default: 20)
+ * @returns {object} - Template context
+ */
+function buildNotificationContext({ outcome, exitCode, runDate, results, report, summary, error, maxStories = 20 }) {
+  const added = report ? [...report.added, ...report.restored] : [];
+  const removed = report ? report.removed : [];
+  const storiesPerPage = results?.metadata?.storiesPerPage || {};
+  const failedPageCount = summary ?
+    summary.failedPages.length + summary.failedStoryPages.length + summary.failedAssets.length :
+    0;
+  const runUrl = process.env.GITHUB_RUN_ID && process.env.GITHUB_REPOSITORY ?
+    `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}` :
+    null;
+
+  return {
+    outcome,
+    status: OUTCOME_LABELS[outcome],
+    exitCode,
+    error: error ? error.message || String(error) : null,
+    runDate: runDate || null,
+    totalStories: results?.metadata?.totalStories ?? null,
+    storiesPerPage,
+    pages: Object.entries(storiesPerPage).map(([page, stories]) => ({ page: Number(page), stories })),
+    newCount: added.length,
+    removedCount: removed.length,
+    updatedCount: report ? report.updated.length : 0,
+    newStories: added.slice(0, maxStories).map(describeStory),
+    moreNewStories: Math.max(added.length - maxStories, 0),
+    removedStories: removed.slice(0, maxStories).map(describeStory),
+    moreRemovedStories: Math.max(removed.length - maxStories, 0),
+    failedPageCount,
+    failures: summary ? {
+      pages: summary.failedPages,
+      storyPages: summary.failedStoryPages,
+      assets: summary.failedAssets
+    } : null,
+    runUrl
+  };
+}
+
+/**
+ * Replace `${NAME}` in every string of a setting with the environment variable NAME
+ * @param {*} value - Setting
+ * @param {Set<string>} missing - Receives the names of variables that are not set
+ * @returns {*} - Setting with the variables filled in
+ */
+function resolveEnv(value, missing) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (placeholder, name) => {
+      if (!process.env[name]) {
+        missing.add(name);
+        return '';
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveEnv(item, missing));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveEnv(item, missing)]));
+  }
+  return value;
+}
+
+/**
+ * Build the request a channel sends
+ * @param {object} channel - Channel from `notifications.channels` with its variables filled in
+ * @param {object} context - Result of `buildNotificationContext`
+ * @param {object} defaults - `subject` and `templates` shared by all channels
+ * @returns {object} - `{url, headers, body}` for webhooks, or `{smtp, message}` for email
+ */
+function buildRequest(channel, context, defaults) {
+  const escape = ESCAPES[channel.type];
+  const subject = renderTemplate(channel.subject || defaults.subject || DEFAULT_SUBJECT, context);
+  const text = () => renderTemplate(channel.template || defaults.templates?.[channel.type] || DEFAULT_TEMPLATES[channel.type], context, escape).trim();
+
+  switch (channel.type) {
+    case 'webhook': {
+      const contentType = channel.contentType || 'application/json';
+      let body = JSON.stringify({ event: 'extraction.completed', ...context });
+      if (channel.template) {
+        body = renderTemplate(channel.template, context, contentType.includes('json') ? escape : value => value);
+        if (contentType.includes('json')) {
+          try {
+            JSON.parse(body);
+          } catch (error) {
+            throw new Error(`The template of "${channel.name}" does not render valid JSON: ${error.message}`);
+          }
+        }
+      }
+      return { url: channel.url, headers: { 'Content-Type': contentType, ...channel.headers }, body };
+    }
+    case 'slack':
+      return { url: channel.url, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ text: text() }) };
+    case 'teams':
+      return {
+        url: channel.url,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          '@type': 'MessageCard',
+          '@context': 'https://schema.org/extensions',
+          summary: subject,
+          themeColor: THEME_COLORS[context.outcome],
+          title: subject,
+          text: text()
+        })
+      };
+    case 'email': {
+      const to = [].concat(channel.to || []).flatMap(address => address.split(',')).map(address => address.trim()).filter(Boolean);
+      if (!channel.from || to.length === 0) {
+        throw new Error(`Email channel "${channel.name}" needs "from" and "to" addresses`);
+      }
+      return { smtp: channel.smtp || {}, message: { from: channel.from, to, subject, text: text() } };
+    }
+    default:
+      throw new Error(`Unknown notification channel type "${channel.type}" in "${channel.name}"`);
+  }
+}
+
+/**
+ * POST a request body
+ * @param {string} url - http(s) URL
+ * @param {object} options - Request options
+ * @param {object} options.headers - Request headers
+ * @param {string} options.body - Request body
+ * @param {number} [options.timeout] - Socket timeout in milliseconds
+ * @returns {Promise<number>} - Response status code; non-2xx statuses reject
+ */
+function postRequest(url, { headers, body, timeout = 30000 }) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }
+    }, response => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        text += chunk;
+      });
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve(response.statusCode);
+        } else {
+          reject(new Error(`HTTP ${response.statusCode}${text ? `: ${text.slice(0, 200)}` : ''}`));
+        }
+      });
+    });
+    request.on('error', reject);
+    request.setTimeout(timeout, () => {
+      request.destroy(new Error('Notification request timed out'));
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * Send the run's notifications to every configured channel
+ *
+ * A channel only sends for the outcomes in its `on` list (default: all). One
+ * channel failing does not stop the others; failures are logged and returned.
+ * With `dryRun`, each request is printed instead of sent, with its settings
+ * as configured so secrets from the environment are not printed.
+ *
+ * @param {object} notifications - The `notifications` section of config.json
+ * @param {object} context - Result of `buildNotificationContext`
+ * @param {object} [options] - Send options
+ * @param {boolean} [options.dryRun] - Print the requests instead of sending them
+ * @param {Array<string>} [options.channels] - Only use the channels with these names; unknown names throw
+ * @returns {Promise<Array<{channel: string, status: string, error?: string}>>} - Result per channel:
+ *   "sent", "skipped", "dry-run" or "failed"
+ */
+async function sendNotifications(notifications = {}, context, { dryRun = false, channels: names } = {}) {
+  const configured = (notifications.channels || [])
+    .map((channel, index) => ({ name: channel.name || `${channel.type}-${index + 1}`, ...channel }));
+  const unknown = (names || []).filter(name => !configured.some(channel => channel.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown notification channel(s): ${unknown.join(', ')}`);
+  }
+  const channels = configured.filter(channel => !names || names.includes(channel.name));
+  const results = [];
+
+  for (const channelConfig of channels) {
+    const name = channelConfig.name;
+    if (channelConfig.enabled === false || !(channelConfig.on || OUTCOMES).includes(context.outcome)) {
+      results.push({ channel: name, status: 'skipped' });
+      continue;
+    }
+
+    try {
+      if (dryRun) {
+        const request = buildRequest(channelConfig, context, notifications);
+        console.log(`\n--- Notification "${name}" (${channelConfig.type}, dry run) ---`);
+        if (request.message) {
+          console.log(`SMTP ${channelConfig.smtp?.host} from ${request.message.from} to ${request.message.to.join(', ')}`);
+          console.log(`Subject: ${request.message.subject}\n\n${request.message.text}`);
+        } else {
+          console.log(`POST ${request.url}`);
+          console.log(request.headers['Content-Type'].includes('json') ? JSON.stringify(JSON.parse(request.body), null, 2) : request.body);
+        }
+        results.push({ channel: name, status: 'dry-run' });
+        continue;
+      }
+
+      const missing = new Set();
+      const channel = resolveEnv(channelConfig, missing);
+      if (missing.size > 0) {
+        console.log(`Notification "${name}" skipped: ${[...missing].join(', ')} not set`);
+        results.push({ channel: name, status: 'skipped' });
+        continue;
+      }
+
+      const request = buildRequest(channel, context, notifications);
+      if (request.message) {
+        await sendMail(request.smtp, request.message);
+      } else {
+        if (!/^https?:\/\//.test(request.url || '')) {
+          throw new Error(`"${name}" needs an http(s) url`);
+        }
+        await postRequest(request.url, { headers: request.headers, body: request.body, timeout: channel.timeout });
+      }
+      console.log(`Notification "${name}" sent`);
+      results.push({ channel: name, status: 'sent' });
+    } catch (error) {
+      console.warn(`Notification "${name}" failed: ${error.message}`);
+      results.push({ channel: name, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  buildNotificationContext,
+  sendNotifications
+};
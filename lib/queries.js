@@ -0,0 +1,143 @@
+const { buildSearchUrl } = require('./config');
+
+const CUSTOM_QUERY_NAME = 'custom';
+
+/**
+ * Resolve the saved searches to extract in this run
+ *
+ * `extraction.queries` lists named searches, each with its own `filters` and
+ * optional `maxPages`. When it is missing, the top-level `extraction.filters`
+ * form a single query named "default". An explicit URL replaces them all with
+ * a single query named "custom".
+ *
+ * @param {object} extraction - The `extraction` section of config.json
+ * @param {object} [options] - Selection options
+ * @param {string} [options.url] - Explicit search URL
+ * @param {Array<string>} [options.names] - Only run the queries with these names
+ * @returns {Array<{name: string, label: string, url: string, maxPages: number}>} - Queries to run
+ */
+function resolveQueries(extraction, { url, names } = {}) {
+  const defaultMaxPages = extraction.pagination?.maxPages;
+
+  if (url) {
+    return [{ name: CUSTOM_QUERY_NAME, label: 'Custom search', url, maxPages: defaultMaxPages }];
+  }
+
+  const configured = Array.isArray(extraction.queries) && extraction.queries.length > 0
+    ? extraction.queries
+    : [{ name: 'default', label: 'Default search', filters: extraction.filters }];
+
+  const queries = configured.map(query => {
+    if (!query.name || !/^[a-z0-9][a-z0-9-]*$/.test(query.name)) {
+      throw new Error(`Query names must be lowercase letters, digits and dashes, got "${query.name}"`);
+    }
+    return {
+      name: query.name,
+      label: query.label || query.name,
+      url: query.url || buildSearchUrl({ baseUrl: extraction.baseUrl, filters: query.filters }),
+      maxPages: query.maxPages || defaultMaxPages
+    };
+  });
+
+  const duplicate = queries.find((query, index) => queries.findIndex(other => other.name === query.name) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate query name "${duplicate.name}"`);
+  }
+
+  if (!names || names.length === 0) {
+    return queries;
+  }
+
+  const unknown = names.filter(name => !queries.some(query => query.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown query name(s): ${unknown.join(', ')}. Configured: ${queries.map(query => query.name).join(', ')}`);
+  }
+  return queries.filter(query => names.includes(query.name));
+}
+
+/**
+ * Combine the stories of several queries, keeping one record per story
+ *
+ * A story found by several queries keeps the listing position of the first
+ * query that found it and lists every matching query in `queries`.
+ *
+ * @param {Array<{query: object, stories: Array<object>}>} queryResults - Stories per query, in run order
+ * @returns {Array<object>} - De-duplicated stories tagged with their queries
+ */
+function combineQueryStories(queryResults) {
+  const byId = new Map();
+
+  queryResults.forEach(({ query, stories }) => {
+    stories.forEach(story => {
+      const existing = byId.get(story.globalId);
+      if (existing) {
+        if (!existing.queries.includes(query.name)) {
+          existing.queries.push(query.name);
+        }
+      } else {
+        byId.set(story.globalId, { ...story, queries: [query.name] });
+      }
+    });
+  });
+
+  return Array.from(byId.values());
+}
+
+/**
+ * Limit the previous dataset to the queries of a partial run
+ *
+ * When only some queries run, previous stories that were also found by a
+ * query outside the run are not marked removed just because this run missed
+ * them; they are returned in `outOfScope` and kept as they are. Current
+ * stories keep the names of those other queries in `queries`.
+ *
+ * @param {Array<object>} previousStories - Stories from the previous results
+ * @param {Array<object>} currentStories - Combined stories of this run (mutated in place)
+ * @param {Array<string>} names - Names of the queries that ran
+ * @returns {{inScope: Array<object>, outOfScope: Array<object>}} - Previous stories split by scope
+ */
+function scopePreviousStories(previousStories, currentStories, names) {
+  const currentById = new Map(currentStories.map(story => [story.globalId, story]));
+  const inScope = [];
+  const outOfScope = [];
+
+  previousStories.forEach(story => {
+    const otherQueries = (story.queries || []).filter(name => !names.includes(name));
+    const current = currentById.get(story.globalId);
+
+    if (current) {
+      current.queries = Array.from(new Set([...current.queries, ...otherQueries]));
+      inScope.push(story);
+    } else if (otherQueries.length > 0) {
+      outOfScope.push(story);
+    } else {
+      inScope.push(story);
+    }
+  });
+
+  return { inScope, outOfScope };
+}
+
+/**
+ * Check whether a run covers only part of the dataset: a subset of the
+ * configured queries, a custom search URL, or a query that stopped at a
+ * failed page. The previous stories of such a run must be scoped with
+ * `scopePreviousStories` before merging.
+ *
+ * @param {Array<object>} queries - Queries of the run (see resolveQueries)
+ * @param {Array<string>} completeQueryNames - Names of the queries that reached their last page
+ * @param {Array<string>} [names] - Query names the run was limited to
+ * @returns {boolean} - True if stories the run did not find may still exist
+ */
+function isPartialRun(queries, completeQueryNames, names) {
+  return Boolean(names && names.length > 0) ||
+    queries.some(query => query.name === CUSTOM_QUERY_NAME) ||
+    completeQueryNames.length < queries.length;
+}
+
+module.exports = {
+  resolveQueries,
+  combineQueryStories,
+  isPartialRun,
+  scopePreviousStories
+};
@@ -0,0 +1,124 @@
+/**
+ * Selector health tracking.
+ *
+ * Fill rates are measured on the extracted stories rather than on the DOM so
+ * they can be compared with the stories saved by the previous run.
+ */
+
+/**
+ * Story fields whose fill rate is tracked, keyed by the selector that feeds them
+ */
+const TRACKED_FIELDS = {
+  title: story => Boolean(story.title),
+  industry: story => Boolean(story.industry),
+  storyLink: story => Boolean(story.storyUrl),
+  companyLogo: story => Boolean(story.company?.logo),
+  headerImage: story => Boolean(story.media?.headerImage),
+  products: story => (story.microsoftProducts || []).length > 0
+};
+
+/**
+ * Add the selector match counts of one page to the run totals
+ * @param {object} totals - Accumulated counts per field and selector (mutated)
+ * @param {object} pageMatches - `selectorMatches` returned by `extractStoryCards`
+ * @returns {object} - The updated totals
+ */
+function addSelectorMatches(totals, pageMatches) {
+  Object.entries(pageMatches).forEach(([field, counts]) => {
+    const fieldTotals = totals[field] || (totals[field] = {});
+    Object.entries(counts).forEach(([selector, count]) => {
+      fieldTotals[selector] = (fieldTotals[selector] || 0) + count;
+    });
+  });
+  return totals;
+}
+
+/**
+ * Share of stories with each tracked field filled in
+ * @param {Array<object>} stories - Stories to measure
+ * @returns {object} - Fill rate (0-1) per field, empty when there are no stories
+ */
+function computeFillRates(stories) {
+  if (stories.length === 0) {
+    return {};
+  }
+
+  const rates = {};
+  Object.entries(TRACKED_FIELDS).forEach(([field, isFilled]) => {
+    const filled = stories.filter(isFilled).length;
+    rates[field] = Math.round((filled / stories.length) * 1000) / 1000;
+  });
+  return rates;
+}
+
+/**
+ * Build the selector health report of a run
+ *
+ * A field is flagged when its fill rate dropped by more than `maxFillRateDrop`
+ * compared with the previous run, or when some cards only matched one of its
+ * fallback selectors.
+ *
+ * @param {object} options - Report inputs
+ * @param {Array<object>} options.stories - Stories extracted in this run
+ * @param {Array<object>} options.previousStories - Active stories of the previous run
+ * @param {object} options.selectorMatches - Accumulated selector match counts
+ * @param {object} options.selectors - The `selectors` section of config.json
+ * @param {number} [options.maxFillRateDrop] - Largest tolerated fill rate drop (0-1)
+ * @returns {object} - Selector health report
+ */
+function buildSelectorHealthReport({ stories, previousStories, selectorMatches, selectors, maxFillRateDrop = 0.1 }) {
+  const fillRates = computeFillRates(stories);
+  const previousFillRates = computeFillRates(previousStories);
+  const fields = {};
+  const flagged = [];
+
+  Object.keys(selectorMatches).concat(Object.keys(TRACKED_FIELDS)).forEach(field => {
+    if (fields[field]) {
+      return;
+    }
+
+    const candidates = [].concat(selectors[field]);
+    const matches = selectorMatches[field] || {};
+    const fallbackMatches = Object.entries(matches)
+      .filter(([selector]) => selector !== candidates[0] && selector !== '(none)')
+      .reduce((sum, [, count]) => sum + count, 0);
+
+    const entry = {
+      candidates,
+      matches,
+      fillRate: fillRates[field] !== undefined ? fillRates[field] : null,
+      previousFillRate: previousFillRates[field] !== undefined ? previousFillRates[field] : null,
+      usedFallback: fallbackMatches > 0,
+      warnings: []
+    };
+
+    if (entry.fillRate !== null && entry.previousFillRate !== null &&
+        entry.previousFillRate - entry.fillRate > maxFillRateDrop) {
+      entry.warnings.push(`fill rate dropped from ${entry.previousFillRate} to ${entry.fillRate}`);
+    }
+    if (entry.usedFallback) {
+      entry.warnings.push(`${fallbackMatches} match(es) only through fallback selectors`);
+    }
+    if (entry.warnings.length > 0) {
+      flagged.push(field);
+    }
+
+    fields[field] = entry;
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    totalStories: stories.length,
+    previousStories: previousStories.length,
+    maxFillRateDrop,
+    healthy: flagged.length === 0,
+    flagged,
+    fields
+  };
+}
+
+module.exports = {
+  addSelectorMatches,
+  computeFillRates,
+  buildSelectorHealthReport
+};
@@ -0,0 +1,70 @@
+const path = require('path');
+
+/**
+ * Convert a file path to a URL path relative to the web app's root directory
+ * @param {string} filePath - File path
+ * @param {string} rootDir - Directory index.html is served from
+ * @returns {string|null} - Forward-slash relative path, or null if the file is outside rootDir
+ */
+function toSitePath(filePath, rootDir) {
+  const relative = path.relative(rootDir, path.resolve(rootDir, filePath));
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Build the web app's site config: its title, subtitle and the datasets the
+ * dataset selector offers
+ *
+ * The combined dataset comes first and is the default. Each query adds its
+ * per-query dataset; a query's `title` and `subtitle` replace the site's while
+ * that dataset is selected.
+ *
+ * @param {object} config - Parsed config.json
+ * @param {object} options - Build options
+ * @param {Array<object>} options.queries - Queries that have a per-query dataset
+ * @param {string} [options.dataFile] - Combined dataset the run wrote (default: output.dataFile)
+ * @param {string} options.rootDir - Directory index.html is served from
+ * @returns {{title: string, subtitle: string, datasets: Array<object>}} - Site config
+ */
+function buildSiteConfig(config, { queries = [], dataFile, rootDir = process.cwd() } = {}) {
+  const site = config.site || {};
+  const output = config.output || {};
+
+  const datasets = [{
+    id: 'all',
+    label: site.allStoriesLabel || 'All stories',
+    file: toSitePath(dataFile || output.dataFile || 'microsoft-customer-stories.json', rootDir),
+    statistics: toSitePath(output.statisticsFile || 'statistics.json', rootDir)
+  }];
+
+  if (output.queryDirectory) {
+    queries.forEach(query => {
+      datasets.push({
+        id: query.name,
+        label: query.label || query.name,
+        file: toSitePath(path.join(output.queryDirectory, `${query.name}.json`), rootDir),
+        ...(query.title && { title: query.title }),
+        ...(query.subtitle && { subtitle: query.subtitle })
+      });
+    });
+  }
+
+  return {
+    title: site.title || 'Microsoft Customer Stories',
+    subtitle: site.subtitle || '',
+    datasets: datasets.filter(dataset => {
+      if (!dataset.file) {
+        console.warn(`Dataset "${dataset.id}" is outside ${rootDir} and was left out of the site config`);
+      }
+      return dataset.file;
+    })
+  };
+}
+
+module.exports = {
+  toSitePath,
+  buildSiteConfig
+};
@@ -0,0 +1,211 @@
+/**
+ * Minimal SMTP client for notification emails.
+ *
+ * Sends one plain-text UTF-8 message per connection: EHLO, STARTTLS when the
+ * server offers it, AUTH PLAIN when credentials are configured, then the
+ * envelope and a base64 body, so no line of the body can be mistaken for the
+ * end of the message.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * Encode a header value as an RFC 2047 encoded word when it is not plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} - Header value safe to send
+ */
+function encodeHeader(value) {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build the message sent after DATA
+ * @param {object} message - Message fields
+ * @param {string} message.from - Sender address
+ * @param {Array<string>} message.to - Recipient addresses
+ * @param {string} message.subject - Subject
+ * @param {string} message.text - Plain-text body
+ * @param {Date} [message.date] - Date header
+ * @returns {string} - Headers and base64 body with CRLF line endings
+ */
+function buildMessage({ from, to, subject, text, date = new Date() }) {
+  const domain = from.split('@')[1] || 'localhost';
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').match(/.{1,76}/g) || [];
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...body
+  ].join('\r\n');
+}
+
+/**
+ * Wrap a socket so SMTP replies can be awaited one at a time
+ * @param {net.Socket} socket - Connected socket
+ * @param {number} timeout - Milliseconds to wait for each reply
+ * @returns {object} - Connection with `reply`, `command`, `upgrade` and `close`
+ */
+function createConnection(socket, timeout) {
+  let buffer = '';
+  let lines = [];
+  let waiting = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!waiting) {
+      return;
+    }
+    if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+      return;
+    }
+    // A reply ends with the line whose code is followed by a space instead of a hyphen
+    const end = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (end !== -1) {
+      const replyLines = lines.slice(0, end + 1);
+      lines = lines.slice(end + 1);
+      const { resolve } = waiting;
+      waiting = null;
+      resolve({ code: Number(replyLines[end].slice(0, 3)), lines: replyLines.map(line => line.slice(4)) });
+    }
+  };
+
+  const listen = target => {
+    target.setEncoding('utf8');
+    target.setTimeout(timeout, () => target.destroy(new Error('SMTP server timed out')));
+    target.on('data', chunk => {
+      buffer += chunk;
+      const parts = buffer.split(/\r?\n/);
+      buffer = parts.pop();
+      lines.push(...parts);
+      settle();
+    });
+    target.on('error', error => {
+      failure = error;
+      settle();
+    });
+    target.on('close', () => {
+      failure = failure || new Error('SMTP connection closed');
+      settle();
+    });
+  };
+  listen(socket);
+
+  const connection = {
+    socket,
+
+    reply(expected) {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        settle();
+      }).then(reply => {
+        if (expected && !expected.includes(reply.code)) {
+          throw new Error(`SMTP server replied ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+      });
+    },
+
+    command(line, expected) {
+      connection.socket.write(`${line}\r\n`);
+      return connection.reply(expected);
+    },
+
+    async upgrade(servername) {
+      connection.socket.removeAllListeners('data');
+      connection.socket.removeAllListeners('close');
+      const secured = tls.connect({ socket: connection.socket, servername });
+      await new Promise((resolve, reject) => {
+        secured.once('secureConnect', resolve);
+        secured.once('error', reject);
+      });
+      connection.socket = secured;
+      listen(secured);
+    },
+
+    close() {
+      connection.socket.end();
+    }
+  };
+  return connection;
+}
+
+/**
+ * Send a plain-text email
+ * @param {object} smtp - SMTP server settings
+ * @param {string} smtp.host - Server host name
+ * @param {number} [smtp.port] - Port (default: 465 with `secure`, otherwise 587)
+ * @param {boolean} [smtp.secure] - Connect with TLS from the start (port 465)
+ * @param {boolean} [smtp.startTls] - Upgrade with STARTTLS when offered (default: true)
+ * @param {string} [smtp.username] - User name for AUTH PLAIN
+ * @param {string} [smtp.password] - Password for AUTH PLAIN
+ * @param {number} [smtp.timeout] - Milliseconds to wait for each reply (default: 30000)
+ * @param {object} message - Message (see `buildMessage`)
+ * @returns {Promise<{accepted: Array<string>}>} - Recipients the server accepted
+ */
+async function sendMail(smtp, message) {
+  const { host, secure = false, startTls = true, username, password, timeout = 30000 } = smtp;
+  const port = Number(smtp.port) || (secure ? 465 : 587);
+  if (!host) {
+    throw new Error('SMTP host is not set');
+  }
+
+  const socket = secure ?
+    tls.connect({ host, port, servername: host }) :
+    net.connect({ host, port });
+  const connection = createConnection(socket, timeout);
+
+  try {
+    await connection.reply([220]);
+    let features = (await connection.command(`EHLO ${os.hostname() || 'localhost'}`, [250])).lines;
+    let encrypted = secure;
+
+    if (!secure && startTls !== false && features.some(line => /^STARTTLS\b/i.test(line))) {
+      await connection.command('STARTTLS', [220]);
+      await connection.upgrade(host);
+      encrypted = true;
+      features = (await connection.command(`EHLO ${os.hostname() || 'localhost'}`, [250])).lines;
+    }
+
+    if (username) {
+      if (!encrypted && !LOCAL_HOSTS.includes(host)) {
+        throw new Error(`Refusing to send SMTP credentials to ${host} over an unencrypted connection`);
+      }
+      if (!features.some(line => /^AUTH\b.*\bPLAIN\b/i.test(line))) {
+        throw new Error(`SMTP server ${host} does not offer AUTH PLAIN`);
+      }
+      const credentials = Buffer.from(`\0${username}\0${password || ''}`, 'utf8').toString('base64');
+      await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await connection.command(`MAIL FROM:<${message.from}>`, [250]);
+    for (const recipient of message.to) {
+      await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await connection.command('DATA', [354]);
+    await connection.command(`${buildMessage(message)}\r\n.`, [250]);
+    await connection.command('QUIT', [221]).catch(() => null);
+    return { accepted: [...message.to] };
+  } finally {
+    connection.close();
+  }
+}
+
+module.exports = {
+  buildMessage,
+  sendMail
+};
@@ -0,0 +1,601 @@
+const fs = require('fs');
+const path = require('path');
+const { collectMediaReferences } = require('./media-maintenance');
+const { escapeHtml, safeStoryUrl, safeLocalPath, getProductNames, findRelatedStories } = require('../safe-html');
+
+const DESCRIPTION_LENGTH = 200;
+
+/**
+ * Convert a name to a URL slug (e.g. "Azure AI Foundry" -> "azure-ai-foundry")
+ * @param {string} value - Name
+ * @returns {string} - Lower-case slug of ASCII letters, digits and hyphens; may be empty
+ */
+function slugify(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Assign every name a unique slug, adding -2, -3... on collisions
+ * @param {Array<string>} names - Names in a stable order
+ * @param {string} fallback - Slug prefix for names without ASCII letters or digits
+ * @returns {Map<string, string>} - Slug per name
+ */
+function assignSlugs(names, fallback) {
+  const slugs = new Map();
+  const used = new Set();
+
+  names.forEach((name, index) => {
+    const base = slugify(name) || `${fallback}-${index + 1}`;
+    let slug = base;
+    for (let suffix = 2; used.has(slug); suffix++) {
+      slug = `${base}-${suffix}`;
+    }
+    used.add(slug);
+    slugs.set(name, slug);
+  });
+
+  return slugs;
+}
+
+/**
+ * Work out the output path of every page
+ * @param {Array<object>} stories - Active stories in listing order
+ * @returns {object} - Story page per globalId and listing page and stories per industry and product
+ */
+function planPages(stories) {
+  const storyPages = new Map();
+  stories.forEach(story => {
+    const slug = slugify(story.slug || story.title);
+    storyPages.set(story.globalId, `stories/${slugify(story.globalId) || 'story'}${slug ? `-${slug}` : ''}.html`);
+  });
+
+  const group = (directory, fallback, getNames) => {
+    const storiesByName = new Map();
+    stories.forEach(story => getNames(story).forEach(name => {
+      if (!storiesByName.has(name)) {
+        storiesByName.set(name, []);
+      }
+      storiesByName.get(name).push(story);
+    }));
+    const names = Array.from(storiesByName.keys()).sort((a, b) => a.localeCompare(b));
+    const slugs = assignSlugs(names, fallback);
+    return names.map(name => ({ name, page: `${directory}/${slugs.get(name)}.html`, stories: storiesByName.get(name) }));
+  };
+
+  return {
+    storyPages,
+    industries: group('industries', 'industry', story => (story.industry ? [story.industry] : [])),
+    products: group('products', 'product', story => [...new Set(getProductNames(story))])
+  };
+}
+
+/**
+ * Shorten text to a meta description
+ * @param {string} text - Text
+ * @returns {string} - Text of at most DESCRIPTION_LENGTH characters, cut at a word boundary
+ */
+function toDescription(text) {
+  const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+  if (normalized.length <= DESCRIPTION_LENGTH) {
+    return normalized;
+  }
+  const cut = normalized.slice(0, DESCRIPTION_LENGTH - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+/**
+ * Join the site's public URL and a page path
+ * @param {string} baseUrl - Public URL of the site, or empty when unknown
+ * @param {string} pagePath - Page path relative to the site root
+ * @returns {string|null} - Absolute URL, or null without a base URL
+ */
+function toAbsoluteUrl(baseUrl, pagePath) {
+  if (!baseUrl) {
+    return null;
+  }
+  return new URL(pagePath, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).href;
+}
+
+/**
+ * Get the largest image of a field: its biggest resized variant, or the original
+ * @param {object} target - Object holding the image fields (company, media or product)
+ * @param {string} field - Image field (logo, headerImage or icon)
+ * @returns {{path: string, width: number|null, height: number|null}|null} - Image, or null if there is none
+ */
+function getLargestImage(target, field) {
+  const variants = (target?.[`${field}Variants`] || []).filter(variant => safeLocalPath(variant.path));
+  const largest = variants.reduce((a, b) => (!a || b.width > a.width ? b : a), null);
+  if (largest) {
+    return { path: largest.path, width: Number(largest.width) || null, height: Number(largest.height) || null };
+  }
+  const original = safeLocalPath(target?.[`${field}Local`]);
+  return original ?
+    { path: original, width: Number(target[`${field}Width`]) || null, height: Number(target[`${field}Height`]) || null } :
+    null;
+}
+
+/**
+ * Render an image with its resized variants and WebP versions, as the web app does
+ * @param {object} target - Object holding the image fields
+ * @param {string} field - Image field
+ * @param {object} options - Rendering options
+ * @param {string} options.alt - Alternative text
+ * @param {string} options.className - CSS class
+ * @param {string} options.sizes - `sizes` attribute for the srcset
+ * @param {string} options.root - Relative path from the page to the site root
+ * @returns {string} - HTML, or an empty string if the story has no local image
+ */
+function renderImage(target, field, { alt, className, sizes, root }) {
+  const image = getLargestImage(target, field);
+  if (!image) {
+    return '';
+  }
+  const variants = (target[`${field}Variants`] || [])
+    .filter(variant => safeLocalPath(variant.path))
+    .sort((a, b) => a.width - b.width);
+  const srcset = key => variants
+    .filter(variant => safeLocalPath(variant[key]))
+    .map(variant => `${root}${variant[key]} ${Number(variant.width)}w`)
+    .join(', ');
+
+  const img = `<img src="${escapeHtml(root + image.path)}"` +
+    (variants.length > 0 ? ` srcset="${escapeHtml(srcset('path'))}" sizes="${escapeHtml(sizes)}"` : '') +
+    (image.width && image.height ? ` width="${image.width}" height="${image.height}"` : '') +
+    ` alt="${escapeHtml(alt)}" class="${className}" loading="lazy" decoding="async">`;
+  const webpSrcset = srcset('webpPath');
+  return webpSrcset ?
+    `<picture><source type="image/webp" srcset="${escapeHtml(webpSrcset)}" sizes="${escapeHtml(sizes)}">${img}</picture>` :
+    img;
+}
+
+/**
+ * Render the product tags of a story
+ * @param {object} story - Story
+ * @param {string} root - Relative path from the page to the site root
+ * @returns {string} - HTML
+ */
+function renderProductTags(story, root) {
+  return (story.microsoftProducts || [])
+    .map(product => (typeof product === 'string' ? { name: product } : product))
+    .filter(product => product.name)
+    .map(product => `<div class="product-tag">${renderImage(product, 'icon', {
+      alt: product.iconAlt || product.name,
+      className: 'product-icon',
+      sizes: '16px',
+      root
+    })}<span>${escapeHtml(product.name)}</span></div>`)
+    .join('');
+}
+
+/**
+ * Render a story card with the web app's markup, linking to the story's page
+ * @param {object} story - Story
+ * @param {object} context - Page paths and the relative path to the site root
+ * @returns {string} - HTML
+ */
+function renderStoryCard(story, { storyPages, root }) {
+  const products = renderProductTags(story, root);
+  const headerImage = renderImage(story.media, 'headerImage', {
+    alt: story.media?.headerImageAlt || story.title,
+    className: 'story-header-image',
+    sizes: '(max-width: 768px) 100vw, 400px',
+    root
+  });
+  const logo = renderImage(story.company, 'logo', { alt: 'Company Logo', className: 'company-logo', sizes: '50px', root });
+
+  return `
+                <a href="${escapeHtml(root + storyPages.get(story.globalId))}" class="story-card" data-story-id="${escapeHtml(story.globalId)}">
+                    <div class="story-header">
+                        ${headerImage}
+                        <div class="story-company-logo">
+                            ${logo}
+                        </div>
+                    </div>
+                    <div class="story-content">
+                        <h3 class="story-title">${escapeHtml(story.title)}</h3>
+                        <div class="story-meta">
+                            ${story.industry ? `<span class="story-industry">${escapeHtml(story.industry)}</span>` : ''}
+                        </div>
+                        ${products ? `<div class="story-products">${products}</div>` : ''}
+                    </div>
+                </a>`;
+}
+
+/**
+ * Render the head tags that describe a page to search engines and link previews
+ * @param {object} page - Page information
+ * @returns {string} - HTML for the document head
+ */
+function renderMetaTags({ title, description, type, url, image, siteTitle }) {
+  return [
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    url && `<link rel="canonical" href="${escapeHtml(url)}">`,
+    `<meta property="og:site_name" content="${escapeHtml(siteTitle)}">`,
+    `<meta property="og:type" content="${type}">`,
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    `<meta property="og:description" content="${escapeHtml(description)}">`,
+    url && `<meta property="og:url" content="${escapeHtml(url)}">`,
+    image && `<meta property="og:image" content="${escapeHtml(image)}">`,
+    `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`
+  ].filter(Boolean).map(tag => `    ${tag}`).join('\n');
+}
+
+/**
+ * Render the links feed readers use to find a page's feeds
+ * @param {Array<{title: string, atom: string, json: string}>} feeds - Feed titles and paths relative to the site root
+ * @param {string} root - Relative path from the page to the site root
+ * @returns {string} - HTML for the document head
+ */
+function renderFeedLinks(feeds, root) {
+  return feeds.flatMap(feed => [
+    `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(feed.title)}" href="${escapeHtml(root + feed.atom)}">`,
+    `<link rel="alternate" type="application/feed+json" title="${escapeHtml(feed.title)}" href="${escapeHtml(root + feed.json)}">`
+  ]).map(tag => `    ${tag}\n`).join('');
+}
+
+/**
+ * Render a complete page for a story or a listing
+ * @param {object} page - Page information
+ * @returns {string} - HTML document
+ */
+function renderPage({ title, description, type = 'website', url, image, site, root, body, extractionDate, feeds = [], contentSecurityPolicy }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="Content-Security-Policy" content="${contentSecurityPolicy}">
+    <title>${escapeHtml(`${title} | ${site.title}`)}</title>
+${renderMetaTags({ title, description, type, url, image, siteTitle: site.title })}
+${renderFeedLinks(feeds, root)}    <link rel="stylesheet" href="${root}styles.css">
+</head>
+<body>
+    <header class="header">
+        <div class="container">
+            <p class="header-title"><a href="${root}index.html" class="header-home">${escapeHtml(site.title)}</a></p>
+            <p class="header-subtitle">${escapeHtml(site.subtitle)}</p>
+        </div>
+    </header>
+
+    <main class="main">
+        <div class="container">
+${body}
+        </div>
+    </main>
+
+    <footer class="footer">
+        <div class="container">
+            <p>&copy; 2025 Microsoft Customer Stories. Data extracted on ${escapeHtml(extractionDate)}</p>
+        </div>
+    </footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a story's page
+ * @param {object} story - Story
+ * @param {object} context - Build context
+ * @returns {string} - HTML document
+ */
+function renderStoryPage(story, context) {
+  const { stories, storyPages, industryPages, productPages, site, baseUrl, extractionDate } = context;
+  const root = '../';
+  const details = story.details || {};
+  const facts = [
+    ['Customer', escapeHtml(details.customerName || story.company?.name)],
+    ['Industry', story.industry && (industryPages.has(story.industry) ?
+      `<a href="${escapeHtml(root + industryPages.get(story.industry))}">${escapeHtml(story.industry)}</a>` :
+      escapeHtml(story.industry))],
+    ['Published', escapeHtml(details.publishedDate || story.publishedDate)],
+    ['Region', escapeHtml(details.region)],
+    ['Organization size', escapeHtml(details.organizationSize)]
+  ].filter(([, value]) => value);
+  const productLinks = [...new Set([...getProductNames(story), ...(details.products || [])])]
+    .map(name => (productPages.has(name) ?
+      `<li><a href="${escapeHtml(root + productPages.get(name))}">${escapeHtml(name)}</a></li>` :
+      `<li>${escapeHtml(name)}</li>`));
+  const header = getLargestImage(story.media, 'headerImage');
+  const logo = getLargestImage(story.company, 'logo');
+  const storyUrl = safeStoryUrl(story.storyUrl);
+  const related = findRelatedStories(story, stories);
+  const firstParagraph = (details.sections || []).flatMap(section => section.paragraphs || [])[0];
+
+  const content = [
+    `<div class="story-detail-heading">
+                        ${logo ? `<img src="${escapeHtml(root + logo.path)}" alt="${escapeHtml(`${details.customerName || story.company?.name || 'Company'} logo`)}" class="story-detail-logo">` : ''}
+                        <h1 class="story-detail-title">${escapeHtml(story.title)}</h1>
+                    </div>`,
+    facts.length > 0 && `<dl class="story-detail-facts">${facts.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}</dl>`,
+    productLinks.length > 0 && `<h2 class="story-detail-subtitle">Microsoft products</h2>`,
+    productLinks.length > 0 && `<ul class="browse-links">${productLinks.join('')}</ul>`,
+    ...(details.quotes || []).map(quote => `<blockquote class="story-detail-quote"><p>${escapeHtml(quote.text)}</p>` +
+      `${quote.attribution ? `<cite>${escapeHtml(quote.attribution)}</cite>` : ''}</blockquote>`),
+    ...(details.sections || []).map(section => '<section class="story-detail-section">' +
+      `${section.heading ? `<h2 class="story-detail-subtitle">${escapeHtml(section.heading)}</h2>` : ''}` +
+      `${(section.paragraphs || []).map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('')}</section>`),
+    storyUrl && `<p class="story-detail-actions"><a href="${escapeHtml(storyUrl)}" class="story-detail-original" rel="noopener noreferrer">Read the original story on microsoft.com</a></p>`,
+    related.length > 0 && '<h2 class="story-detail-subtitle">Related stories</h2>',
+    related.length > 0 && `<ul class="story-detail-related">${related.map(other => `<li><a href="${escapeHtml(root + storyPages.get(other.globalId))}">${escapeHtml(other.title)}</a>` +
+      `${other.industry ? `<span class="story-industry">${escapeHtml(other.industry)}</span>` : ''}</li>`).join('')}</ul>`
+  ].filter(Boolean);
+
+  const body = `            <article class="story-detail-panel story-page">
+                ${header ? `<img src="${escapeHtml(root + header.path)}"${header.width && header.height ? ` width="${header.width}" height="${header.height}"` : ''} alt="${escapeHtml(story.media?.headerImageAlt || '')}" class="story-detail-header">` : ''}
+                <div class="story-detail-body">
+                    ${content.join('\n                    ')}
+                </div>
+            </article>`;
+
+  const pagePath = storyPages.get(story.globalId);
+  return renderPage({
+    title: story.title,
+    description: toDescription(firstParagraph || [
+      story.industry && `${story.industry} customer story`,
+      getProductNames(story).length > 0 && `featuring ${getProductNames(story).join(', ')}`
+    ].filter(Boolean).join(' ') || story.title),
+    type: 'article',
+    url: toAbsoluteUrl(baseUrl, pagePath),
+    image: header && toAbsoluteUrl(baseUrl, header.path),
+    site,
+    root,
+    body,
+    extractionDate,
+    feeds: context.feeds.site,
+    contentSecurityPolicy: context.contentSecurityPolicy
+  });
+}
+
+/**
+ * Render an industry or product listing page
+ * @param {object} listing - Listing name, kind and stories
+ * @param {object} context - Build context
+ * @returns {string} - HTML document
+ */
+function renderListingPage({ name, kind, page, stories, feed }, context) {
+  const root = '../';
+  const title = `${name} customer stories`;
+  const body = `            <nav class="breadcrumbs"><a href="${root}index.html">All stories</a> › ${escapeHtml(kind)}</nav>
+            <h1 class="listing-title">${escapeHtml(title)}</h1>
+            <div class="stats"><span class="stats-item">${stories.length} customer ${stories.length === 1 ? 'story' : 'stories'}</span></div>
+            <div class="stories-grid">${stories.map(story => renderStoryCard(story, { ...context, root })).join('')}
+            </div>`;
+
+  return renderPage({
+    title,
+    description: toDescription(`${stories.length} Microsoft customer ${stories.length === 1 ? 'story' : 'stories'} for ${name}: ${stories.map(story => story.title).join('; ')}`),
+    url: toAbsoluteUrl(context.baseUrl, page),
+    site: context.site,
+    root,
+    body,
+    extractionDate: context.extractionDate,
+    feeds: [...(feed ? [{ title, atom: `${feed}.xml`, json: `${feed}.json` }] : []), ...context.feeds.site],
+    contentSecurityPolicy: context.contentSecurityPolicy
+  });
+}
+
+/**
+ * Render the links to every industry and product page shown on the index
+ * @param {object} context - Build context
+ * @returns {string} - HTML
+ */
+function renderBrowseLinks({ industries, products }) {
+  const list = (title, entries) => (entries.length === 0 ? '' : `
+                <div class="browse-group">
+                    <h2 class="browse-title">${title}</h2>
+                    <ul class="browse-links">${entries.map(entry => `<li><a href="${escapeHtml(entry.page)}">${escapeHtml(entry.name)}</a> <span class="facet-count">${entry.stories.length}</span></li>`).join('')}</ul>
+                </div>`);
+  return `${list('Browse by industry', industries)}${list('Browse by product', products)}
+            `;
+}
+
+/**
+ * Replace the content of the element with the given id in an HTML document
+ * @param {string} html - HTML document
+ * @param {string} id - Element id
+ * @param {string} content - New HTML content
+ * @returns {string} - Updated document
+ */
+function replaceElementContent(html, id, content) {
+  const pattern = new RegExp(`(<(\\w+)[^>]*\\bid="${id}"[^>]*>)[\\s\\S]*?(</\\2>)`);
+  if (!pattern.test(html)) {
+    throw new Error(`index.html has no element with id "${id}"`);
+  }
+  return html.replace(pattern, (match, open, tag, close) => `${open}${content}${close}`);
+}
+
+/**
+ * Read the Content-Security-Policy of the web app, which the story and listing
+ * pages reuse so the site has a single policy
+ * @param {string} template - Contents of index.html
+ * @returns {string} - Content attribute of the Content-Security-Policy meta tag, as written
+ */
+function readContentSecurityPolicy(template) {
+  const match = template.match(/<meta http-equiv="Content-Security-Policy" content="([^"]*)">/i);
+  if (!match) {
+    throw new Error('index.html has no Content-Security-Policy meta tag');
+  }
+  return match[1];
+}
+
+/**
+ * Pre-render the web app's index.html: the cards of every story, the story count,
+ * the links to the listing pages, the page's meta tags and, when the build
+ * writes feeds, the links to them. script.js replaces the cards with the
+ * interactive list when it loads.
+ * @param {string} template - Contents of index.html
+ * @param {object} context - Build context
+ * @returns {string} - HTML document
+ */
+function renderIndexPage(template, context) {
+  const { stories, site, baseUrl, extractionDate } = context;
+  const description = toDescription(site.subtitle || `${stories.length} Microsoft customer stories`);
+  const cards = stories.map(story => renderStoryCard(story, { ...context, root: '' })).join('');
+  const withContent = [
+    ['siteTitle', escapeHtml(site.title)],
+    ['siteSubtitle', escapeHtml(site.subtitle)],
+    ['statsContainer', `\n                <span class="stats-item">${stories.length} customer stories</span>\n            `],
+    ['storiesGrid', `${cards}\n            `],
+    ['browseLinks', renderBrowseLinks(context)],
+    ['extractionDate', escapeHtml(extractionDate)]
+  ].reduce((html, [id, content]) => replaceElementContent(html, id, content), template);
+
+  return withContent
+    .replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHtml(site.title)}</title>\n${renderMetaTags({
+      title: site.title,
+      description,
+      type: 'website',
+      url: toAbsoluteUrl(baseUrl, ''),
+      image: null,
+      siteTitle: site.title
+    })}${context.feeds.site.length > 0 ? `\n${renderFeedLinks(context.feeds.site, '').trimEnd()}` : ''}`);
+}
+
+/**
+ * Render sitemap.xml
+ * @param {Array<{path: string, lastModified: string}>} pages - Pages relative to the site root
+ * @param {string} baseUrl - Public URL of the site
+ * @returns {string} - XML document
+ */
+function renderSitemap(pages, baseUrl) {
+  const entries = pages.map(page => {
+    const lastModified = page.lastModified ? `\n    <lastmod>${new Date(page.lastModified).toISOString().slice(0, 10)}</lastmod>` : '';
+    return `  <url>\n    <loc>${escapeHtml(toAbsoluteUrl(baseUrl, page.path))}</loc>${lastModified}\n  </url>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Copy a file into the output directory, keeping its path relative to the site root
+ * @param {string} rootDir - Site root
+ * @param {string} outDir - Output directory
+ * @param {string} relativePath - Path relative to the site root
+ * @returns {boolean} - True if the file existed and was copied
+ */
+function copySiteFile(rootDir, outDir, relativePath) {
+  const source = path.join(rootDir, relativePath);
+  if (!fs.existsSync(source)) {
+    return false;
+  }
+  const target = path.join(outDir, relativePath);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.copyFileSync(source, target);
+  return true;
+}
+
+/**
+ * Generate the static site: a pre-rendered index.html, one page per story, one
+ * listing page per industry and per product, sitemap.xml and robots.txt, along
+ * with the web app's script, styles, data files and the images the stories use
+ *
+ * @param {object} results - Results document (metadata and stories)
+ * @param {object} options - Build options
+ * @param {string} options.rootDir - Directory holding index.html, safe-html.js, script.js, styles.css and media
+ * @param {string} options.outDir - Output directory; it is emptied first
+ * @param {object} options.site - Site config ({title, subtitle, datasets}, see lib/site.js)
+ * @param {string} options.baseUrl - Public URL of the site; without it, sitemap.xml, canonical
+ *   links and og:url/og:image are left out because they need absolute URLs
+ * @param {object} [options.feeds] - Feeds to link from the story and listing pages (see lib/feeds.js)
+ * @param {string} options.feeds.feedFile - Atom feed of the site
+ * @param {string} options.feeds.jsonFeedFile - JSON Feed of the site
+ * @param {string} options.feeds.feedDirectory - Directory of the per-industry and per-product feeds
+ * @param {boolean} options.feeds.perIndustry - Link each industry page to its feed
+ * @param {boolean} options.feeds.perProduct - Link each product page to its feed
+ * @returns {{pages: number, stories: number, industries: number, products: number, files: number, sitemap: boolean}} - Summary
+ */
+function buildStaticSite(results, { rootDir, outDir, site, baseUrl = '', feeds = null }) {
+  const resolvedRoot = path.resolve(rootDir);
+  const resolvedOut = path.resolve(outDir);
+  if (resolvedOut === resolvedRoot || !path.relative(resolvedOut, resolvedRoot).startsWith('..')) {
+    throw new Error(`Output directory ${resolvedOut} must not contain the site root ${resolvedRoot}`);
+  }
+  const template = fs.readFileSync(path.join(resolvedRoot, 'index.html'), 'utf8');
+
+  const stories = (results.stories || []).filter(story => story.status !== 'removed' && story.globalId);
+  const { storyPages, industries, products } = planPages(stories);
+  const context = {
+    stories,
+    storyPages,
+    industries,
+    products,
+    industryPages: new Map(industries.map(industry => [industry.name, industry.page])),
+    productPages: new Map(products.map(product => [product.name, product.page])),
+    site,
+    baseUrl,
+    extractionDate: results.metadata?.extractionDate ? results.metadata.extractionDate.slice(0, 10) : '',
+    feeds: { site: feeds ? [{ title: site.title, atom: feeds.feedFile, json: feeds.jsonFeedFile }] : [] },
+    contentSecurityPolicy: readContentSecurityPolicy(template)
+  };
+  const groupFeed = (enabled, page) => (feeds && enabled ? `${feeds.feedDirectory}/${page.replace(/\.html$/, '')}` : null);
+
+  fs.rmSync(resolvedOut, { recursive: true, force: true });
+  const pages = [];
+  const writePage = (pagePath, html, lastModified) => {
+    const target = path.join(resolvedOut, pagePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, html);
+    pages.push({ path: pagePath === 'index.html' ? '' : pagePath, lastModified });
+  };
+
+  const extractionDate = results.metadata?.extractionDate;
+  writePage('index.html', renderIndexPage(template, context), extractionDate);
+  stories.forEach(story => {
+    writePage(storyPages.get(story.globalId), renderStoryPage(story, context), story.extractedAt || extractionDate);
+  });
+  industries.forEach(industry => {
+    writePage(industry.page, renderListingPage({
+      ...industry,
+      kind: 'Industry',
+      feed: groupFeed(feeds?.perIndustry, industry.page)
+    }, context), extractionDate);
+  });
+  products.forEach(product => {
+    writePage(product.page, renderListingPage({
+      ...product,
+      kind: 'Product',
+      feed: groupFeed(feeds?.perProduct, product.page)
+    }, context), extractionDate);
+  });
+
+  if (baseUrl) {
+    fs.writeFileSync(path.join(resolvedOut, 'sitemap.xml'), renderSitemap(pages, baseUrl));
+    fs.writeFileSync(path.join(resolvedOut, 'robots.txt'), `User-agent: *\nAllow: /\n\nSitemap: ${toAbsoluteUrl(baseUrl, 'sitemap.xml')}\n`);
+  }
+
+  // The web app on the index page loads these at runtime
+  const assets = new Set(['safe-html.js', 'script.js', 'styles.css', 'site.json']);
+  (site.datasets || []).forEach(dataset => {
+    [dataset.file, dataset.statistics].map(safeLocalPath).filter(Boolean).forEach(file => assets.add(file));
+  });
+  collectMediaReferences(stories).map(reference => safeLocalPath(reference.path)).filter(Boolean)
+    .forEach(file => assets.add(file));
+  const files = Array.from(assets).filter(file => copySiteFile(resolvedRoot, resolvedOut, file)).length;
+
+  return {
+    pages: pages.length,
+    stories: stories.length,
+    industries: industries.length,
+    products: products.length,
+    files,
+    sitemap: Boolean(baseUrl)
+  };
+}
+
+module.exports = {
+  slugify,
+  readContentSecurityPolicy,
+  planPages,
+  renderSitemap,
+  buildStaticSite
+};
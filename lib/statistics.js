@@ -0,0 +1,97 @@
+const { summarizeStories } = require('./extractor');
+
+/**
+ * Sort a count map by descending count, then by name
+ * @param {object} counts - Map of name to count
+ * @returns {object} - Map with the same entries in sorted order
+ */
+function sortCounts(counts) {
+  return Object.fromEntries(
+    Object.entries(counts).sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+  );
+}
+
+/**
+ * Get the "YYYY-MM" month of a date string
+ * @param {string} value - Date string
+ * @returns {string|null} - Month, or null if the date cannot be parsed
+ */
+function toMonth(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString().slice(0, 7) : null;
+}
+
+/**
+ * Count how often each pair of products appears in the same story
+ * @param {Array<object>} stories - Stories
+ * @returns {Array<{products: Array<string>, count: number}>} - Pairs by descending count
+ */
+function countProductPairs(stories) {
+  const pairs = new Map();
+
+  stories.forEach(story => {
+    const products = [...new Set((story.microsoftProducts || [])
+      .map(product => (typeof product === 'object' ? product.name : product))
+      .filter(Boolean))].sort();
+
+    for (let i = 0; i < products.length; i++) {
+      for (let j = i + 1; j < products.length; j++) {
+        const key = JSON.stringify([products[i], products[j]]);
+        pairs.set(key, (pairs.get(key) || 0) + 1);
+      }
+    }
+  });
+
+  return Array.from(pairs, ([key, count]) => ({ products: JSON.parse(key), count }))
+    .sort((a, b) => b.count - a.count || a.products.join().localeCompare(b.products.join()));
+}
+
+/**
+ * Count stories per month, oldest month first
+ * @param {Array<object>} stories - Stories
+ * @param {Function} getDate - Returns the date string to bucket a story by
+ * @returns {object} - Map of "YYYY-MM" to count
+ */
+function countPerMonth(stories, getDate) {
+  const counts = {};
+  stories.forEach(story => {
+    const month = toMonth(getDate(story));
+    if (month) {
+      counts[month] = (counts[month] || 0) + 1;
+    }
+  });
+  return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Build aggregate statistics over the active stories of a dataset
+ * @param {Array<object>} stories - Merged stories, including removed ones
+ * @param {object} info - Run information
+ * @param {string} info.generatedAt - ISO timestamp of the run
+ * @param {Array<object>} [info.queries] - Query metadata from the results
+ * @returns {object} - Statistics document
+ */
+function buildStatistics(stories, { generatedAt, queries = [] }) {
+  const active = stories.filter(story => story.status !== 'removed');
+  const summarize = subset => {
+    const { industryCount, productCount } = summarizeStories(subset);
+    return { totalStories: subset.length, industries: sortCounts(industryCount), products: sortCounts(productCount) };
+  };
+
+  return {
+    generatedAt,
+    ...summarize(active),
+    productPairs: countProductPairs(active),
+    // Publish dates need a deep crawl; firstSeen is recorded on every run
+    publishedPerMonth: countPerMonth(active, story => story.details?.publishedDate || story.publishedDate),
+    firstSeenPerMonth: countPerMonth(active, story => story.firstSeen),
+    queries: Object.fromEntries(queries.map(query => [query.name, {
+      label: query.label || query.name,
+      ...summarize(active.filter(story => (story.queries || []).includes(query.name)))
+    }]))
+  };
+}
+
+module.exports = {
+  buildStatistics
+};
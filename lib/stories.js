@@ -0,0 +1,56 @@
+/**
+ * Story identity helpers.
+ *
+ * Story URLs look like `/en/customers/story/24963-csop-asset-management-azure-ai-foundry`:
+ * a numeric story ID followed by a slug. The numeric ID does not change when
+ * new stories are published, so it is used as the story's `globalId` and as
+ * the prefix of its image filenames.
+ */
+
+const STORY_PATH_PATTERN = /\/customers\/story\/([^/?#]+)/;
+
+/**
+ * Derive the stable identity of a story from its URL
+ * @param {string} storyUrl - Absolute or relative story URL
+ * @returns {{storyId: string, slug: string}|null} - Identity, or null if the URL is not a story URL
+ */
+function parseStoryUrl(storyUrl) {
+  const match = (storyUrl || '').match(STORY_PATH_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const segment = decodeURIComponent(match[1]).toLowerCase();
+  const idMatch = segment.match(/^(\d+)(?:-(.*))?$/);
+  if (idMatch) {
+    return { storyId: idMatch[1], slug: idMatch[2] || '' };
+  }
+
+  // Stories without a numeric prefix are identified by their slug
+  return { storyId: segment.replace(/[^a-z0-9-]/g, '_'), slug: segment };
+}
+
+/**
+ * Prefix each story with `globalId`, `storyId` and `slug` derived from its URL
+ *
+ * Stories whose URL has no recognizable story path get a page/position based
+ * ID so they are still addressable, but that ID is not stable across runs.
+ *
+ * @param {Array<object>} stories - Stories extracted from a listing page
+ * @returns {Array<object>} - New story objects with identity fields first
+ */
+function assignStoryIds(stories) {
+  return stories.map(story => {
+    const identity = parseStoryUrl(story.storyUrl);
+    if (!identity) {
+      console.warn(`Could not derive a story ID from URL "${story.storyUrl}", using page position`);
+      return { globalId: `p${story.page}_${story.positionOnPage}`, ...story };
+    }
+    return { globalId: identity.storyId, ...identity, ...story };
+  });
+}
+
+module.exports = {
+  parseStoryUrl,
+  assignStoryIds
+};
@@ -0,0 +1,152 @@
+/**
+ * Story page crawling.
+ *
+ * `extractStoryDetails` is passed to `page.evaluate` and must stay
+ * self-contained. Selectors come from `selectors.storyPage` in config.json.
+ */
+const { withRetries } = require('./download-manager');
+
+/**
+ * Extract the full content of a customer story page
+ * @param {object} selectors - The `selectors.storyPage` section of config.json
+ * @returns {object} - Story details
+ */
+function extractStoryDetails(selectors) {
+  const cleanText = element => (element ? element.textContent.replace(/\s+/g, ' ').trim() : '');
+  const content = document.querySelector(selectors.content) || document.body;
+
+  // Sidebar facts are rendered as label/value pairs ("Customer", "Industry", ...)
+  const facts = {};
+  document.querySelectorAll(selectors.detailLabel).forEach(label => {
+    const key = cleanText(label).replace(/:$/, '').toLowerCase();
+    const valueElement = label.nextElementSibling;
+    if (!key || !valueElement || facts[key]) {
+      return;
+    }
+    const items = Array.from(valueElement.querySelectorAll('li, a')).map(cleanText).filter(Boolean);
+    facts[key] = items.length > 0 ? Array.from(new Set(items)) : cleanText(valueElement);
+  });
+  const fact = (...keys) => {
+    const key = keys.find(candidate => facts[candidate] !== undefined);
+    return key ? facts[key] : null;
+  };
+  const asText = value => (Array.isArray(value) ? value.join(', ') : value);
+  const asList = value => (Array.isArray(value) ? value : (value ? value.split(/\s*,\s*/) : []));
+
+  // Publish date from meta tags or a <time> element
+  const dateElement = document.querySelector(selectors.publishDate);
+  const publishedDate = dateElement
+    ? dateElement.getAttribute('content') || dateElement.getAttribute('datetime') || cleanText(dateElement)
+    : asText(fact('published', 'publish date', 'date'));
+
+  // Pull quotes with attribution
+  const quotes = Array.from(content.querySelectorAll(selectors.quote)).map(quote => {
+    const attributionElement = quote.querySelector(selectors.quoteAttribution) ||
+      (quote.parentElement && quote.parentElement.querySelector(selectors.quoteAttribution));
+    const attribution = cleanText(attributionElement);
+    let text = cleanText(quote);
+    if (attribution && text.endsWith(attribution)) {
+      text = text.slice(0, -attribution.length).trim();
+    }
+    return { text: text.replace(/^[“"]|[”"]$/g, ''), attribution };
+  }).filter(quote => quote.text);
+
+  // Body split into sections at each heading; sidebar headings and paragraphs inside quotes are skipped
+  const sections = [];
+  let currentSection = null;
+  content.querySelectorAll(`${selectors.sectionHeading}, p`).forEach(element => {
+    if (selectors.excluded && element.closest(selectors.excluded)) {
+      return;
+    }
+    if (element.matches(selectors.sectionHeading)) {
+      currentSection = { heading: cleanText(element), paragraphs: [] };
+      sections.push(currentSection);
+      return;
+    }
+    if (element.closest(selectors.quote)) {
+      return;
+    }
+    const text = cleanText(element);
+    if (!text) {
+      return;
+    }
+    if (!currentSection) {
+      currentSection = { heading: '', paragraphs: [] };
+      sections.push(currentSection);
+    }
+    currentSection.paragraphs.push(text);
+  });
+
+  return {
+    customerName: asText(fact('customer', 'customer name', 'organization')),
+    publishedDate: publishedDate || null,
+    region: asText(fact('country/region', 'country', 'region', 'location')),
+    organizationSize: asText(fact('organization size', 'company size')),
+    industry: asText(fact('industry', 'industries')),
+    products: asList(fact('products and services', 'products', 'product')),
+    sections: sections.filter(section => section.paragraphs.length > 0),
+    quotes
+  };
+}
+
+/**
+ * Visit each story page and attach its details to the story
+ *
+ * Requests are spaced by `extraction.pagination.delayBetweenPages` and a failed
+ * page is retried like a results page (`extraction.pagination.retries`). A
+ * page that still fails is recorded on the story as `detailsError` and any
+ * details from an earlier run are kept.
+ *
+ * @param {import('playwright').Page} page - Playwright page to drive
+ * @param {Array<object>} stories - Stories to crawl (mutated in place)
+ * @param {object} config - Parsed config.json
+ * @returns {Promise<{crawled: number, failed: number, failures: Array<object>}>} - Crawl counts and
+ *   the story pages that failed
+ */
+async function crawlStoryPages(page, stories, config) {
+  const { pagination = {}, timeouts = {} } = config.extraction;
+  const { retries = 2, retryDelay = 2000 } = pagination;
+  const selectors = config.selectors.storyPage;
+  const failures = [];
+  let crawled = 0;
+
+  for (let i = 0; i < stories.length; i++) {
+    const story = stories[i];
+    console.log(`Crawling story ${i + 1}/${stories.length}: ${story.globalId}`);
+
+    if (i > 0 && pagination.delayBetweenPages) {
+      await page.waitForTimeout(pagination.delayBetweenPages);
+    }
+
+    try {
+      const details = await withRetries(async () => {
+        await page.goto(story.storyUrl, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+        await page.waitForSelector(selectors.content, { timeout: timeouts.elementWait });
+        return page.evaluate(extractStoryDetails, selectors);
+      }, {
+        retries,
+        retryDelay,
+        onRetry: (error, retry, delay) => console.warn(`  ${error.message}; retry ${retry} of ${retries} in ${delay} ms`)
+      });
+      story.details = { ...details, crawledAt: new Date().toISOString() };
+      delete story.detailsError;
+
+      if (details.customerName) {
+        story.company = { ...story.company, name: details.customerName };
+      }
+      crawled++;
+      console.log(`  ${details.sections.length} sections, ${details.quotes.length} quotes`);
+    } catch (error) {
+      story.detailsError = { message: error.message, failedAt: new Date().toISOString() };
+      failures.push({ globalId: story.globalId, url: story.storyUrl, error: error.message });
+      console.warn(`  Failed to crawl story ${story.globalId}: ${error.message}`);
+    }
+  }
+
+  return { crawled, failed: failures.length, failures };
+}
+
+module.exports = {
+  extractStoryDetails,
+  crawlStoryPages
+};
@@ -0,0 +1,152 @@
+const Ajv = require('ajv');
+const storySchema = require('../schemas/customer-story.v1.schema.json');
+
+const SCHEMA_VERSION = 1;
+
+const DEFAULT_MAX_ACTIVE_STORY_DROP = 0.3;
+
+/**
+ * Build the story schema with the fields from `dataExtraction.requiredFields`
+ * added as required, non-empty properties
+ * @param {Array<string>} requiredFields - Top-level story fields that must be filled in
+ * @returns {object} - JSON Schema for a story
+ */
+function buildStorySchema(requiredFields = []) {
+  const properties = { ...storySchema.properties };
+  requiredFields.forEach(field => {
+    if (properties[field] && properties[field].type === 'string') {
+      properties[field] = { ...properties[field], minLength: 1 };
+    }
+  });
+
+  return {
+    ...storySchema,
+    required: Array.from(new Set([...storySchema.required, ...requiredFields])),
+    properties
+  };
+}
+
+/**
+ * Check that a story URL is an absolute https URL on microsoft.com
+ * @param {string} storyUrl - Story URL
+ * @returns {string|null} - Error message, or null if the URL is acceptable
+ */
+function checkStoryUrl(storyUrl) {
+  let url;
+  try {
+    url = new URL(storyUrl);
+  } catch (error) {
+    return `storyUrl is not an absolute URL: "${storyUrl}"`;
+  }
+  if (url.protocol !== 'https:') {
+    return `storyUrl must use https: "${storyUrl}"`;
+  }
+  if (url.hostname !== 'microsoft.com' && !url.hostname.endsWith('.microsoft.com')) {
+    return `storyUrl is not on microsoft.com: "${storyUrl}"`;
+  }
+  return null;
+}
+
+/**
+ * Validate every story of a results document and decide whether the run
+ * passes the data-quality gate
+ *
+ * Every story is checked, but only active stories count towards the quality
+ * score, the share of active stories without errors: stories marked removed
+ * keep their last good data, so they would hide a run that lost half of its
+ * listing. The run fails when the score is below
+ * `dataExtraction.qualityThreshold`, when any story is a duplicate of another,
+ * or when the number of active stories dropped by more than
+ * `dataExtraction.maxActiveStoryDrop` (a share, default 0.3) since the previous run.
+ *
+ * @param {object} results - Results document (metadata and stories)
+ * @param {object} dataExtraction - The `dataExtraction` section of config.json
+ * @param {object} [options] - Validation options
+ * @param {Array<object>} [options.previousStories] - Stories of the previous run
+ * @returns {object} - Validation report
+ */
+function validateResults(results, dataExtraction = {}, { previousStories = [] } = {}) {
+  const ajv = new Ajv({ allErrors: true });
+  const validateStory = ajv.compile(buildStorySchema(dataExtraction.requiredFields));
+  const threshold = dataExtraction.qualityThreshold !== undefined ? dataExtraction.qualityThreshold : 1;
+  const maxActiveStoryDrop = dataExtraction.maxActiveStoryDrop !== undefined ? dataExtraction.maxActiveStoryDrop : DEFAULT_MAX_ACTIVE_STORY_DROP;
+
+  const stories = results.stories || [];
+  const issues = [];
+  const invalidIndexes = new Set();
+  const duplicateIndexes = new Set();
+  const seenIds = new Map();
+  const seenUrls = new Map();
+
+  const addIssue = (story, index, field, message) => {
+    invalidIndexes.add(index);
+    issues.push({ globalId: story.globalId || `#${index}`, field, message });
+  };
+
+  stories.forEach((story, index) => {
+    if (!validateStory(story)) {
+      validateStory.errors.forEach(error => {
+        const field = error.params.missingProperty
+          ? `${error.instancePath}/${error.params.missingProperty}`
+          : error.instancePath;
+        addIssue(story, index, field.replace(/^\//, '').replace(/\//g, '.') || '(story)', error.message);
+      });
+    }
+
+    if (dataExtraction.validateUrls !== false && typeof story.storyUrl === 'string' && story.storyUrl) {
+      const urlError = checkStoryUrl(story.storyUrl);
+      if (urlError) {
+        addIssue(story, index, 'storyUrl', urlError);
+      }
+    }
+
+    [[seenIds, story.globalId, 'globalId'], [seenUrls, story.storyUrl, 'storyUrl']].forEach(([seen, value, field]) => {
+      if (!value) {
+        return;
+      }
+      if (seen.has(value)) {
+        duplicateIndexes.add(index);
+        addIssue(story, index, field, `duplicate of story at index ${seen.get(value)}`);
+      } else {
+        seen.set(value, index);
+      }
+    });
+  });
+
+  const activeIndexes = stories.map((story, index) => index).filter(index => stories[index].status !== 'removed');
+  const invalidActive = activeIndexes.filter(index => invalidIndexes.has(index)).length;
+  const validStories = activeIndexes.length - invalidActive;
+  const qualityScore = activeIndexes.length > 0 ? validStories / activeIndexes.length : 0;
+
+  const previousActiveStories = previousStories.filter(story => story.status !== 'removed').length;
+  const activeStoryDrop = previousActiveStories > 0 ?
+    Math.max(0, (previousActiveStories - activeIndexes.length) / previousActiveStories) :
+    0;
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    validatedAt: new Date().toISOString(),
+    totalStories: stories.length,
+    activeStories: activeIndexes.length,
+    validStories,
+    invalidStories: invalidActive,
+    duplicates: duplicateIndexes.size,
+    qualityScore: Math.round(qualityScore * 1000) / 1000,
+    threshold,
+    previousActiveStories,
+    activeStoryDrop: Math.round(activeStoryDrop * 1000) / 1000,
+    maxActiveStoryDrop,
+    passed: activeIndexes.length > 0 &&
+      qualityScore >= threshold &&
+      duplicateIndexes.size === 0 &&
+      activeStoryDrop <= maxActiveStoryDrop,
+    issues
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  buildStorySchema,
+  checkStoryUrl,
+  validateResults
+};
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/**
+ * Media maintenance CLI
+ *
+ * Cross-references microsoft-customer-stories.json with the media directory
+ * and reports images that are missing, empty or unreadable, and files that no
+ * story references. With --prune it deletes the orphaned files, including the
+ * images of removed stories, and drops their paths from the dataset; with
+ * --refetch it downloads broken images again from the original URLs stored on
+ * each story and recreates their resized variants.
+ *
+ * Exit codes:
+ *   0 - the media directory matches the dataset
+ *   1 - problems remain (or the check failed)
+ *   2 - invalid command line arguments
+ */
+const fs = require('fs');
+const path = require('path');
+
+const { DEFAULT_CONFIG_PATH, loadConfig } = require('./lib/config');
+const { checkMedia, pruneOrphans, clearRemovedStoryMedia, refetchMedia } = require('./lib/media-maintenance');
+
+const USAGE = `Usage: node media-maintenance.js [options]
+
+Options:
+  --config <path>     Config file (default: config.json)
+  --data <path>       Dataset to check (default: output.dataFile)
+  --media-dir <path>  Media directory (default: output.mediaDirectory)
+  --prune             Delete files that no story references
+  --refetch           Download missing, empty and unreadable images again
+  --dry-run           Show what --prune and --refetch would do without changing anything
+  --help              Show this message
+
+Without --prune or --refetch, only reports problems.`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {object} - Parsed options
+ */
+function parseArgs(argv) {
+  const options = {};
+  const valueFlags = {
+    '--config': 'config',
+    '--data': 'data',
+    '--media-dir': 'mediaDir'
+  };
+  const booleanFlags = {
+    '--prune': 'prune',
+    '--refetch': 'refetch',
+    '--dry-run': 'dryRun',
+    '--help': 'help',
+    '-h': 'help'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+    if (valueFlags[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      options[valueFlags[flag]] = value;
+    } else if (booleanFlags[flag] && inlineValue === undefined) {
+      options[booleanFlags[flag]] = true;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Log a section of the report
+ * @param {string} label - Section label
+ * @param {Array<string>} lines - Lines to list
+ */
+function logSection(label, lines) {
+  console.log(`${label}: ${lines.length}`);
+  lines.slice(0, 20).forEach(line => console.log(`  ${line}`));
+  if (lines.length > 20) {
+    console.log(`  ... and ${lines.length - 20} more`);
+  }
+}
+
+/**
+ * Check the media directory and apply the requested repairs
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<object>} - Report of the problems that remain
+ */
+async function run(options) {
+  const config = loadConfig(options.config ? path.resolve(options.config) : DEFAULT_CONFIG_PATH);
+  const output = config.output || {};
+  const dataFile = path.resolve(options.data || output.dataFile || 'microsoft-customer-stories.json');
+  const mediaDir = path.resolve(options.mediaDir || output.mediaDirectory || 'media');
+  const rootDir = path.dirname(dataFile);
+
+  if (!fs.existsSync(dataFile)) {
+    throw new Error(`Dataset not found: ${dataFile}`);
+  }
+  const results = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+  const stories = results.stories || [];
+
+  let report = await checkMedia(stories, { rootDir, mediaDir });
+  const activeCount = stories.filter(story => story.status !== 'removed').length;
+  console.log(`${activeCount} active stories reference ${report.referenced} files; ${mediaDir} holds ${report.files} files`);
+  const describe = reference => `${reference.path} (story ${reference.globalId})`;
+  logSection('Missing', report.missing.map(describe));
+  logSection('Empty', report.empty.map(describe));
+  logSection('Unreadable', report.corrupt.map(describe));
+  logSection('Orphaned', report.orphaned);
+
+  if (options.prune && report.orphaned.length > 0) {
+    console.log(`\n=== ${options.dryRun ? 'PRUNE (DRY RUN)' : 'PRUNING'} ORPHANED FILES ===`);
+    const bytes = pruneOrphans(report.orphaned, { mediaDir, dryRun: options.dryRun });
+    console.log(`${options.dryRun ? 'Would free' : 'Freed'} ${(bytes / 1024).toFixed(1)} KB`);
+
+    const cleared = options.dryRun ? 0 : clearRemovedStoryMedia(stories, rootDir);
+    if (cleared > 0) {
+      fs.writeFileSync(dataFile, JSON.stringify(results, null, 2));
+      console.log(`Removed ${cleared} deleted image paths from removed stories; ${dataFile} updated`);
+    }
+  }
+
+  const brokenCount = report.missing.length + report.empty.length + report.corrupt.length;
+  if (options.refetch && brokenCount > 0) {
+    console.log(`\n=== ${options.dryRun ? 'REFETCH (DRY RUN)' : 'REFETCHING'} BROKEN IMAGES ===`);
+    const { fetched, failed } = await refetchMedia(stories, report, {
+      rootDir,
+      mediaDir,
+      dryRun: options.dryRun,
+      downloads: {
+        timeout: config.extraction?.timeouts?.navigation,
+        ...config.extraction?.downloads
+      },
+      imageVariants: config.extraction?.imageVariants
+    });
+
+    if (!options.dryRun) {
+      fs.writeFileSync(dataFile, JSON.stringify(results, null, 2));
+      console.log(`Fetched ${fetched} images, ${failed.length} failed; ${dataFile} updated`);
+    }
+  }
+
+  if ((options.prune || options.refetch) && !options.dryRun) {
+    report = await checkMedia(stories, { rootDir, mediaDir });
+  }
+  return report;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    const report = await run(options);
+    const problems = report.missing.length + report.empty.length + report.corrupt.length + report.orphaned.length;
+    console.log(problems === 0 ? '\nMedia directory is consistent with the dataset' : `\n${problems} problem(s) remain`);
+    return problems === 0 ? 0 : 1;
+  } catch (error) {
+    console.error(`Media check failed: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  parseArgs,
+  run
+};
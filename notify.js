@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Notification CLI
+ *
+ * Sends the notifications configured in config.json for the last extraction
+ * run again, from the files it wrote: the dataset, the change report and the
+ * run summary. Use it with --dry-run to check templates, or point a channel at
+ * a local mock server to test delivery without running an extraction.
+ *
+ * Exit codes:
+ *   0 - every channel sent, was skipped or was printed
+ *   1 - a channel failed (or the run's files could not be read)
+ *   2 - invalid command line arguments
+ */
+const fs = require('fs');
+const path = require('path');
+
+const { DEFAULT_CONFIG_PATH, loadConfig } = require('./lib/config');
+const { buildNotificationContext, sendNotifications } = require('./lib/notifications');
+
+const OUTCOMES = ['success', 'partial', 'failure'];
+
+const USAGE = `Usage: node notify.js [options]
+
+Options:
+  --config <path>     Config file (default: config.json)
+  --channel <names>   Comma-separated names of the channels to use (default: all)
+  --outcome <name>    Report the run as success, partial or failure
+                      (default: from output.runSummaryFile)
+  --dry-run           Print the notifications instead of sending them
+  --help              Show this message
+
+Disabled notifications are printed with --dry-run but never sent.`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {object} - Parsed options
+ */
+function parseArgs(argv) {
+  const options = {};
+  const valueFlags = {
+    '--config': 'config',
+    '--channel': 'channels',
+    '--outcome': 'outcome'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+    if (valueFlags[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      options[valueFlags[flag]] = value;
+    } else if (flag === '--dry-run' && inlineValue === undefined) {
+      options.dryRun = true;
+    } else if ((flag === '--help' || flag === '-h') && inlineValue === undefined) {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (options.outcome !== undefined && !OUTCOMES.includes(options.outcome)) {
+    throw new Error(`--outcome must be one of ${OUTCOMES.join(', ')}, got "${options.outcome}"`);
+  }
+  if (options.channels !== undefined) {
+    options.channels = options.channels.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  return options;
+}
+
+/**
+ * Read a JSON file written by the last run
+ * @param {string} filePath - File path
+ * @returns {object|null} - Parsed file, or null if it does not exist
+ */
+function readRunFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    console.warn(`${filePath} not found; the notifications leave it out`);
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Send the notifications for the last run
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<Array<object>>} - Result per channel
+ */
+async function run(options) {
+  const config = loadConfig(options.config ? path.resolve(options.config) : DEFAULT_CONFIG_PATH);
+  const output = config.output || {};
+  const notifications = config.notifications || {};
+  if (notifications.enabled === false && !options.dryRun) {
+    console.log('Notifications are disabled (notifications.enabled); use --dry-run to print them');
+    return [];
+  }
+
+  const results = readRunFile(path.resolve(output.dataFile || 'microsoft-customer-stories.json'));
+  const report = readRunFile(path.resolve(output.changesFile || 'changes.json'));
+  const summary = readRunFile(path.resolve(output.runSummaryFile || 'run-summary.json'));
+  const outcome = options.outcome || (summary && !summary.passed ? 'partial' : 'success');
+
+  const context = buildNotificationContext({
+    outcome,
+    exitCode: { success: 0, partial: 4, failure: 1 }[outcome],
+    // The dataset's date is that of the last successful run, not of a failed one
+    runDate: summary?.startedAt || (outcome === 'failure' ? new Date().toISOString() : results?.metadata?.extractionDate),
+    results,
+    report,
+    summary,
+    error: outcome === 'failure' ? 'The run failed; see its log for the error' : null,
+    maxStories: notifications.maxStories
+  });
+  return sendNotifications(notifications, context, { dryRun: options.dryRun, channels: options.channels });
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    const results = await run(options);
+    return results.some(result => result.status === 'failed') ? 1 : 0;
+  } catch (error) {
+    console.error(`Notifications failed: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  parseArgs,
+  run
+};
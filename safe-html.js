@@ -0,0 +1,86 @@
+/**
+ * Escaping, link and path checks and the related-stories rules shared by the
+ * web app (loaded by index.html before script.js) and the static site build
+ * (required by lib/static-site.js), so both render scraped text, links and
+ * related stories the same way.
+ */
+
+// Story links may only point at Microsoft's site
+const ALLOWED_STORY_HOSTS = ['microsoft.com'];
+
+const RELATED_STORIES_LIMIT = 4;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in HTML content or a quoted attribute value
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text; null and undefined become an empty string
+ */
+function escapeHtml(value) {
+  return value === null || value === undefined ? '' : String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Get a story link if it is http(s) on an allowed host
+ * @param {string} value - Story URL from the dataset
+ * @returns {string|null} - Normalized URL, or null if it is not allowed
+ */
+function safeStoryUrl(value) {
+  try {
+    const url = new URL(value);
+    const allowedHost = ALLOWED_STORY_HOSTS.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`));
+    return ['https:', 'http:'].includes(url.protocol) && allowedHost ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check that a path from the dataset is a relative path inside the site
+ * @param {string} value - Path such as "media/1001_logo.jpg"
+ * @returns {string|null} - The path, or null if it has a scheme, is absolute or leaves the site
+ */
+function safeLocalPath(value) {
+  if (typeof value !== 'string' || !/^[\w\-./]+$/.test(value) || value.startsWith('/') || value.split('/').includes('..')) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Get the product names of a story
+ * @param {object} story - Story
+ * @returns {Array<string>} - Product names
+ */
+function getProductNames(story) {
+  return (story.microsoftProducts || [])
+    .map(product => (typeof product === 'string' ? product : product.name))
+    .filter(Boolean);
+}
+
+/**
+ * Find stories that share products or the industry with a story; each shared
+ * product counts twice as much as the industry
+ * @param {object} story - Story
+ * @param {Array<object>} stories - All active stories
+ * @returns {Array<object>} - Up to four related stories, most related first
+ */
+function findRelatedStories(story, stories) {
+  const products = new Set(getProductNames(story));
+  return stories
+    .filter(other => other.globalId !== story.globalId)
+    .map(other => ({
+      story: other,
+      score: getProductNames(other).filter(product => products.has(product)).length * 2 +
+        (story.industry && other.industry === story.industry ? 1 : 0)
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RELATED_STORIES_LIMIT)
+    .map(({ story: related }) => related);
+}
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = { escapeHtml, safeStoryUrl, safeLocalPath, getProductNames, findRelatedStories };
+}
@@ -1,12 +1,102 @@
+// Facets offered for filtering; options within a facet are combined with OR,
+// facets with AND
+const FACETS = [
+    { key: 'industry', label: 'Industry' },
+    { key: 'product', label: 'Product' },
+    { key: 'query', label: 'Region' },
+    { key: 'year', label: 'Published' }
+];
+
+const SORT_ORDERS = {
+    listing: { label: 'Listing order' },
+    newest: { label: 'Newest first' },
+    'first-seen': { label: 'Recently added' },
+    title: { label: 'Title (A-Z)' },
+    industry: { label: 'Industry (A-Z)' }
+};
+
+const PAGE_SIZE = 12;
+
+const DASHBOARD_TOP_ENTRIES = 10;
+
+// Used when site.json is missing: the combined dataset only, with the
+// title and subtitle from index.html
+const DEFAULT_SITE = {
+    datasets: [
+        { id: 'all', label: 'All stories', file: 'microsoft-customer-stories.json', statistics: 'statistics.json' }
+    ]
+};
+
+// escapeHtml, safeStoryUrl, safeLocalPath, getProductNames and findRelatedStories
+// come from safe-html.js, which index.html loads first
+
+// Markup produced by the html template tag, inserted without further escaping
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+    
+    toString() {
+        return this.value;
+    }
+}
+
+function renderHtmlValue(value) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    if (value instanceof SafeHtml) {
+        return value.value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderHtmlValue).join('');
+    }
+    return escapeHtml(value);
+}
+
+// Template tag that escapes every interpolated value unless it is itself the
+// result of html``, so scraped text is always rendered as text. Interpolations
+// must only appear in element content or in quoted attribute values.
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((result, string, i) =>
+        result + string + (i < values.length ? renderHtmlValue(values[i]) : ''), ''));
+}
+
+function setHtml(element, content) {
+    element.innerHTML = renderHtmlValue(content);
+}
+
 class CustomerStoriesApp {
     constructor() {
         this.stories = [];
         this.filteredStories = [];
         this.metadata = {};
-        this.industries = new Set();
+        this.site = DEFAULT_SITE;
+        this.dataset = DEFAULT_SITE.datasets[0];
+        this.locale = null;
+        this.selectedFacets = {};
+        this.facetOptions = {};
+        this.sortOrder = 'listing';
+        this.currentPage = 1;
+        this.currentStoryId = null;
+        FACETS.forEach(facet => {
+            this.selectedFacets[facet.key] = new Set();
+            this.facetOptions[facet.key] = new Map();
+        });
         
+        this.siteTitle = document.getElementById('siteTitle');
+        this.siteSubtitle = document.getElementById('siteSubtitle');
+        this.defaultBranding = { title: this.siteTitle.textContent, subtitle: this.siteSubtitle.textContent };
+        this.datasetSelect = document.getElementById('datasetSelect');
+        this.languageSelect = document.getElementById('languageSelect');
         this.searchInput = document.getElementById('searchInput');
-        this.industryFilter = document.getElementById('industryFilter');
+        this.facetFilters = document.getElementById('facetFilters');
+        this.clearFiltersButton = document.getElementById('clearFilters');
+        this.sortSelect = document.getElementById('sortOrder');
+        this.pagination = document.getElementById('pagination');
+        this.storyDetail = document.getElementById('storyDetail');
+        this.dashboard = document.getElementById('dashboard');
+        this.dashboardCharts = document.getElementById('dashboardCharts');
         this.storiesGrid = document.getElementById('storiesGrid');
         this.statsContainer = document.getElementById('statsContainer');
         this.extractionDate = document.getElementById('extractionDate');
@@ -16,47 +106,173 @@ class CustomerStoriesApp {
     
     async init() {
         try {
-            await this.loadData();
+            await this.loadSite();
             this.setupEventListeners();
-            this.populateIndustryFilter();
-            this.renderStories();
-            this.updateStats();
+            this.populateDatasetOptions();
+            this.populateSortOptions();
+            await this.loadDataset(this.getDatasetFromUrl());
         } catch (error) {
-            if (error.message === 'CORS_ERROR') {
-                this.showError('Cannot load customer stories when opening the file directly in browser. Please serve the files using an HTTP server:<br><br>' +
-                    '<strong>Method 1 (Python):</strong><br>' +
-                    '<code>python3 -m http.server 8000</code><br>' +
-                    'Then visit: <a href="http://localhost:8000" target="_blank">http://localhost:8000</a><br><br>' +
-                    '<strong>Method 2 (Node.js):</strong><br>' +
-                    '<code>npx http-server</code><br><br>' +
-                    '<strong>Method 3 (PHP):</strong><br>' +
-                    '<code>php -S localhost:8000</code>');
-            } else {
-                this.showError('Failed to load customer stories. Please check if the JSON file exists and try serving the files using an HTTP server.');
+            this.handleLoadError(error);
+        }
+    }
+    
+    handleLoadError(error) {
+        if (error.message === 'CORS_ERROR') {
+            this.showError('Cannot load customer stories when opening the file directly in browser. Please serve the files using an HTTP server:', html`
+                <p><strong>Method 1 (Python):</strong><br>
+                <code>python3 -m http.server 8000</code><br>
+                Then visit: <a href="http://localhost:8000" target="_blank" rel="noopener noreferrer">http://localhost:8000</a></p>
+                <p><strong>Method 2 (Node.js):</strong><br>
+                <code>npx http-server</code></p>
+                <p><strong>Method 3 (PHP):</strong><br>
+                <code>php -S localhost:8000</code></p>
+            `);
+        } else {
+            this.showError('Failed to load customer stories. Please check if the JSON file exists and try serving the files using an HTTP server.');
+        }
+        console.error('Error initializing app:', error);
+    }
+    
+    // site.json is written by the extractor; without it the app shows the combined dataset
+    async loadSite() {
+        let site;
+        try {
+            const response = await fetch('./site.json');
+            if (!response.ok) {
+                return;
             }
-            console.error('Error initializing app:', error);
+            site = await response.json();
+        } catch (error) {
+            console.warn('Site config not available:', error);
+            return;
+        }
+        
+        const datasets = (site.datasets || []).filter(dataset => dataset.id && safeLocalPath(dataset.file));
+        if (datasets.length === 0) {
+            console.warn('Site config lists no usable datasets, showing the default dataset');
+            datasets.push(...DEFAULT_SITE.datasets);
         }
+        this.site = { ...site, datasets };
+        this.dataset = datasets[0];
+    }
+    
+    getDatasetFromUrl() {
+        const id = new URLSearchParams(window.location.search).get('dataset');
+        return this.site.datasets.find(dataset => dataset.id === id) || this.site.datasets[0];
+    }
+    
+    populateDatasetOptions() {
+        this.datasetSelect.innerHTML = '';
+        this.site.datasets.forEach(dataset => {
+            const option = document.createElement('option');
+            option.value = dataset.id;
+            option.textContent = dataset.label || dataset.id;
+            this.datasetSelect.appendChild(option);
+        });
+        this.datasetSelect.closest('.dataset-container').hidden = this.site.datasets.length < 2;
+    }
+    
+    // Loads a dataset and renders it with the state in the URL
+    async loadDataset(dataset) {
+        this.dataset = dataset;
+        this.datasetSelect.value = dataset.id;
+        await this.loadData(safeLocalPath(dataset.file));
+        this.applyBranding();
+        this.populateLanguageOptions();
+        this.populateFacetFilters();
+        this.readUrlState();
+        this.applyFilters();
+        this.renderStoryDetail();
+        await this.loadDashboard(safeLocalPath(dataset.statistics));
+    }
+    
+    // Title and subtitle come from the dataset entry, the dataset's metadata,
+    // site.json or index.html, in that order
+    applyBranding() {
+        const pick = key => this.dataset[key] || this.metadata[key] || this.site[key] || this.defaultBranding[key];
+        this.siteTitle.textContent = pick('title');
+        this.siteSubtitle.textContent = pick('subtitle');
+        document.title = pick('title');
+    }
+    
+    // Facets, search and the open story belong to the previous dataset, so
+    // switching starts from an unfiltered view
+    async handleDatasetChange() {
+        const dataset = this.site.datasets.find(item => item.id === this.datasetSelect.value);
+        if (!dataset || dataset === this.dataset) {
+            return;
+        }
+        this.dataset = dataset;
+        this.searchInput.value = '';
+        FACETS.forEach(facet => this.selectedFacets[facet.key].clear());
+        this.currentPage = 1;
+        this.currentStoryId = null;
+        this.writeUrlState();
+        try {
+            await this.loadDataset(dataset);
+        } catch (error) {
+            this.handleLoadError(error);
+        }
+    }
+    
+    // Languages come from the dataset's metadata; the first one is the primary
+    // language the top-level story fields are in
+    getLocales() {
+        return (this.metadata.locales || []).filter(locale => locale && locale.code);
+    }
+    
+    populateLanguageOptions() {
+        const locales = this.getLocales();
+        this.languageSelect.innerHTML = '';
+        locales.forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale.code;
+            option.lang = locale.code;
+            option.textContent = locale.label || locale.code;
+            this.languageSelect.appendChild(option);
+        });
+        this.languageSelect.closest('.language-container').hidden = locales.length < 2;
     }
     
-    async loadData() {
+    handleLanguageChange() {
+        this.locale = this.languageSelect.value;
+        this.writeUrlState();
+        this.applyFilters();
+        this.renderStoryDetail();
+    }
+    
+    // Title, industry, products and story URL in the selected language, with
+    // the primary language's text for anything that was not translated
+    localize(story) {
+        const translation = (this.locale && story.locales?.[this.locale]) || {};
+        const products = (story.microsoftProducts || [])
+            .map(product => (typeof product === 'string' ? { name: product } : product));
+        const names = translation.products || [];
+        return {
+            lang: translation.title ? this.locale : this.getLocales()[0]?.code,
+            title: translation.title || story.title,
+            industry: translation.industry || story.industry,
+            storyUrl: translation.storyUrl || story.storyUrl,
+            // Cards list products in the same order in every language, so translated names pair up by position
+            products: names.length === products.length ?
+                products.map((product, index) => ({ ...product, name: names[index] || product.name })) :
+                products
+        };
+    }
+    
+    async loadData(file) {
         try {
-            const response = await fetch('./microsoft-customer-stories.json');
+            const response = await fetch(file);
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             
             const data = await response.json();
-            this.metadata = data.metadata;
-            this.stories = data.stories || [];
+            this.metadata = data.metadata || {};
+            // Stories no longer listed on microsoft.com are kept in the dataset for history only
+            this.stories = (data.stories || []).filter(story => story.status !== 'removed');
             this.filteredStories = [...this.stories];
             
-            // Extract unique industries
-            this.stories.forEach(story => {
-                if (story.industry) {
-                    this.industries.add(story.industry);
-                }
-            });
-            
             // Update extraction date
             if (this.metadata.extractionDate) {
                 const date = new Date(this.metadata.extractionDate);
@@ -73,95 +289,456 @@ class CustomerStoriesApp {
     }
     
     setupEventListeners() {
+        this.datasetSelect.addEventListener('change', () => this.handleDatasetChange());
+        this.languageSelect.addEventListener('change', () => this.handleLanguageChange());
         this.searchInput.addEventListener('input', () => this.handleSearch());
-        this.industryFilter.addEventListener('change', () => this.handleFilter());
+        this.facetFilters.addEventListener('change', (event) => this.handleFilter(event.target));
+        this.clearFiltersButton.addEventListener('click', () => this.clearFilters());
+        this.sortSelect.addEventListener('change', () => this.handleSort());
+        // Replaces images that fail to load with their placeholder; inline
+        // onerror handlers would be blocked by the Content-Security-Policy
+        document.addEventListener('error', (event) => {
+            const img = event.target;
+            if (img.tagName === 'IMG' && img.dataset.fallback && !img.dataset.fallbackApplied) {
+                img.dataset.fallbackApplied = 'true';
+                img.closest('picture')?.querySelectorAll('source').forEach(source => source.remove());
+                img.removeAttribute('srcset');
+                img.src = img.dataset.fallback;
+            }
+        }, true);
+        this.dashboardCharts.addEventListener('click', (event) => {
+            const bar = event.target.closest('button[data-facet]');
+            if (bar) {
+                this.selectFacetValue(bar.dataset.facet, bar.dataset.value);
+            }
+        });
+        this.pagination.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-page]');
+            if (button) {
+                this.goToPage(parseInt(button.dataset.page, 10));
+            }
+        });
+        // Cards open the in-app detail view; modified clicks keep the browser's
+        // default so stories can still be opened in a new tab
+        this.storiesGrid.addEventListener('click', (event) => this.handleStoryClick(event));
+        this.storyDetail.addEventListener('click', (event) => {
+            if (event.target === this.storyDetail || event.target.closest('[data-close-detail]')) {
+                this.closeStory();
+            } else {
+                this.handleStoryClick(event);
+            }
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.currentStoryId) {
+                this.closeStory();
+            }
+        });
+        // Back/forward restore the dataset, search, filters, sort order, page and open story from the URL
+        window.addEventListener('popstate', () => {
+            const dataset = this.getDatasetFromUrl();
+            if (dataset !== this.dataset) {
+                this.loadDataset(dataset).catch(error => this.handleLoadError(error));
+                return;
+            }
+            this.readUrlState();
+            this.applyFilters();
+            this.renderStoryDetail();
+        });
+    }
+    
+    // State lives in the query string, e.g.
+    // ?dataset=hong-kong-ai&lang=zh-hk&q=copilot&industry=Financial+Services&product=Azure+AI+Foundry&sort=newest&page=2
+    readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        
+        const locales = this.getLocales();
+        const lang = params.get('lang');
+        this.locale = locales.some(locale => locale.code === lang) ? lang : locales[0]?.code || null;
+        this.languageSelect.value = this.locale || '';
+        
+        this.searchInput.value = params.get('q') || '';
+        FACETS.forEach(facet => {
+            const selected = this.selectedFacets[facet.key];
+            selected.clear();
+            params.getAll(facet.key)
+                .filter(value => this.facetOptions[facet.key].has(value))
+                .forEach(value => selected.add(value));
+            this.facetOptions[facet.key].forEach(({ input }, value) => {
+                input.checked = selected.has(value);
+            });
+        });
+        
+        const sort = params.get('sort');
+        this.sortOrder = SORT_ORDERS[sort] ? sort : 'listing';
+        this.sortSelect.value = this.sortOrder;
+        
+        const page = parseInt(params.get('page'), 10);
+        this.currentPage = page > 0 ? page : 1;
+        
+        this.currentStoryId = params.get('story');
+    }
+    
+    // Pushes a history entry for discrete changes; typing in the search box
+    // replaces the current entry instead
+    writeUrlState(replace = false) {
+        const url = this.buildUrl({ story: this.currentStoryId });
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            return;
+        }
+        if (replace) {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
     }
     
-    populateIndustryFilter() {
-        const sortedIndustries = Array.from(this.industries).sort();
+    // URL of the current list view, optionally with a story open on top of it
+    buildUrl({ story = null } = {}) {
+        const params = new URLSearchParams();
+        if (this.dataset !== this.site.datasets[0]) {
+            params.set('dataset', this.dataset.id);
+        }
+        if (this.locale && this.locale !== this.getLocales()[0]?.code) {
+            params.set('lang', this.locale);
+        }
+        const searchTerm = this.searchInput.value.trim();
+        if (searchTerm) {
+            params.set('q', searchTerm);
+        }
+        FACETS.forEach(facet => {
+            this.selectedFacets[facet.key].forEach(value => params.append(facet.key, value));
+        });
+        if (this.sortOrder !== 'listing') {
+            params.set('sort', this.sortOrder);
+        }
+        if (this.currentPage > 1) {
+            params.set('page', this.currentPage);
+        }
+        if (story) {
+            params.set('story', story);
+        }
         
-        sortedIndustries.forEach(industry => {
+        const query = params.toString();
+        return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    }
+    
+    populateSortOptions() {
+        this.sortSelect.innerHTML = '';
+        Object.entries(SORT_ORDERS).forEach(([value, { label }]) => {
             const option = document.createElement('option');
-            option.value = industry;
-            option.textContent = industry;
-            this.industryFilter.appendChild(option);
+            option.value = value;
+            option.textContent = label;
+            this.sortSelect.appendChild(option);
+        });
+    }
+    
+    getPublishedDate(story) {
+        const published = story.details?.publishedDate || story.publishedDate;
+        if (!published) {
+            return null;
+        }
+        const date = new Date(published);
+        if (!isNaN(date)) {
+            return date;
+        }
+        const year = published.match(/\b(19|20)\d{2}\b/);
+        return year ? new Date(Number(year[0]), 0, 1) : null;
+    }
+    
+    getFacetValues(story, key) {
+        switch (key) {
+            case 'industry':
+                return story.industry ? [story.industry] : [];
+            case 'product':
+                return getProductNames(story);
+            case 'query':
+                return story.queries || [];
+            case 'year': {
+                const date = this.getPublishedDate(story);
+                return date ? [String(date.getFullYear())] : [];
+            }
+            default:
+                return [];
+        }
+    }
+    
+    getFacetLabel(key, value) {
+        if (key === 'query') {
+            const query = (this.metadata.queries || []).find(q => q.name === value);
+            return query?.label || value;
+        }
+        return value;
+    }
+    
+    populateFacetFilters() {
+        this.facetFilters.innerHTML = '';
+        FACETS.forEach(facet => this.facetOptions[facet.key].clear());
+        
+        FACETS.forEach(facet => {
+            const values = new Set();
+            this.stories.forEach(story => this.getFacetValues(story, facet.key).forEach(value => values.add(value)));
+            if (values.size === 0) {
+                return;
+            }
+            
+            const sortedValues = Array.from(values).sort((a, b) => (facet.key === 'year' ?
+                b.localeCompare(a) :
+                this.getFacetLabel(facet.key, a).localeCompare(this.getFacetLabel(facet.key, b))));
+            
+            const fieldset = document.createElement('fieldset');
+            fieldset.className = 'facet';
+            const legend = document.createElement('legend');
+            legend.className = 'facet-title';
+            legend.textContent = facet.label;
+            fieldset.appendChild(legend);
+            
+            const list = document.createElement('div');
+            list.className = 'facet-options';
+            sortedValues.forEach(value => {
+                const option = document.createElement('label');
+                option.className = 'facet-option';
+                const input = document.createElement('input');
+                input.type = 'checkbox';
+                input.value = value;
+                input.dataset.facet = facet.key;
+                const name = document.createElement('span');
+                name.textContent = this.getFacetLabel(facet.key, value);
+                const count = document.createElement('span');
+                count.className = 'facet-count';
+                option.append(input, name, count);
+                list.appendChild(option);
+                this.facetOptions[facet.key].set(value, { option, input, count });
+            });
+            fieldset.appendChild(list);
+            this.facetFilters.appendChild(fieldset);
         });
     }
     
     handleSearch() {
+        this.currentPage = 1;
         this.applyFilters();
+        this.writeUrlState(true);
     }
     
-    handleFilter() {
+    handleSort() {
+        this.sortOrder = this.sortSelect.value;
+        this.currentPage = 1;
         this.applyFilters();
+        this.writeUrlState();
+    }
+    
+    goToPage(page) {
+        this.currentPage = page;
+        this.renderStories();
+        this.updateStats();
+        this.writeUrlState();
+        this.statsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    
+    handleFilter(input) {
+        if (!input.dataset.facet) {
+            return;
+        }
+        const selected = this.selectedFacets[input.dataset.facet];
+        if (input.checked) {
+            selected.add(input.value);
+        } else {
+            selected.delete(input.value);
+        }
+        this.currentPage = 1;
+        this.applyFilters();
+        this.writeUrlState();
+    }
+    
+    selectFacetValue(key, value) {
+        const option = this.facetOptions[key]?.get(value);
+        if (!option || option.input.checked) {
+            return;
+        }
+        option.input.checked = true;
+        this.selectedFacets[key].add(value);
+        this.currentPage = 1;
+        this.applyFilters();
+        this.writeUrlState();
+        this.statsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    
+    clearFilters() {
+        this.searchInput.value = '';
+        FACETS.forEach(facet => {
+            this.selectedFacets[facet.key].clear();
+            this.facetOptions[facet.key].forEach(({ input }) => { input.checked = false; });
+        });
+        this.currentPage = 1;
+        this.applyFilters();
+        this.writeUrlState();
+    }
+    
+    matchesSearch(story, searchTerm) {
+        if (!searchTerm) {
+            return true;
+        }
+        // Every language's text is searched, whichever language is shown
+        const translations = Object.values(story.locales || {})
+            .flatMap(translation => [translation.title, translation.industry, ...(translation.products || [])]);
+        return [story.title, story.industry, ...this.getFacetValues(story, 'product'), ...translations]
+            .some(text => typeof text === 'string' && text.toLowerCase().includes(searchTerm));
+    }
+    
+    // A story matches when, for every facet with a selection, it has at least one
+    // selected value; exceptKey leaves one facet out for its option counts
+    matchesFacets(story, exceptKey = null) {
+        return FACETS.every(facet => {
+            const selected = this.selectedFacets[facet.key];
+            return facet.key === exceptKey || selected.size === 0 ||
+                this.getFacetValues(story, facet.key).some(value => selected.has(value));
+        });
     }
     
     applyFilters() {
-        const searchTerm = this.searchInput.value.toLowerCase();
-        const selectedIndustry = this.industryFilter.value;
+        const searchTerm = this.searchInput.value.trim().toLowerCase();
+        const searchMatches = this.stories.filter(story => this.matchesSearch(story, searchTerm));
         
-        this.filteredStories = this.stories.filter(story => {
-            const matchesSearch = !searchTerm || 
-                story.title.toLowerCase().includes(searchTerm) ||
-                story.industry.toLowerCase().includes(searchTerm);
-            
-            const matchesIndustry = !selectedIndustry || story.industry === selectedIndustry;
-            
-            return matchesSearch && matchesIndustry;
-        });
+        this.filteredStories = this.sortStories(searchMatches.filter(story => this.matchesFacets(story)));
+        this.updateFacetCounts(searchMatches);
+        
+        const hasFilters = Boolean(searchTerm) || FACETS.some(facet => this.selectedFacets[facet.key].size > 0);
+        this.clearFiltersButton.hidden = !hasFilters;
         
         this.renderStories();
         this.updateStats();
     }
     
+    // Sorting is stable, so ties keep the listing order of the extraction
+    sortStories(stories) {
+        const byText = field => (a, b) =>
+            (this.localize(a)[field] || '').localeCompare(this.localize(b)[field] || '', this.locale || undefined);
+        const byTime = getTime => (a, b) => (getTime(b) || 0) - (getTime(a) || 0);
+        const comparators = {
+            newest: byTime(story => this.getPublishedDate(story)?.getTime()),
+            'first-seen': byTime(story => Date.parse(story.firstSeen)),
+            title: byText('title'),
+            industry: (a, b) => byText('industry')(a, b) || byText('title')(a, b)
+        };
+        const comparator = comparators[this.sortOrder];
+        return comparator ? [...stories].sort(comparator) : stories;
+    }
+    
+    getPageCount() {
+        return Math.max(1, Math.ceil(this.filteredStories.length / PAGE_SIZE));
+    }
+    
+    // Each option counts the stories it would show given the search and the
+    // other facets' selections
+    updateFacetCounts(searchMatches) {
+        FACETS.forEach(facet => {
+            const counts = new Map();
+            searchMatches
+                .filter(story => this.matchesFacets(story, facet.key))
+                .forEach(story => {
+                    new Set(this.getFacetValues(story, facet.key)).forEach(value => {
+                        counts.set(value, (counts.get(value) || 0) + 1);
+                    });
+                });
+            
+            this.facetOptions[facet.key].forEach(({ option, input, count }, value) => {
+                const total = counts.get(value) || 0;
+                count.textContent = `(${total})`;
+                input.disabled = total === 0 && !input.checked;
+                option.classList.toggle('facet-option-empty', total === 0);
+            });
+        });
+    }
+    
     renderStories() {
+        this.currentPage = Math.min(this.currentPage, this.getPageCount());
+        this.renderPagination();
+        
         if (this.filteredStories.length === 0) {
-            this.storiesGrid.innerHTML = `
+            setHtml(this.storiesGrid, html`
                 <div class="loading">
                     <p>No stories found matching your criteria.</p>
                 </div>
-            `;
+            `);
             return;
         }
         
-        this.storiesGrid.innerHTML = this.filteredStories.map(story => 
+        const start = (this.currentPage - 1) * PAGE_SIZE;
+        setHtml(this.storiesGrid, this.filteredStories.slice(start, start + PAGE_SIZE).map(story => 
             this.createStoryCard(story)
-        ).join('');
+        ));
     }
     
-    createStoryCard(story) {
-        const headerImage = story.media?.headerImageLocal ? 
-            `./${story.media.headerImageLocal}` : 
-            './media/placeholder-header.jpg';
+    renderPagination() {
+        const pageCount = this.getPageCount();
+        if (pageCount <= 1) {
+            setHtml(this.pagination, '');
+            this.pagination.hidden = true;
+            return;
+        }
         
-        const companyLogo = story.company?.logoLocal ? 
-            `./${story.company.logoLocal}` : 
-            './media/placeholder-logo.jpg';
+        // First, last and the pages around the current one, with gaps as ellipses
+        const pages = [];
+        for (let page = 1; page <= pageCount; page++) {
+            if (page === 1 || page === pageCount || Math.abs(page - this.currentPage) <= 2) {
+                pages.push(page);
+            } else if (pages[pages.length - 1] !== '...') {
+                pages.push('...');
+            }
+        }
+        
+        const button = (page, label, disabled = false, current = false) => html`
+            <button type="button" class="page-button${current ? ' page-button-current' : ''}" data-page="${page}"
+                ${disabled ? html`disabled` : ''} ${current ? html`aria-current="page"` : ''}>${label}</button>`;
         
-        const products = story.microsoftProducts || [];
-        const productsHtml = products.map(product => `
+        this.pagination.hidden = false;
+        setHtml(this.pagination, [
+            button(this.currentPage - 1, 'Previous', this.currentPage === 1),
+            ...pages.map(page => (page === '...' ?
+                html`<span class="page-gap">&hellip;</span>` :
+                button(page, page, false, page === this.currentPage))),
+            button(this.currentPage + 1, 'Next', this.currentPage === pageCount)
+        ]);
+    }
+    
+    createStoryCard(story) {
+        const text = this.localize(story);
+        const products = text.products;
+        const productsHtml = products.map(product => html`
             <div class="product-tag">
-                ${product.iconLocal ? `<img src="./${product.iconLocal}" alt="${product.iconAlt || product.name}" class="product-icon">` : ''}
+                ${safeLocalPath(product.iconLocal) ? this.createResponsiveImage(product, 'icon', product.iconLocal, {
+                    alt: product.iconAlt || product.name,
+                    className: 'product-icon',
+                    sizes: '16px'
+                }) : ''}
                 <span>${product.name}</span>
             </div>
-        `).join('');
+        `);
         
-        return `
-            <a href="${story.storyUrl}" class="story-card" target="_blank" rel="noopener noreferrer">
+        return html`
+            <a href="${this.buildUrl({ story: story.globalId })}" class="story-card" data-story-id="${story.globalId || ''}">
                 <div class="story-header">
-                    <img src="${headerImage}" alt="${story.media?.headerImageAlt || story.title}" class="story-header-image" 
-                         onerror="this.src='./media/placeholder-header.jpg'">
+                    ${this.createResponsiveImage(story.media, 'headerImage', story.media?.headerImageLocal, {
+                        alt: story.media?.headerImageAlt || text.title,
+                        className: 'story-header-image',
+                        sizes: '(max-width: 768px) 100vw, 400px',
+                        placeholder: './media/placeholder-header.jpg'
+                    })}
                     <div class="story-company-logo">
-                        <img src="${companyLogo}" alt="Company Logo" class="company-logo"
-                             onerror="this.src='./media/placeholder-logo.jpg'">
+                        ${this.createResponsiveImage(story.company, 'logo', story.company?.logoLocal, {
+                            alt: 'Company Logo',
+                            className: 'company-logo',
+                            sizes: '50px',
+                            placeholder: './media/placeholder-logo.jpg'
+                        })}
                     </div>
                 </div>
-                <div class="story-content">
-                    <h3 class="story-title">${this.escapeHtml(story.title)}</h3>
+                <div class="story-content" ${text.lang ? html`lang="${text.lang}"` : ''}>
+                    <h3 class="story-title">${text.title}</h3>
                     <div class="story-meta">
-                        ${story.industry ? `<span class="story-industry">${this.escapeHtml(story.industry)}</span>` : ''}
+                        ${text.industry ? html`<span class="story-industry">${text.industry}</span>` : ''}
                     </div>
-                    ${products.length > 0 ? `
+                    ${products.length > 0 ? html`
                         <div class="story-products">
                             ${productsHtml}
                         </div>
@@ -171,31 +748,280 @@ class CustomerStoriesApp {
         `;
     }
     
+    // Renders a lazily loaded image using the resized variants and WebP versions
+    // recorded by the extractor as <field>Variants, <field>Width and <field>Height
+    createResponsiveImage(target, field, localPath, { alt, className, sizes, placeholder }) {
+        const src = safeLocalPath(localPath);
+        const variants = src ?
+            (target?.[`${field}Variants`] || []).filter(variant => safeLocalPath(variant.path)) :
+            [];
+        const largest = variants.reduce((a, b) => (!a || b.width > a.width ? b : a), null);
+        const width = Number(largest?.width || target?.[`${field}Width`]) || null;
+        const height = Number(largest?.height || target?.[`${field}Height`]) || null;
+        
+        const srcset = key => [...variants]
+            .sort((a, b) => a.width - b.width)
+            .filter(variant => safeLocalPath(variant[key]))
+            .map(variant => `${safeLocalPath(variant[key])} ${Number(variant.width)}w`)
+            .join(', ');
+        
+        const img = html`<img src="${largest ? safeLocalPath(largest.path) : src || placeholder || ''}"
+            ${variants.length > 0 ? html`srcset="${srcset('path')}" sizes="${sizes}"` : ''}
+            ${width && height ? html`width="${width}" height="${height}"` : ''}
+            alt="${alt}" class="${className}" loading="lazy" decoding="async"
+            ${placeholder ? html`data-fallback="${placeholder}"` : ''}>`;
+        
+        const webpSrcset = srcset('webpPath');
+        return webpSrcset ?
+            html`<picture><source type="image/webp" srcset="${webpSrcset}" sizes="${sizes}">${img}</picture>` :
+            img;
+    }
+    
+    handleStoryClick(event) {
+        const link = event.target.closest('a[data-story-id]');
+        if (!link || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+            return;
+        }
+        event.preventDefault();
+        this.openStory(link.dataset.storyId);
+    }
+    
+    openStory(globalId) {
+        if (!this.currentStoryId) {
+            this.lastFocusedElement = document.activeElement;
+        }
+        this.currentStoryId = globalId;
+        this.writeUrlState();
+        this.renderStoryDetail();
+    }
+    
+    closeStory() {
+        this.currentStoryId = null;
+        this.writeUrlState();
+        this.renderStoryDetail();
+    }
+    
+    renderStoryDetail() {
+        const story = this.currentStoryId && this.stories.find(s => s.globalId === this.currentStoryId);
+        if (!story) {
+            if (!this.storyDetail.hidden) {
+                this.storyDetail.hidden = true;
+                setHtml(this.storyDetail, '');
+                document.body.classList.remove('detail-open');
+                this.lastFocusedElement?.focus();
+            }
+            return;
+        }
+        
+        const text = this.localize(story);
+        const details = story.details || {};
+        const formatDate = value => (value ? new Date(value).toLocaleDateString() : null);
+        const facts = [
+            ['Customer', details.customerName || story.company?.name],
+            ['Industry', text.industry],
+            ['Published', details.publishedDate || story.publishedDate],
+            ['Region', details.region],
+            ['Organization size', details.organizationSize],
+            ['First seen', formatDate(story.firstSeen)],
+            ['Last extracted', formatDate(story.extractedAt || this.metadata.extractionDate)]
+        ].filter(([, value]) => value);
+        
+        const products = text.products;
+        const extraProducts = (details.products || [])
+            .filter(name => !this.getFacetValues(story, 'product').includes(name));
+        const related = findRelatedStories(story, this.stories);
+        const headerImage = safeLocalPath(story.media?.headerImageLocal) || './media/placeholder-header.jpg';
+        const headerWidth = Number(story.media?.headerImageWidth);
+        const headerHeight = Number(story.media?.headerImageHeight);
+        const logo = safeLocalPath(story.company?.logoLocal);
+        const storyUrl = safeStoryUrl(text.storyUrl);
+        
+        setHtml(this.storyDetail, html`
+            <article class="story-detail-panel" role="dialog" aria-modal="true" aria-labelledby="storyDetailTitle">
+                <button type="button" class="story-detail-close" data-close-detail aria-label="Close story">&times;</button>
+                <img src="${headerImage}" ${headerWidth && headerHeight ? html`width="${headerWidth}" height="${headerHeight}"` : ''}
+                     alt="${story.media?.headerImageAlt || ''}" class="story-detail-header" data-fallback="./media/placeholder-header.jpg">
+                <div class="story-detail-body">
+                    <div class="story-detail-heading">
+                        ${logo ? html`<img src="${logo}" alt="${details.customerName || story.company?.name || 'Company'} logo" class="story-detail-logo">` : ''}
+                        <h2 id="storyDetailTitle" class="story-detail-title" ${text.lang ? html`lang="${text.lang}"` : ''}>${text.title}</h2>
+                    </div>
+                    ${facts.length > 0 ? html`
+                        <dl class="story-detail-facts">
+                            ${facts.map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`)}
+                        </dl>
+                    ` : ''}
+                    ${products.length + extraProducts.length > 0 ? html`
+                        <h3 class="story-detail-subtitle">Microsoft products</h3>
+                        <div class="story-products">
+                            ${products.map(product => html`
+                                <div class="product-tag">
+                                    ${safeLocalPath(product.iconLocal) ? html`<img src="${safeLocalPath(product.iconLocal)}" alt="${product.iconAlt || product.name}" class="product-icon">` : ''}
+                                    <span>${product.name}</span>
+                                </div>
+                            `)}
+                            ${extraProducts.map(name => html`<div class="product-tag"><span>${name}</span></div>`)}
+                        </div>
+                    ` : ''}
+                    ${(details.quotes || []).map(quote => html`
+                        <blockquote class="story-detail-quote">
+                            <p>${quote.text}</p>
+                            ${quote.attribution ? html`<cite>${quote.attribution}</cite>` : ''}
+                        </blockquote>
+                    `)}
+                    ${(details.sections || []).map(section => html`
+                        <section class="story-detail-section">
+                            ${section.heading ? html`<h3 class="story-detail-subtitle">${section.heading}</h3>` : ''}
+                            ${(section.paragraphs || []).map(paragraph => html`<p>${paragraph}</p>`)}
+                        </section>
+                    `)}
+                    ${details.sections ? '' : html`<p class="story-detail-note">The full story text has not been extracted; run the extraction with <code>--deep</code> to include it.</p>`}
+                    <p class="story-detail-actions">
+                        ${storyUrl ?
+                            html`<a href="${storyUrl}" class="story-detail-original" target="_blank" rel="noopener noreferrer">Read the original story on microsoft.com</a>` :
+                            html`<span class="story-detail-note">The original story link is not available.</span>`}
+                    </p>
+                    ${related.length > 0 ? html`
+                        <h3 class="story-detail-subtitle">Related stories</h3>
+                        <ul class="story-detail-related">
+                            ${related.map(other => ({ globalId: other.globalId, ...this.localize(other) })).map(other => html`
+                                <li ${other.lang ? html`lang="${other.lang}"` : ''}><a href="${this.buildUrl({ story: other.globalId })}" data-story-id="${other.globalId}">${other.title}</a>
+                                    ${other.industry ? html`<span class="story-industry">${other.industry}</span>` : ''}</li>
+                            `)}
+                        </ul>
+                    ` : ''}
+                </div>
+            </article>
+        `);
+        
+        this.storyDetail.hidden = false;
+        this.storyDetail.scrollTop = 0;
+        document.body.classList.add('detail-open');
+        this.storyDetail.querySelector('.story-detail-close').focus();
+    }
+    
+    // Statistics are written by the extractor; the dashboard stays hidden without them
+    // Only datasets with a statistics file listed in site.json get the dashboard
+    async loadDashboard(file) {
+        this.dashboard.hidden = true;
+        if (!file) {
+            return;
+        }
+        let statistics;
+        try {
+            const response = await fetch(file);
+            if (!response.ok) {
+                return;
+            }
+            statistics = await response.json();
+        } catch (error) {
+            console.warn('Statistics not available:', error);
+            return;
+        }
+        
+        const top = counts => Object.entries(counts || {}).slice(0, DASHBOARD_TOP_ENTRIES);
+        const timeline = Object.keys(statistics.publishedPerMonth || {}).length > 0 ?
+            { title: 'Stories published per month', counts: statistics.publishedPerMonth } :
+            { title: 'Stories first seen per month', counts: statistics.firstSeenPerMonth || {} };
+        const queries = Object.values(statistics.queries || {}).filter(query => query.totalStories > 0);
+        
+        setHtml(this.dashboardCharts, [
+            this.renderBarChart('Top Microsoft products', top(statistics.products), 'product'),
+            this.renderBarChart('Stories per industry', top(statistics.industries), 'industry'),
+            this.renderBarChart('Products used together',
+                (statistics.productPairs || []).slice(0, DASHBOARD_TOP_ENTRIES)
+                    .map(pair => [pair.products.join(' + '), pair.count])),
+            this.renderColumnChart(timeline.title, Object.entries(timeline.counts)),
+            ...queries.map(query => this.renderBarChart(`Top products: ${query.label}`,
+                Object.entries(query.products).slice(0, 5), 'product'))
+        ]);
+        // Bar sizes are applied through the DOM because the Content-Security-Policy
+        // does not allow inline style attributes
+        this.dashboardCharts.querySelectorAll('[data-bar-width]').forEach(bar => {
+            bar.style.width = `${bar.dataset.barWidth}%`;
+        });
+        this.dashboardCharts.querySelectorAll('[data-bar-height]').forEach(bar => {
+            bar.style.height = `${bar.dataset.barHeight}%`;
+        });
+        
+        const generated = statistics.generatedAt ? ` (as of ${new Date(statistics.generatedAt).toLocaleDateString()})` : '';
+        this.dashboard.querySelector('.dashboard-summary-note').textContent =
+            `${statistics.totalStories} stories${generated}`;
+        this.dashboard.hidden = false;
+    }
+    
+    // Horizontal bars; with a facet key each bar is a button that filters by its value
+    renderBarChart(title, entries, facetKey = null) {
+        if (entries.length === 0) {
+            return '';
+        }
+        const max = Math.max(...entries.map(([, count]) => count));
+        const rows = entries.map(([label, count]) => {
+            const content = html`
+                <span class="chart-label">${label}</span>
+                <span class="chart-bar"><span class="chart-bar-fill" data-bar-width="${(count / max * 100).toFixed(1)}"></span></span>
+                <span class="chart-value">${count}</span>
+            `;
+            return facetKey && this.facetOptions[facetKey]?.has(label) ?
+                html`<li><button type="button" class="chart-row" data-facet="${facetKey}" data-value="${label}" title="Show ${label} stories">${content}</button></li>` :
+                html`<li><div class="chart-row">${content}</div></li>`;
+        });
+        
+        return html`
+            <figure class="chart">
+                <figcaption class="chart-title">${title}</figcaption>
+                <ol class="chart-bars">${rows}</ol>
+            </figure>
+        `;
+    }
+    
+    renderColumnChart(title, entries) {
+        if (entries.length === 0) {
+            return '';
+        }
+        const max = Math.max(...entries.map(([, count]) => count));
+        return html`
+            <figure class="chart chart-wide">
+                <figcaption class="chart-title">${title}</figcaption>
+                <div class="chart-columns">
+                    ${entries.map(([month, count]) => html`
+                        <div class="chart-column" title="${month}: ${count}">
+                            <span class="chart-value">${count}</span>
+                            <span class="chart-column-track"><span class="chart-column-fill" data-bar-height="${(count / max * 100).toFixed(1)}"></span></span>
+                            <span class="chart-label">${month}</span>
+                        </div>
+                    `)}
+                </div>
+            </figure>
+        `;
+    }
+    
     updateStats() {
         const totalStories = this.stories.length;
         const filteredCount = this.filteredStories.length;
         const totalPages = this.metadata.totalPages || 1;
         
         let statsText = `Showing ${filteredCount} of ${totalStories} customer stories`;
+        if (filteredCount > PAGE_SIZE) {
+            const start = (this.currentPage - 1) * PAGE_SIZE + 1;
+            const end = Math.min(this.currentPage * PAGE_SIZE, filteredCount);
+            statsText = `Showing ${start}-${end} of ${filteredCount} matching stories (${totalStories} total)`;
+        }
         if (totalPages > 1) {
             statsText += ` from ${totalPages} pages`;
         }
         
-        this.statsContainer.innerHTML = `<span class="stats-item">${statsText}</span>`;
+        setHtml(this.statsContainer, html`<span class="stats-item">${statsText}</span>`);
     }
     
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-    
-    showError(message) {
-        this.storiesGrid.innerHTML = `
+    // The message is plain text; help is optional markup built with html``
+    showError(message, help = '') {
+        setHtml(this.storiesGrid, html`
             <div class="error">
                 <p><strong>Error:</strong> ${message}</p>
+                ${help}
             </div>
-        `;
+        `);
     }
 }
 
@@ -0,0 +1,58 @@
+const { test, expect } = require('@playwright/test');
+
+const { loadConfig } = require('../lib/config');
+const { getPath, parseApiResults, resolveApiNextPage } = require('../lib/api-listing');
+const { loadFixture } = require('./helpers/fixture-server');
+
+test.describe('Listing API parsing', () => {
+  const { fields } = loadConfig().extraction.api;
+  const responseUrl = 'https://www.microsoft.com/api/customers/search?page=1';
+
+  test('reads values by dot-separated paths', () => {
+    const object = { image: { src: 'a.png' }, items: [{ name: 'first' }] };
+
+    expect(getPath(object, 'image.src')).toBe('a.png');
+    expect(getPath(object, 'items.0.name')).toBe('first');
+    expect(getPath(object, 'logo.src')).toBeUndefined();
+    expect(getPath(object, '')).toBe(object);
+  });
+
+  test('maps results to stories like the card parser', () => {
+    const body = JSON.parse(loadFixture('listing-api.json'));
+    const results = parseApiResults(body, { pageNum: 2, fields, responseUrl });
+
+    expect(results.count).toBe(4);
+    expect(results.total).toBe(4);
+    expect(results.pageSize).toBe(2);
+    expect(results.stories.map(story => story.positionOnPage)).toEqual([1, 2, 3]);
+    expect(results.stories[0]).toMatchObject({
+      page: 2,
+      title: 'Contoso builds an AI assistant',
+      industry: 'Financial Services',
+      storyUrl: 'https://www.microsoft.com/en/customers/story/3001-contoso-ai-assistant',
+      publishedDate: '2025-06-12',
+      company: { logo: 'https://www.microsoft.com/images/3001-logo.png' },
+      media: { headerImage: 'https://www.microsoft.com/images/3001-header.png', headerImageAlt: 'Contoso header' }
+    });
+    expect(results.stories[2]).toMatchObject({
+      industry: 'Retail',
+      company: { logo: '' },
+      media: { headerImage: '', headerImageAlt: '' },
+      microsoftProducts: []
+    });
+    expect(results.stories[2].publishedDate).toBeUndefined();
+  });
+
+  test('ignores responses without a results list', () => {
+    expect(parseApiResults({ suggestions: [] }, { pageNum: 1, fields, responseUrl })).toBeNull();
+    expect(parseApiResults({ results: [], totalCount: 'n/a' }, { pageNum: 1, fields, responseUrl }))
+      .toEqual({ stories: [], count: 0, total: null, pageSize: null });
+  });
+
+  test('decides on the next page from the reported counts', () => {
+    expect(resolveApiNextPage({ count: 2, total: 5, pageSize: 2 }, 1, 2).hasNext).toBe(true);
+    expect(resolveApiNextPage({ count: 1, total: 5, pageSize: 2 }, 3, 5).hasNext).toBe(false);
+    expect(resolveApiNextPage({ count: 1, total: null, pageSize: 2 }, 3, 5).hasNext).toBe(false);
+    expect(resolveApiNextPage({ count: 2, total: null, pageSize: null }, 1, 2).hasNext).toBe(true);
+  });
+});
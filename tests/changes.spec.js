@@ -0,0 +1,84 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildChangeReport, renderChangeReportMarkdown, writeChangeReport } = require('../lib/changes');
+
+test.describe('Change report', () => {
+  const buildStory = (globalId, overrides = {}) => ({
+    globalId,
+    title: `Story ${globalId}`,
+    industry: 'Financial Services',
+    storyUrl: `https://www.microsoft.com/en/customers/story/${globalId}`,
+    company: { logo: `https://cdn.example.com/${globalId}-logo.png` },
+    media: { headerImage: `https://cdn.example.com/${globalId}-header.jpg`, headerImageAlt: 'Office' },
+    microsoftProducts: [{ name: 'Azure OpenAI' }],
+    queries: ['hong-kong-ai'],
+    status: 'active',
+    ...overrides
+  });
+
+  const previousStories = [
+    buildStory('1001'),
+    buildStory('1002'),
+    buildStory('1003', { status: 'removed' }),
+    buildStory('1004')
+  ];
+  const currentStories = [
+    buildStory('1001'),
+    buildStory('1002', { title: 'Contoso answers faster', microsoftProducts: [{ name: 'Azure OpenAI' }, { name: 'Power BI' }] }),
+    buildStory('1003'),
+    buildStory('1004', { status: 'removed' }),
+    buildStory('1005', { industry: 'Education', queries: ['hong-kong-ai', 'asia-ai'] })
+  ];
+
+  test('sorts stories into added, restored, removed and updated', () => {
+    const report = buildChangeReport(previousStories, currentStories, {
+      generatedAt: '2025-10-01T07:00:00.000Z',
+      previousExtractionDate: '2025-09-01T07:00:00.000Z'
+    });
+
+    expect(report.summary).toEqual({ activeStories: 4, added: 1, restored: 1, removed: 1, updated: 1, hasChanges: true });
+    expect(report.added.map(story => story.globalId)).toEqual(['1005']);
+    expect(report.added[0]).toMatchObject({ industry: 'Education', products: ['Azure OpenAI'], queries: ['hong-kong-ai', 'asia-ai'] });
+    expect(report.restored.map(story => story.globalId)).toEqual(['1003']);
+    expect(report.removed.map(story => story.globalId)).toEqual(['1004']);
+    expect(report.updated).toEqual([expect.objectContaining({
+      globalId: '1002',
+      changes: [
+        { field: 'title', before: 'Story 1002', after: 'Contoso answers faster' },
+        { field: 'products', before: ['Azure OpenAI'], after: ['Azure OpenAI', 'Power BI'], added: ['Power BI'], removed: [] }
+      ]
+    })]);
+  });
+
+  test('does not report stories that stay removed or are unchanged', () => {
+    const stories = [buildStory('1001'), buildStory('1003', { status: 'removed' })];
+    const report = buildChangeReport(stories, stories, { generatedAt: '2025-10-01T07:00:00.000Z' });
+
+    expect(report.summary).toEqual({ activeStories: 1, added: 0, restored: 0, removed: 0, updated: 0, hasChanges: false });
+    expect(report.previousExtractionDate).toBeNull();
+    expect(renderChangeReportMarkdown(report)).toBe('# Customer stories changes (2025-10-01)\n\nNo changes since the previous run. 1 active stories.\n');
+  });
+
+  test('renders a Markdown summary and writes both files', () => {
+    const report = buildChangeReport(previousStories, currentStories, { generatedAt: '2025-10-01T07:00:00.000Z' });
+    const markdown = renderChangeReportMarkdown(report);
+
+    expect(markdown).toContain('**1 new**, **1 removed**, **1 updated**, **1 restored** (4 active stories)');
+    expect(markdown).toContain('## New stories\n\n- [Story 1005](https://www.microsoft.com/en/customers/story/1005) — Education · Azure OpenAI · hong-kong-ai, asia-ai');
+    expect(markdown).toContain('## Restored stories\n\n- [Story 1003]');
+    expect(markdown).toContain('## Removed stories\n\n- [Story 1004]');
+    expect(markdown).toContain('  - title: "Story 1002" → "Contoso answers faster"\n  - products: added Power BI');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'customer-stories-'));
+    try {
+      writeChangeReport(report, { jsonPath: path.join(tempDir, 'changes.json'), markdownPath: path.join(tempDir, 'changes.md') });
+      expect(JSON.parse(fs.readFileSync(path.join(tempDir, 'changes.json'), 'utf8')).summary.added).toBe(1);
+      expect(fs.readFileSync(path.join(tempDir, 'changes.md'), 'utf8')).toBe(markdown);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
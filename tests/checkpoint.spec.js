@@ -0,0 +1,130 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  createCheckpoint,
+  loadCheckpoint,
+  saveCheckpoint,
+  removeCheckpoint,
+  finishCheckpoint,
+  buildRunSummary,
+  formatRunSummary
+} = require('../lib/checkpoint');
+
+test.describe('Checkpoints and run summary', () => {
+  let tempDir;
+
+  test.beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('saves, loads and removes a checkpoint', () => {
+    const checkpointFile = path.join(tempDir, 'extraction-checkpoint.json');
+    const checkpoint = createCheckpoint({ startedAt: '2025-10-01T07:00:00.000Z', options: { queries: ['hong-kong-ai'], images: true } });
+    checkpoint.queries['hong-kong-ai'] = { url: 'https://example.com/search', progress: { nextPage: 3, stories: [] } };
+
+    expect(loadCheckpoint(checkpointFile)).toBeNull();
+    saveCheckpoint(checkpointFile, checkpoint);
+
+    const loaded = loadCheckpoint(checkpointFile);
+    expect(loaded).toMatchObject({
+      startedAt: '2025-10-01T07:00:00.000Z',
+      options: { queries: ['hong-kong-ai'], images: true },
+      queries: { 'hong-kong-ai': { progress: { nextPage: 3 } } },
+      images: null
+    });
+    expect(loaded.updatedAt > loaded.startedAt).toBe(true);
+    expect(fs.readdirSync(tempDir)).toEqual(['extraction-checkpoint.json']);
+
+    removeCheckpoint(checkpointFile);
+    expect(fs.existsSync(checkpointFile)).toBe(false);
+    removeCheckpoint(checkpointFile);
+  });
+
+  test('rejects unreadable checkpoints and other versions', () => {
+    const checkpointFile = path.join(tempDir, 'extraction-checkpoint.json');
+
+    fs.writeFileSync(checkpointFile, '{"version": 1, "queries": ');
+    expect(() => loadCheckpoint(checkpointFile)).toThrow('Unreadable checkpoint');
+
+    fs.writeFileSync(checkpointFile, JSON.stringify({ version: 99 }));
+    expect(() => loadCheckpoint(checkpointFile)).toThrow('has version 99');
+  });
+
+  test('lists every failed page and asset in the run summary', () => {
+    const queryResults = [
+      { query: { name: 'hong-kong-ai' }, stories: [{}, {}], pagesVisited: 1, failedPage: null },
+      {
+        query: { name: 'asia-ai' },
+        stories: [{}],
+        pagesVisited: 3,
+        failedPage: { page: 4, url: 'https://example.com/search?page=4', error: 'Timeout 30000ms exceeded', attempts: 3 }
+      }
+    ];
+    const summary = buildRunSummary({
+      startedAt: '2025-10-01T07:00:00.000Z',
+      queryResults,
+      imageFailures: [{ globalId: '1001', url: 'https://example.com/logo.png', error: 'Failed to download image: 404' }]
+    });
+
+    expect(summary.passed).toBe(false);
+    expect(summary.queries).toEqual([
+      { name: 'hong-kong-ai', pagesVisited: 1, stories: 2, complete: true },
+      { name: 'asia-ai', pagesVisited: 3, stories: 1, complete: false }
+    ]);
+    expect(summary.failedPages).toEqual([
+      { query: 'asia-ai', page: 4, url: 'https://example.com/search?page=4', error: 'Timeout 30000ms exceeded', attempts: 3 }
+    ]);
+    expect(summary.failedStoryPages).toEqual([]);
+    expect(formatRunSummary(summary)).toEqual([
+      'Query "hong-kong-ai": 2 stories from 1 pages',
+      'Query "asia-ai": 1 stories from 3 pages (incomplete)',
+      'Failed results pages (1):',
+      '  asia-ai page 4 after 3 attempts: Timeout 30000ms exceeded (https://example.com/search?page=4)',
+      'Failed images (1):',
+      '  1001: Failed to download image: 404 (https://example.com/logo.png)'
+    ]);
+  });
+
+  test('passes when nothing failed', () => {
+    const summary = buildRunSummary({
+      startedAt: '2025-10-01T07:00:00.000Z',
+      queryResults: [{ query: { name: 'default' }, stories: [{}], pagesVisited: 1, failedPage: null }]
+    });
+
+    expect(summary.passed).toBe(true);
+    expect(formatRunSummary(summary)).toEqual(['Query "default": 1 stories from 1 pages', 'No pages or assets failed']);
+  });
+
+  test('keeps the checkpoint of a run with a failed page so it can be resumed', () => {
+    const checkpointFile = path.join(tempDir, 'extraction-checkpoint.json');
+    const checkpoint = createCheckpoint({ startedAt: '2025-10-01T07:00:00.000Z', options: { images: true } });
+    checkpoint.queries['hong-kong-ai'] = { url: 'https://example.com/search', progress: { nextPage: 4, stories: [{ globalId: '1001' }] } };
+    saveCheckpoint(checkpointFile, checkpoint);
+
+    const failed = buildRunSummary({
+      startedAt: checkpoint.startedAt,
+      queryResults: [{
+        query: { name: 'hong-kong-ai' },
+        stories: [{}],
+        pagesVisited: 3,
+        failedPage: { page: 4, url: 'https://example.com/search?page=4', error: 'Timeout 30000ms exceeded', attempts: 3 }
+      }]
+    });
+    expect(finishCheckpoint(checkpointFile, failed)).toBe(true);
+    expect(loadCheckpoint(checkpointFile).queries['hong-kong-ai'].progress.nextPage).toBe(4);
+
+    const passed = buildRunSummary({
+      startedAt: checkpoint.startedAt,
+      queryResults: [{ query: { name: 'hong-kong-ai' }, stories: [{}], pagesVisited: 4, failedPage: null }]
+    });
+    expect(finishCheckpoint(checkpointFile, passed)).toBe(false);
+    expect(loadCheckpoint(checkpointFile)).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CSV_COLUMNS, toCsv, checkFormats, exportResults } = require('../lib/exporters');
+
+test.describe('Exports', () => {
+  let tempDir;
+
+  const buildResults = () => ({
+    metadata: { extractionDate: '2025-10-01T07:25:37.608Z', totalStories: 2 },
+    stories: [
+      {
+        globalId: '1001',
+        title: 'Contoso, "the bank", answers\nfaster',
+        industry: 'Financial Services',
+        storyUrl: 'https://www.microsoft.com/en/customers/story/1001',
+        company: { name: '=HYPERLINK("https://evil.example.com")', logo: 'https://cdn.example.com/logo.png' },
+        microsoftProducts: [{ name: 'Azure OpenAI' }, { name: 'Power BI' }],
+        details: { publishedDate: '2025-08-15', region: 'Hong Kong SAR' }
+      },
+      {
+        globalId: '1002',
+        status: 'removed',
+        title: '-1 problems',
+        industry: '@Retail',
+        storyUrl: 'https://www.microsoft.com/en/customers/story/1002',
+        microsoftProducts: [],
+        publishedDate: '2025-07-01'
+      }
+    ]
+  });
+
+  test.beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'customer-stories-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('flattens stories into quoted CSV rows', () => {
+    const [header, first, second] = toCsv(buildResults().stories).split('\r\n');
+
+    expect(header).toBe(Object.keys(CSV_COLUMNS).join(','));
+    expect(first.startsWith('1001,active,"Contoso, ""the bank"", answers\nfaster",Financial Services,')).toBe(true);
+    expect(first).toContain(',"=HYPERLINK(""https://evil.example.com"")",');
+    expect(first).toContain(',Azure OpenAI; Power BI,2,2025-08-15,Hong Kong SAR,');
+    expect(second.startsWith('1002,removed,-1 problems,@Retail,')).toBe(true);
+    expect(second).toContain(',,0,2025-07-01,');
+  });
+
+  test('guards formulas and adds a byte order mark for Excel', () => {
+    const csv = toCsv(buildResults().stories, { excel: true });
+
+    expect(csv.startsWith('\uFEFFglobalId,')).toBe(true);
+    expect(csv).toContain(`,"'=HYPERLINK(""https://evil.example.com"")",`);
+    expect(csv).toContain("1002,removed,'-1 problems,'@Retail,");
+  });
+
+  test('writes every configured format with a metadata sidecar', () => {
+    const written = exportResults(buildResults(), { directory: tempDir, formats: ['json', 'ndjson', 'csv', 'excel'] });
+
+    expect(written.map(file => path.basename(file))).toEqual([
+      'microsoft-customer-stories.json',
+      'microsoft-customer-stories.ndjson',
+      'microsoft-customer-stories.csv',
+      'microsoft-customer-stories.excel.csv',
+      'microsoft-customer-stories.metadata.json'
+    ]);
+    expect(JSON.parse(fs.readFileSync(written[0], 'utf8')).metadata.totalStories).toBe(2);
+    expect(fs.readFileSync(written[1], 'utf8').trim().split('\n').map(line => JSON.parse(line).globalId)).toEqual(['1001', '1002']);
+    expect(JSON.parse(fs.readFileSync(written[4], 'utf8')).extractionDate).toBe('2025-10-01T07:25:37.608Z');
+  });
+
+  test('timestamps filenames and leaves out metadata when asked', () => {
+    const written = exportResults(buildResults(), {
+      directory: tempDir,
+      formats: ['json', 'csv'],
+      includeTimestamp: true,
+      saveMetadata: false
+    }, { baseName: 'stories' });
+
+    expect(written.map(file => path.basename(file))).toEqual([
+      'stories-2025-10-01T07-25-37-608Z.json',
+      'stories-2025-10-01T07-25-37-608Z.csv'
+    ]);
+    expect(JSON.parse(fs.readFileSync(written[0], 'utf8')).map(story => story.globalId)).toEqual(['1001', '1002']);
+  });
+
+  test('rejects unknown formats before writing anything', () => {
+    expect(() => checkFormats(['csv', 'xml'], '--formats'))
+      .toThrow('Unknown export format(s) in --formats: xml. Supported: json, ndjson, csv, excel');
+    expect(() => exportResults(buildResults(), { directory: path.join(tempDir, 'exports'), formats: ['xml'] }))
+      .toThrow('Unknown export format(s) in output.formats: xml');
+    expect(fs.existsSync(path.join(tempDir, 'exports'))).toBe(false);
+  });
+});
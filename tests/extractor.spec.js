@@ -0,0 +1,184 @@
+const { test, expect } = require('@playwright/test');
+
+const { loadConfig } = require('../lib/config');
+const { extractAllStories } = require('../lib/extractor');
+const { startFixtureServer } = require('./helpers/fixture-server');
+
+/**
+ * Config with the waits tuned down for the local fixture server
+ * @returns {object} - Parsed config.json with short timeouts and no delays
+ */
+function fixtureConfig() {
+  const config = loadConfig();
+  config.extraction.timeouts = { navigation: 10000, elementWait: 5000 };
+  config.extraction.pagination = { ...config.extraction.pagination, delayBetweenPages: 0, retries: 1, retryDelay: 10 };
+  // Most fixtures only render cards; the API tests turn the listing API back on
+  config.extraction.api = { ...config.extraction.api, enabled: false, timeout: 2000 };
+  return config;
+}
+
+test.describe('Paginated extraction against the fixture server', () => {
+  let server;
+
+  test.beforeAll(async () => {
+    server = await startFixtureServer();
+  });
+
+  test.afterAll(async () => {
+    await server.close();
+  });
+
+  test('follows pagination across all pages', async ({ page }) => {
+    const result = await extractAllStories(page, {
+      baseUrl: `${server.origin}/search/multi?filters=x`,
+      config: fixtureConfig()
+    });
+
+    expect(result.pagesVisited).toBe(2);
+    expect(result.stories.map(story => story.globalId)).toEqual(['1001', '1002', '1003']);
+    expect(result.stories.map(story => story.page)).toEqual([1, 1, 2]);
+    expect(result.stories[2].company.logo).toBe(`${server.origin}/images/1003-logo.png`);
+    expect(server.requests).toContain('/search/multi?filters=x&page=2');
+  });
+
+  test('stops after a single page', async ({ page }) => {
+    const result = await extractAllStories(page, {
+      baseUrl: `${server.origin}/search/single`,
+      config: fixtureConfig()
+    });
+
+    expect(result.pagesVisited).toBe(1);
+    expect(result.stories).toHaveLength(2);
+  });
+
+  test('honors the page limit', async ({ page }) => {
+    const result = await extractAllStories(page, {
+      baseUrl: `${server.origin}/search/multi`,
+      config: fixtureConfig(),
+      maxPages: 1
+    });
+
+    expect(result.pagesVisited).toBe(1);
+    expect(result.stories).toHaveLength(2);
+  });
+
+  test('returns no stories for an empty listing', async ({ page }) => {
+    const result = await extractAllStories(page, {
+      baseUrl: `${server.origin}/search/empty`,
+      config: fixtureConfig()
+    });
+
+    expect(result.stories).toEqual([]);
+  });
+
+  test('keeps valid cards from a malformed listing and records selector matches', async ({ page }) => {
+    const result = await extractAllStories(page, {
+      baseUrl: `${server.origin}/search/malformed`,
+      config: fixtureConfig(),
+      maxPages: 1
+    });
+
+    expect(result.stories.map(story => story.globalId)).toEqual(['2003', '2004']);
+    expect(result.selectorMatches.title['.card__title']).toBe(1);
+  });
+
+  test('reads stories from the listing API without parsing cards', async ({ page }) => {
+    const config = fixtureConfig();
+    config.extraction.api.enabled = true;
+
+    const result = await extractAllStories(page, { baseUrl: `${server.origin}/search/api`, config });
+
+    expect(result.source).toBe('api');
+    expect(result.totalResults).toBe(4);
+    expect(result.pagesVisited).toBe(2);
+    expect(result.stories.map(story => story.globalId)).toEqual(['3001', '3002', '3003']);
+    expect(result.stories[0]).toMatchObject({
+      industry: 'Financial Services',
+      storyUrl: `${server.origin}/en/customers/story/3001-contoso-ai-assistant`,
+      publishedDate: '2025-06-12',
+      company: { logo: `${server.origin}/images/3001-logo.png` },
+      media: { headerImage: `${server.origin}/images/3001-header.png`, headerImageAlt: 'Contoso header' },
+      microsoftProducts: [
+        { name: 'Azure OpenAI', icon: `${server.origin}/images/product-azure.png`, iconAlt: 'Azure icon' },
+        { name: 'Microsoft 365 Copilot', icon: '', iconAlt: '' }
+      ]
+    });
+    expect(result.stories[1].microsoftProducts).toEqual([{ name: 'Power BI', icon: '', iconAlt: '' }]);
+    expect(result.selectorMatches).toEqual({});
+  });
+
+  test('falls back to the cards when no listing API request is seen', async ({ page }) => {
+    const config = fixtureConfig();
+    config.extraction.api.enabled = true;
+
+    const result = await extractAllStories(page, { baseUrl: `${server.origin}/search/multi`, config });
+
+    expect(result.source).toBe('dom');
+    expect(result.totalResults).toBe(3);
+    expect(result.stories.map(story => story.globalId)).toEqual(['1001', '1002', '1003']);
+  });
+
+  test('parses the cards when the listing mode is dom', async ({ page }) => {
+    const config = fixtureConfig();
+    config.extraction.api.enabled = true;
+
+    const result = await extractAllStories(page, { baseUrl: `${server.origin}/search/api`, config, listing: 'dom', maxPages: 1 });
+
+    expect(result.source).toBe('dom');
+    expect(result.stories.map(story => story.title)).toEqual(['Contoso builds an AI assistant', 'Fabrikam automates claims']);
+  });
+
+  test('records the page that fails when the listing content never appears', async ({ page }) => {
+    const config = fixtureConfig();
+    config.extraction.timeouts.elementWait = 500;
+
+    const result = await extractAllStories(page, {
+      baseUrl: `${server.origin}/search/unknown`,
+      config
+    });
+
+    expect(result.stories).toEqual([]);
+    expect(result.failedPage).toMatchObject({ page: 1, url: `${server.origin}/search/unknown`, attempts: 2 });
+    expect(server.requests.filter(request => request === '/search/unknown')).toHaveLength(2);
+  });
+
+  test('keeps the earlier pages when a later page keeps failing', async ({ page }) => {
+    const config = fixtureConfig();
+    config.extraction.timeouts.elementWait = 500;
+    const checkpoints = [];
+
+    const result = await extractAllStories(page, {
+      baseUrl: `${server.origin}/search/broken`,
+      config,
+      onPage: progress => checkpoints.push(JSON.parse(JSON.stringify(progress)))
+    });
+
+    expect(result.stories.map(story => story.globalId)).toEqual(['1001', '1002']);
+    expect(result.pagesVisited).toBe(1);
+    expect(result.failedPage).toMatchObject({ page: 2, url: `${server.origin}/search/broken?page=2` });
+    expect(checkpoints).toHaveLength(1);
+    expect(checkpoints[0]).toMatchObject({ nextPage: 2, pagesVisited: 1, done: false });
+  });
+
+  test('resumes from the progress of an earlier run', async ({ page }) => {
+    const checkpoints = [];
+    await extractAllStories(page, {
+      baseUrl: `${server.origin}/search/multi`,
+      config: fixtureConfig(),
+      maxPages: 1,
+      onPage: progress => checkpoints.push(JSON.parse(JSON.stringify(progress)))
+    });
+    const requestCount = server.requests.length;
+
+    const result = await extractAllStories(page, {
+      baseUrl: `${server.origin}/search/multi`,
+      config: fixtureConfig(),
+      resume: checkpoints[0]
+    });
+
+    expect(server.requests.slice(requestCount).filter(request => request.startsWith('/search/'))).toEqual(['/search/multi?page=2']);
+    expect(result.pagesVisited).toBe(2);
+    expect(result.failedPage).toBeNull();
+    expect(result.stories.map(story => story.globalId)).toEqual(['1001', '1002', '1003']);
+  });
+});
@@ -0,0 +1,156 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getFeedDate, buildFeed, renderAtomFeed, renderJsonFeed, writeFeeds } = require('../lib/feeds');
+
+test.describe('Feeds', () => {
+  let tempDir;
+
+  const site = {
+    title: 'Hong Kong AI Customer Stories',
+    subtitle: 'Stories from Hong Kong',
+    feeds: { idPrefix: 'tag:example.com,2025:stories:' }
+  };
+
+  const buildResults = () => ({
+    metadata: { extractionDate: '2025-11-01T08:00:00.000Z' },
+    stories: [
+      {
+        globalId: '1001',
+        title: 'Contoso Bank <b>answers</b> faster',
+        industry: 'Financial Services',
+        storyUrl: 'https://www.microsoft.com/en/customers/story/1001-contoso-bank',
+        media: { headerImage: 'https://cdn.example.com/1001.jpg', headerImageLocal: 'media/1001_header.jpg', headerImageAlt: 'Bank branch' },
+        microsoftProducts: [{ name: 'Azure OpenAI' }, 'Power BI'],
+        firstSeen: '2025-10-01T08:00:00.000Z',
+        details: { publishedDate: '2025-11-15' }
+      },
+      {
+        globalId: '1002',
+        title: 'Fabrikam University teaches with Copilot',
+        industry: 'Education',
+        storyUrl: 'https://www.microsoft.com/en/customers/story/1002-fabrikam',
+        microsoftProducts: ['Azure OpenAI'],
+        firstSeen: '2025-11-01T08:00:00.000Z',
+        publishedDate: '2025-09-30'
+      },
+      { globalId: '1003', title: 'Removed story', industry: 'Retail', firstSeen: '2025-11-01T08:00:00.000Z', status: 'removed' }
+    ]
+  });
+
+  test.beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'customer-stories-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('orders entries by first-seen or publish date', () => {
+    const [first, second] = buildResults().stories;
+    expect(getFeedDate(first, 'firstSeen')).toBe('2025-10-01T08:00:00.000Z');
+    expect(getFeedDate(first, 'published')).toBe('2025-11-15T00:00:00.000Z');
+    expect(getFeedDate({ firstSeen: '2025-10-01T08:00:00.000Z' }, 'published')).toBe('2025-10-01T08:00:00.000Z');
+
+    const feedOptions = { orderBy: 'firstSeen', limit: 50, idPrefix: 'tag:example.com,2025:stories:' };
+    const byFirstSeen = buildFeed([first, second], { id: 'feed', title: 'Stories', path: 'feed', feedOptions });
+    expect(byFirstSeen.entries.map(entry => entry.id)).toEqual(['tag:example.com,2025:stories:story:1002', 'tag:example.com,2025:stories:story:1001']);
+    expect(byFirstSeen.updated).toBe('2025-11-01T08:00:00.000Z');
+
+    const byPublished = buildFeed([first, second], { id: 'feed', title: 'Stories', path: 'feed', feedOptions: { ...feedOptions, orderBy: 'published', limit: 1 } });
+    expect(byPublished.entries.map(entry => entry.id)).toEqual(['tag:example.com,2025:stories:story:1001']);
+  });
+
+  test('renders Atom and JSON Feed documents with the image, industry and products', () => {
+    const feed = buildFeed(buildResults().stories, {
+      id: 'tag:example.com,2025:stories:feed',
+      title: 'Stories & more',
+      path: 'feed',
+      baseUrl: 'https://example.com/stories',
+      feedOptions: { orderBy: 'firstSeen', limit: 50, idPrefix: 'tag:example.com,2025:stories:' }
+    });
+
+    const atom = renderAtomFeed(feed);
+    expect(atom).toContain('<title>Stories &amp; more</title>');
+    expect(atom).toContain('<link rel="self" type="application/atom+xml" href="https://example.com/stories/feed.xml"/>');
+    expect(atom).toContain('<id>tag:example.com,2025:stories:story:1001</id>');
+    expect(atom).toContain('<title>Contoso Bank &lt;b&gt;answers&lt;/b&gt; faster</title>');
+    expect(atom).toContain('<link rel="alternate" type="text/html" href="https://example.com/stories/?story=1001"/>');
+    expect(atom).toContain('<link rel="related" type="text/html" href="https://www.microsoft.com/en/customers/story/1001-contoso-bank"/>');
+    expect(atom).toContain('<category term="Power BI"/>');
+    expect(atom).not.toContain('Removed story');
+
+    const json = JSON.parse(renderJsonFeed(feed));
+    expect(json.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(json.feed_url).toBe('https://example.com/stories/feed.json');
+    expect(json.items[1]).toMatchObject({
+      id: 'tag:example.com,2025:stories:story:1001',
+      url: 'https://example.com/stories/?story=1001',
+      external_url: 'https://www.microsoft.com/en/customers/story/1001-contoso-bank',
+      image: 'https://example.com/stories/media/1001_header.jpg',
+      date_published: '2025-10-01T08:00:00.000Z',
+      tags: ['Financial Services', 'Azure OpenAI', 'Power BI']
+    });
+    expect(json.items[1].content_html).toContain('<p>Industry: Financial Services</p>');
+    expect(json.items[1].content_html).toContain('<p>Microsoft products: Azure OpenAI, Power BI</p>');
+  });
+
+  test('links to microsoft.com and remote images without a base URL', () => {
+    const feed = buildFeed(buildResults().stories, {
+      id: 'feed',
+      title: 'Stories',
+      path: 'feed',
+      feedOptions: { orderBy: 'firstSeen', limit: 50, idPrefix: 'tag:example.com,2025:stories:' }
+    });
+
+    const json = JSON.parse(renderJsonFeed(feed));
+    expect(json.feed_url).toBeUndefined();
+    expect(json.items[1].url).toBe('https://www.microsoft.com/en/customers/story/1001-contoso-bank');
+    expect(json.items[1].external_url).toBeUndefined();
+    expect(json.items[1].image).toBe('https://cdn.example.com/1001.jpg');
+    expect(renderAtomFeed(feed)).not.toContain('rel="self"');
+  });
+
+  test('writes the same feeds on every run and a feed per industry and product', () => {
+    const written = writeFeeds(buildResults(), { directory: tempDir, site });
+    const atom = fs.readFileSync(path.join(tempDir, 'feed.xml'), 'utf8');
+
+    expect(written.map(file => path.relative(tempDir, file).split(path.sep).join('/')).sort()).toEqual([
+      'feed.json',
+      'feed.xml',
+      'feeds/industries/education.json',
+      'feeds/industries/education.xml',
+      'feeds/industries/financial-services.json',
+      'feeds/industries/financial-services.xml',
+      'feeds/products/azure-openai.json',
+      'feeds/products/azure-openai.xml',
+      'feeds/products/power-bi.json',
+      'feeds/products/power-bi.xml'
+    ]);
+    const education = JSON.parse(fs.readFileSync(path.join(tempDir, 'feeds', 'industries', 'education.json'), 'utf8'));
+    expect(education.title).toBe('Hong Kong AI Customer Stories: Education');
+    expect(education.items.map(item => item.id)).toEqual(['tag:example.com,2025:stories:story:1002']);
+
+    // A later run without new stories leaves the feeds unchanged
+    const later = buildResults();
+    later.metadata.extractionDate = '2025-12-01T08:00:00.000Z';
+    later.stories[1].industry = 'Higher Education';
+    writeFeeds(later, { directory: tempDir, site });
+    expect(fs.readFileSync(path.join(tempDir, 'feed.xml'), 'utf8')).toBe(atom.replace(/Education/g, 'Higher Education'));
+    expect(fs.existsSync(path.join(tempDir, 'feeds', 'industries', 'education.xml'))).toBe(false);
+    expect(fs.existsSync(path.join(tempDir, 'feeds', 'industries', 'higher-education.xml'))).toBe(true);
+  });
+
+  test('rejects an unknown sort order', () => {
+    expect(() => writeFeeds(buildResults(), { directory: tempDir, site: { feeds: { orderBy: 'title' } } }))
+      .toThrow('site.feeds.orderBy must be "firstSeen" or "published"');
+  });
+
+  test('requires an ID prefix', () => {
+    expect(() => writeFeeds(buildResults(), { directory: tempDir, site: { title: site.title } }))
+      .toThrow('site.feeds.idPrefix is missing');
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+  });
+});
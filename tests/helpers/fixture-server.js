@@ -0,0 +1,152 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// 1x1 transparent PNG
+const PNG_BYTES = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+const PNG_ETAG = '"png-1"';
+
+// JPEG header and end-of-image markers, enough for file type detection
+const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0xff, 0xd9]);
+
+/**
+ * Listing pages served for each search scenario, in page order
+ */
+const SCENARIOS = {
+  multi: ['listing-page-1.html', 'listing-page-2.html'],
+  single: ['listing-single-page.html'],
+  empty: ['listing-empty.html'],
+  malformed: ['listing-malformed.html'],
+  api: ['listing-api.html', 'listing-api.html'],
+  // Page 1 announces two pages, but page 2 is missing
+  broken: ['listing-page-1.html']
+};
+
+// Results of tests/fixtures/listing-api.json served per page by /api/customers/search
+const API_PAGE_SIZE = 2;
+
+/**
+ * Read an HTML fixture and point its image URLs at the given origin
+ * @param {string} name - Fixture filename in tests/fixtures
+ * @param {string} origin - Origin replacing the {{origin}} placeholder
+ * @returns {string} - Fixture HTML
+ */
+function loadFixture(name, origin = 'https://cdn.example.com') {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8').replace(/\{\{origin\}\}/g, origin);
+}
+
+/**
+ * Start a local HTTP server that serves paginated listing fixtures and images
+ *
+ * Routes:
+ * - /search/<scenario>?page=N - Listing page N of a scenario in SCENARIOS
+ * - /api/customers/search?page=N - Page N of listing-api.json, requested by the `api` scenario's page
+ * - /images/missing.png - 404
+ * - /images/redirect.png - 302 to /images/redirected.png
+ * - /images/redirect-loop.png - 302 to itself
+ * - /images/slow.png - Never responds
+ * - /images/flaky.png - 503 on the first request, then a PNG image
+ * - /images/changing.png - A PNG image on the first request, then a different PNG image
+ * - /images/photo - A JPEG image served as application/octet-stream
+ * - /images/not-an-image.png - An HTML page
+ * - /images/<anything else> - A PNG image with an ETag, 304 when it matches If-None-Match
+ *
+ * @returns {Promise<{origin: string, requests: Array<string>, close: Function}>} - Running server
+ */
+async function startFixtureServer() {
+  const requests = [];
+  let flakyFailed = false;
+  let changingServed = false;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname + url.search);
+
+    const searchMatch = url.pathname.match(/^\/search\/([a-z]+)\/?$/);
+    if (searchMatch && SCENARIOS[searchMatch[1]]) {
+      const pageNum = parseInt(url.searchParams.get('page') || '1', 10);
+      const fixture = SCENARIOS[searchMatch[1]][pageNum - 1];
+      if (!fixture) {
+        res.writeHead(404, { 'Content-Type': 'text/html' });
+        res.end('<html><body>Not found</body></html>');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(loadFixture(fixture, `http://${req.headers.host}`));
+      return;
+    }
+
+    if (url.pathname === '/api/customers/search') {
+      const pageNum = parseInt(url.searchParams.get('page') || '1', 10);
+      const data = JSON.parse(loadFixture('listing-api.json'));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        ...data,
+        results: data.results.slice((pageNum - 1) * API_PAGE_SIZE, pageNum * API_PAGE_SIZE)
+      }));
+      return;
+    }
+
+    if (url.pathname === '/images/missing.png') {
+      res.writeHead(404);
+      res.end();
+    } else if (url.pathname === '/images/redirect.png') {
+      res.writeHead(302, { Location: '/images/redirected.png' });
+      res.end();
+    } else if (url.pathname === '/images/redirect-loop.png') {
+      res.writeHead(302, { Location: '/images/redirect-loop.png' });
+      res.end();
+    } else if (url.pathname === '/images/slow.png') {
+      // Leave the request hanging to trigger client timeouts
+    } else if (url.pathname === '/images/flaky.png' && !flakyFailed) {
+      flakyFailed = true;
+      res.writeHead(503);
+      res.end();
+    } else if (url.pathname === '/images/changing.png') {
+      const body = changingServed ? Buffer.concat([PNG_BYTES, Buffer.from('changed')]) : PNG_BYTES;
+      changingServed = true;
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': body.length });
+      res.end(body);
+    } else if (url.pathname === '/images/photo') {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': JPEG_BYTES.length });
+      res.end(JPEG_BYTES);
+    } else if (url.pathname === '/images/not-an-image.png') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<html><body>Access denied</body></html>');
+    } else if (url.pathname.startsWith('/images/')) {
+      if (req.headers['if-none-match'] === PNG_ETAG) {
+        res.writeHead(304, { ETag: PNG_ETAG });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PNG_BYTES.length, ETag: PNG_ETAG });
+      res.end(PNG_BYTES);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    origin: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = {
+  PNG_BYTES,
+  JPEG_BYTES,
+  loadFixture,
+  startFixtureServer
+};
@@ -0,0 +1,147 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadPreviousResults, computeCardHash, hasLocalImages, mergeStories } = require('../lib/history');
+
+test.describe('Story history', () => {
+  let tempDir;
+
+  const buildStory = (globalId, overrides = {}) => ({
+    globalId,
+    title: `Story ${globalId}`,
+    industry: 'Financial Services',
+    storyUrl: `https://www.microsoft.com/en/customers/story/${globalId}-story`,
+    company: { logo: `https://cdn.example.com/${globalId}-logo.png` },
+    media: { headerImage: `https://cdn.example.com/${globalId}-header.jpg` },
+    microsoftProducts: [{ name: 'Azure OpenAI' }],
+    page: 1,
+    positionOnPage: 1,
+    ...overrides
+  });
+
+  test.beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'customer-stories-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('re-keys stories of older files by their story URL', () => {
+    const dataFile = path.join(tempDir, 'microsoft-customer-stories.json');
+    expect(loadPreviousResults(dataFile)).toBeNull();
+
+    fs.writeFileSync(dataFile, JSON.stringify({
+      metadata: { extractionDate: '2025-09-01T07:00:00.000Z' },
+      stories: [{ globalId: 'p1_1', title: 'Old', storyUrl: 'https://www.microsoft.com/en/customers/story/24963-csop-asset-management' }]
+    }));
+    expect(loadPreviousResults(dataFile).stories[0]).toMatchObject({ globalId: '24963', storyId: '24963', slug: 'csop-asset-management', title: 'Old' });
+
+    fs.writeFileSync(dataFile, '{"stories": [');
+    expect(loadPreviousResults(dataFile)).toBeNull();
+  });
+
+  test('hashes only the card fields', () => {
+    const story = buildStory('1001');
+    expect(computeCardHash({ ...story, page: 3, firstSeen: '2025-01-01T00:00:00.000Z' })).toBe(computeCardHash(story));
+    expect(computeCardHash({ ...story, title: 'Renamed' })).not.toBe(computeCardHash(story));
+    expect(computeCardHash({ ...story, microsoftProducts: [{ name: 'Power BI' }] })).not.toBe(computeCardHash(story));
+  });
+
+  test('checks that every downloaded image is on disk', () => {
+    const story = buildStory('1001', { microsoftProducts: [{ name: 'Azure OpenAI', icon: 'https://cdn.example.com/azure.png' }] });
+    expect(hasLocalImages(story, tempDir)).toBe(false);
+
+    story.company.logoLocal = 'media/1001_logo.png';
+    story.media.headerImageLocal = 'media/1001_header.jpg';
+    story.microsoftProducts[0].iconLocal = 'media/1001_product_azure_openai.png';
+    fs.mkdirSync(path.join(tempDir, 'media'));
+    ['1001_logo.png', '1001_header.jpg'].forEach(file => fs.writeFileSync(path.join(tempDir, 'media', file), 'x'));
+    expect(hasLocalImages(story, tempDir)).toBe(false);
+
+    fs.writeFileSync(path.join(tempDir, 'media', '1001_product_azure_openai.png'), 'x');
+    expect(hasLocalImages(story, tempDir)).toBe(true);
+    expect(hasLocalImages({ globalId: '1002', company: {}, media: {} }, tempDir)).toBe(true);
+  });
+
+  test('keeps first-seen dates and unchanged records, and marks missing stories removed', () => {
+    const firstRun = mergeStories([], [buildStory('1001'), buildStory('1002')], '2025-09-01T07:00:00.000Z');
+    expect(firstRun.unchangedIds.size).toBe(0);
+    expect(firstRun.stories[0]).toMatchObject({ status: 'active', firstSeen: '2025-09-01T07:00:00.000Z', lastSeen: '2025-09-01T07:00:00.000Z' });
+
+    // The first run downloaded images and crawled details
+    const previous = firstRun.stories.map(story => ({
+      ...story,
+      company: { ...story.company, logoLocal: `media/${story.globalId}_logo.png` },
+      details: { publishedDate: '2025-08-15' }
+    }));
+    const current = [
+      buildStory('1001', { page: 2, positionOnPage: 4, queries: ['hong-kong-ai'] }),
+      buildStory('1003')
+    ];
+    const secondRun = mergeStories(previous, current, '2025-10-01T07:00:00.000Z');
+    const [unchanged, added, removed] = secondRun.stories;
+
+    expect([...secondRun.unchangedIds]).toEqual(['1001']);
+    expect(unchanged).toMatchObject({
+      status: 'active',
+      firstSeen: '2025-09-01T07:00:00.000Z',
+      lastSeen: '2025-10-01T07:00:00.000Z',
+      page: 2,
+      positionOnPage: 4,
+      queries: ['hong-kong-ai'],
+      company: { logoLocal: 'media/1001_logo.png' },
+      details: { publishedDate: '2025-08-15' }
+    });
+    expect(added).toMatchObject({ globalId: '1003', status: 'active', firstSeen: '2025-10-01T07:00:00.000Z' });
+    expect(removed).toMatchObject({
+      globalId: '1002',
+      status: 'removed',
+      firstSeen: '2025-09-01T07:00:00.000Z',
+      lastSeen: '2025-09-01T07:00:00.000Z',
+      removedAt: '2025-10-01T07:00:00.000Z',
+      details: { publishedDate: '2025-08-15' }
+    });
+  });
+
+  test('restores removed stories and keeps the details of changed ones', () => {
+    const previous = [
+      { ...buildStory('1001'), status: 'removed', firstSeen: '2025-08-01T07:00:00.000Z', lastSeen: '2025-08-01T07:00:00.000Z', removedAt: '2025-09-01T07:00:00.000Z' },
+      { ...buildStory('1002', { company: { name: 'Contoso', logo: 'https://cdn.example.com/1002-logo.png' } }), details: { challenge: 'Slow answers' } }
+    ];
+    previous.forEach(story => {
+      story.cardHash = computeCardHash(story);
+    });
+
+    const { stories, unchangedIds } = mergeStories(previous, [
+      buildStory('1001'),
+      buildStory('1002', { title: 'Contoso answers faster', locales: { 'en-us': { title: 'Contoso answers faster', storyUrl: 'https://example.com/1002' } } })
+    ], '2025-10-01T07:00:00.000Z');
+
+    expect(stories[0]).toMatchObject({ status: 'active', firstSeen: '2025-08-01T07:00:00.000Z', lastSeen: '2025-10-01T07:00:00.000Z' });
+    expect(stories[0].removedAt).toBeUndefined();
+    expect(unchangedIds.has('1002')).toBe(false);
+    expect(stories[1]).toMatchObject({
+      title: 'Contoso answers faster',
+      company: { name: 'Contoso', logo: 'https://cdn.example.com/1002-logo.png' },
+      details: { challenge: 'Slow answers' },
+      locales: { 'en-us': { title: 'Contoso answers faster' } }
+    });
+  });
+
+  test('keeps translations from earlier runs for locales that did not list the story', () => {
+    const previous = [{
+      ...buildStory('1001', { locales: { 'en-us': { title: 'Story', storyUrl: 'https://example.com/en' }, 'zh-tw': { title: '故事', storyUrl: 'https://example.com/zh' } } }),
+      firstSeen: '2025-09-01T07:00:00.000Z'
+    }];
+    previous[0].cardHash = computeCardHash(previous[0]);
+
+    const { stories } = mergeStories(previous, [
+      buildStory('1001', { locales: { 'en-us': { title: 'Story', storyUrl: 'https://example.com/en' } } })
+    ], '2025-10-01T07:00:00.000Z');
+
+    expect(Object.keys(stories[0].locales)).toEqual(['en-us', 'zh-tw']);
+  });
+});
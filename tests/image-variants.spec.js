@@ -0,0 +1,75 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const { createImageVariants, createStoryImageVariants } = require('../lib/image-variants');
+
+test.describe('Image variants', () => {
+  let tempDir;
+
+  test.beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'customer-stories-'));
+    fs.mkdirSync(path.join(tempDir, 'media'));
+    await sharp({ create: { width: 800, height: 400, channels: 3, background: '#0078d4' } })
+      .jpeg()
+      .toFile(path.join(tempDir, 'media', '1001_header.jpg'));
+    await sharp({ create: { width: 20, height: 20, channels: 4, background: '#ffffff00' } })
+      .png()
+      .toFile(path.join(tempDir, 'media', '1001_product_azure.png'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('writes resized and WebP variants without enlarging', async () => {
+    const result = await createImageVariants(path.join(tempDir, 'media', '1001_header.jpg'), { card: 640, huge: 1600 });
+
+    expect(result.width).toBe(800);
+    expect(result.height).toBe(400);
+    expect(result.variants).toEqual([
+      { name: 'card', width: 640, height: 320, file: '1001_header_card.jpg', webpFile: '1001_header_card.webp' },
+      { name: 'huge', width: 800, height: 400, file: '1001_header_huge.jpg', webpFile: '1001_header_huge.webp' }
+    ]);
+
+    const card = await sharp(path.join(tempDir, 'media', '1001_header_card.webp')).metadata();
+    expect(card).toMatchObject({ format: 'webp', width: 640, height: 320 });
+  });
+
+  test('reuses variants that are newer than the source', async () => {
+    const source = path.join(tempDir, 'media', '1001_header.jpg');
+    await createImageVariants(source, { thumb: 400 });
+    const variant = path.join(tempDir, 'media', '1001_header_thumb.jpg');
+    const written = fs.statSync(variant).mtimeMs;
+
+    await createImageVariants(source, { thumb: 400 });
+
+    expect(fs.statSync(variant).mtimeMs).toBe(written);
+  });
+
+  test('records dimensions and variant paths on stories', async () => {
+    const stories = [{
+      globalId: '1001',
+      media: { headerImageLocal: 'media/1001_header.jpg' },
+      company: { logoLocal: 'media/missing_logo.jpg' },
+      microsoftProducts: [{ name: 'Azure', iconLocal: 'media/1001_product_azure.png' }, 'Azure OpenAI']
+    }];
+
+    const counts = await createStoryImageVariants(stories, { rootDir: tempDir, sizes: { headerImage: { card: 640 } } });
+
+    expect(counts).toEqual({ processed: 2, failed: 1 });
+    expect(stories[0].media).toMatchObject({
+      headerImageWidth: 800,
+      headerImageHeight: 400,
+      headerImageVariants: [
+        { name: 'card', width: 640, height: 320, path: 'media/1001_header_card.jpg', webpPath: 'media/1001_header_card.webp' }
+      ]
+    });
+    expect(stories[0].microsoftProducts[0].iconVariants).toEqual([
+      { name: 'icon', width: 20, height: 20, path: 'media/1001_product_azure_icon.png', webpPath: 'media/1001_product_azure_icon.webp' }
+    ]);
+    expect(stories[0].company.logoVariants).toBeUndefined();
+  });
+});
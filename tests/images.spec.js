@@ -0,0 +1,173 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { generateImageFilename, downloadStoryImages } = require('../lib/images');
+const { requestAsset, detectImageType, withRetries, createDownloadManager } = require('../lib/download-manager');
+const { PNG_BYTES, JPEG_BYTES, startFixtureServer } = require('./helpers/fixture-server');
+
+test.describe('Image downloads', () => {
+  let server;
+  let tempDir;
+
+  test.beforeAll(async () => {
+    server = await startFixtureServer();
+  });
+
+  test.afterAll(async () => {
+    await server.close();
+  });
+
+  test.beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'customer-stories-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('fetches an image and follows redirects', async () => {
+    const response = await requestAsset(`${server.origin}/images/redirect.png`);
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toEqual(PNG_BYTES);
+    expect(server.requests).toContain('/images/redirected.png');
+  });
+
+  test('rejects on HTTP errors and timeouts', async () => {
+    await expect(requestAsset(`${server.origin}/images/missing.png`)).rejects.toThrow('Failed to download image: 404');
+    await expect(requestAsset(`${server.origin}/images/slow.png`, { timeout: 200 })).rejects.toThrow('Download timeout');
+  });
+
+  test('stops following redirect loops', async () => {
+    await expect(requestAsset(`${server.origin}/images/redirect-loop.png`, { maxRedirects: 3 }))
+      .rejects.toThrow('Too many redirects');
+  });
+
+  test('records local paths on stories and keeps going after failures', async () => {
+    const stories = [{
+      globalId: '1001',
+      company: { logo: `${server.origin}/images/logo.png` },
+      media: { headerImage: `${server.origin}/images/missing.png` },
+      microsoftProducts: [{ name: 'Azure OpenAI', icon: `${server.origin}/images/photo` }]
+    }];
+
+    const summary = await downloadStoryImages(stories, { mediaDir: tempDir, publicPath: 'media', retryDelay: 10 });
+
+    expect(stories[0].company.logoLocal).toBe('media/1001_logo.png');
+    expect(stories[0].media.headerImageLocal).toBeUndefined();
+    expect(stories[0].microsoftProducts[0].iconLocal).toBe('media/1001_product_azure_openai.jpg');
+    expect(fs.existsSync(path.join(tempDir, '1001_logo.png'))).toBe(true);
+    expect(summary.downloaded).toBe(2);
+    expect(summary.failed).toEqual([
+      expect.objectContaining({ globalId: '1001', error: 'Failed to download image: 404' })
+    ]);
+  });
+
+  test('stores identical images once and revalidates them on later runs', async () => {
+    const stories = () => [
+      { globalId: '1001', microsoftProducts: [{ name: 'Azure', icon: `${server.origin}/images/azure-a.png` }] },
+      { globalId: '1002', microsoftProducts: [{ name: 'Azure', icon: `${server.origin}/images/azure-b.png` }] }
+    ];
+
+    const first = stories();
+    await downloadStoryImages(first, { mediaDir: tempDir, concurrency: 1 });
+
+    expect(first[1].microsoftProducts[0].iconLocal).toBe(first[0].microsoftProducts[0].iconLocal);
+    expect(fs.readdirSync(tempDir).sort()).toEqual(['1001_product_azure.png', 'manifest.json']);
+
+    const second = stories();
+    const summary = await downloadStoryImages(second, { mediaDir: tempDir });
+
+    expect(summary['not-modified']).toBe(2);
+    expect(second[1].microsoftProducts[0].iconLocal).toBe('media/1001_product_azure.png');
+  });
+
+  test('stores changed content of a shared image under a new name', async () => {
+    const stories = () => [
+      { globalId: '1001', microsoftProducts: [{ name: 'Azure', icon: `${server.origin}/images/changing.png` }] },
+      { globalId: '1002', microsoftProducts: [{ name: 'Azure', icon: `${server.origin}/images/azure-b.png` }] }
+    ];
+
+    await downloadStoryImages(stories(), { mediaDir: tempDir, concurrency: 1 });
+    const second = stories();
+    const summary = await downloadStoryImages(second, { mediaDir: tempDir, concurrency: 1 });
+
+    expect(summary.downloaded).toBe(1);
+    const changedIcon = second[0].microsoftProducts[0].iconLocal;
+    expect(changedIcon).toMatch(/^media\/1001_product_azure-[0-9a-f]{12}\.png$/);
+    expect(fs.readFileSync(path.join(tempDir, path.basename(changedIcon))).toString()).toContain('changed');
+    expect(second[1].microsoftProducts[0].iconLocal).toBe('media/1001_product_azure.png');
+    expect(fs.readFileSync(path.join(tempDir, '1001_product_azure.png')).equals(PNG_BYTES)).toBe(true);
+  });
+
+  test('reports progress per batch and reuses images fetched since the run started', async () => {
+    const stories = () => [1001, 1002, 1003].map(id => ({ globalId: String(id), company: { logo: `${server.origin}/images/logo-${id}.png` } }));
+    const runDate = new Date().toISOString();
+    const batches = [];
+
+    await downloadStoryImages(stories(), {
+      mediaDir: tempDir,
+      batchSize: 2,
+      onBatch: (summary, processed, total) => batches.push([processed, total, summary.failed.length])
+    });
+    expect(batches).toEqual([[2, 3, 0], [3, 3, 0]]);
+
+    const requestCount = server.requests.length;
+    const resumed = stories();
+    const summary = await downloadStoryImages(resumed, { mediaDir: tempDir, reuseSince: runDate });
+
+    expect(server.requests.length).toBe(requestCount);
+    expect(summary.unchanged).toBe(3);
+    expect(resumed[2].company.logoLocal).toBe('media/1001_logo.png');
+  });
+
+  test('download manager retries transient failures and rejects non-images', async () => {
+    const manager = createDownloadManager({ mediaDir: tempDir, retryDelay: 10 });
+
+    await expect(manager.fetch(`${server.origin}/images/flaky.png`, ext => `flaky.${ext}`))
+      .resolves.toEqual({ file: 'flaky.png', status: 'downloaded' });
+    await expect(manager.fetch(`${server.origin}/images/not-an-image.png`, ext => `page.${ext}`))
+      .rejects.toThrow('Response is not an image');
+    expect(manager.manifest.assets[`${server.origin}/images/flaky.png`]).toMatchObject({ etag: '"png-1"', size: PNG_BYTES.length });
+  });
+
+  test('retries only retryable errors', async () => {
+    let attempts = 0;
+    const notFound = Object.assign(new Error('Failed to download image: 404'), { statusCode: 404 });
+
+    await expect(withRetries(async () => { attempts++; throw notFound; }, { retryDelay: 1 })).rejects.toBe(notFound);
+    expect(attempts).toBe(1);
+
+    attempts = 0;
+    await expect(withRetries(async () => { if (++attempts < 3) throw new Error('socket hang up'); return 'ok'; }, { retryDelay: 1 }))
+      .resolves.toBe('ok');
+    expect(attempts).toBe(3);
+  });
+
+  test('reports each retry and the number of attempts of a final failure', async () => {
+    const retries = [];
+    const error = await withRetries(async () => { throw new Error('socket hang up'); }, {
+      retries: 2,
+      retryDelay: 1,
+      onRetry: (retryError, retry, delay) => retries.push([retryError.message, retry, delay])
+    }).catch(rejection => rejection);
+
+    expect(error.attempts).toBe(3);
+    expect(retries).toEqual([['socket hang up', 1, 1], ['socket hang up', 2, 2]]);
+  });
+
+  test('detects image types from magic bytes before the Content-Type', () => {
+    expect(detectImageType(PNG_BYTES, 'image/jpeg')).toBe('png');
+    expect(detectImageType(JPEG_BYTES, 'application/octet-stream')).toBe('jpg');
+    expect(detectImageType(Buffer.from('<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg"/>'))).toBe('svg');
+    expect(detectImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('webp');
+    expect(detectImageType(Buffer.from('unknown'), 'image/gif')).toBe('gif');
+    expect(detectImageType(Buffer.from('<html></html>'), 'text/html')).toBeNull();
+  });
+
+  test('names image files by story ID and type', () => {
+    expect(generateImageFilename('1001', 'header', 'jpg')).toBe('1001_header.jpg');
+  });
+});
@@ -0,0 +1,147 @@
+const { test, expect } = require('@playwright/test');
+
+const { loadConfig } = require('../lib/config');
+const { extractStoryCards, detectPagination, resolveNextPage } = require('../lib/listing');
+const { loadFixture } = require('./helpers/fixture-server');
+
+const { selectors } = loadConfig();
+
+/**
+ * Render a pagination block with the given markup around a single story card
+ * @param {object} parts - Markup pieces
+ * @returns {string} - Listing page HTML
+ */
+function paginationPage({ container = '', showValue = '', showTotal = '', announcement = '', nextButton = '' }) {
+  return `
+    <div class="dynamic-content">
+      <span class="dynamic-content__show-value">${showValue}</span>
+      <span class="dynamic-content__show-total">${showTotal}</span>
+      <div class="dynamic-content__content"></div>
+      <nav data-mount="oc-pagination" class="${container}">
+        ${announcement ? `<span id="pagination-announcement">${announcement}</span>` : ''}
+        ${nextButton}
+      </nav>
+    </div>`;
+}
+
+test.describe('Story card parsing', () => {
+
+  test('extracts every field of well-formed cards', async ({ page }) => {
+    await page.setContent(loadFixture('listing-page-1.html'));
+
+    const { stories } = await page.evaluate(extractStoryCards, { pageNum: 1, selectors });
+
+    expect(stories).toHaveLength(2);
+    expect(stories[0]).toMatchObject({
+      page: 1,
+      positionOnPage: 1,
+      title: 'Contoso builds an AI assistant',
+      industry: 'Financial Services',
+      storyUrl: 'https://www.microsoft.com/en/customers/story/1001-story-1001',
+      company: { logo: 'https://cdn.example.com/images/1001-logo.png' },
+      media: {
+        headerImage: 'https://cdn.example.com/images/1001-header.png',
+        headerImageAlt: 'Contoso builds an AI assistant header'
+      },
+      microsoftProducts: [
+        { name: 'Azure OpenAI', icon: 'https://cdn.example.com/images/product-azure.png', iconAlt: 'Azure icon' },
+        { name: 'Microsoft 365 Copilot', icon: 'https://cdn.example.com/images/product-m365.png', iconAlt: '' }
+      ]
+    });
+    expect(stories[1].positionOnPage).toBe(2);
+    expect(stories[1].industry).toBe('Insurance');
+  });
+
+  test('skips cards without a title or link and tolerates missing optional fields', async ({ page }) => {
+    await page.setContent(loadFixture('listing-malformed.html'));
+
+    const { stories } = await page.evaluate(extractStoryCards, { pageNum: 1, selectors });
+
+    expect(stories.map(story => story.title)).toEqual(['Minimal story', 'Redesigned card']);
+    expect(stories[0]).toMatchObject({
+      positionOnPage: 3,
+      industry: '',
+      company: { logo: '' },
+      media: { headerImage: '', headerImageAlt: '' },
+      microsoftProducts: []
+    });
+  });
+
+  test('falls back to later candidate selectors and reports which one matched', async ({ page }) => {
+    await page.setContent(loadFixture('listing-malformed.html'));
+
+    const { stories, selectorMatches } = await page.evaluate(extractStoryCards, { pageNum: 1, selectors });
+    const redesigned = stories[1];
+
+    expect(redesigned.industry).toBe('Healthcare');
+    expect(redesigned.media.headerImage).toBe('https://cdn.example.com/images/2004-header.png');
+    expect(redesigned.microsoftProducts.map(product => product.name)).toEqual(['Azure']);
+    expect(selectorMatches.title['.card__title']).toBe(1);
+    expect(selectorMatches.industry['.block-feature__eyebrow']).toBe(1);
+    expect(selectorMatches.companyLogo['(none)']).toBeGreaterThan(0);
+  });
+
+  test('returns no stories for an empty listing', async ({ page }) => {
+    await page.setContent(loadFixture('listing-empty.html'));
+
+    const { stories } = await page.evaluate(extractStoryCards, { pageNum: 1, selectors });
+
+    expect(stories).toEqual([]);
+  });
+});
+
+test.describe('Pagination detection', () => {
+
+  test('detects a single page from the hidden container and matching show values', async ({ page }) => {
+    await page.setContent(loadFixture('listing-single-page.html'));
+
+    const info = await page.evaluate(detectPagination, selectors);
+
+    expect(info).toMatchObject({ singlePage: true, hasNext: false, totalResults: 2 });
+    expect(info.reason).toBe('pagination hidden and all results shown');
+  });
+
+  test('does not treat a hidden container as a single page when results are missing', async ({ page }) => {
+    await page.setContent(paginationPage({
+      container: 'd-none',
+      showValue: '12',
+      showTotal: '30',
+      announcement: 'Page 1 of 3'
+    }));
+
+    const info = await page.evaluate(detectPagination, selectors);
+
+    expect(info).toMatchObject({ singlePage: false, hasNext: true, totalPages: 3 });
+    expect(info.reason).toBe('pagination announcement');
+  });
+
+  test('reads page numbers from the pagination announcement', async ({ page }) => {
+    await page.setContent(loadFixture('listing-page-2.html'));
+
+    const info = await page.evaluate(detectPagination, selectors);
+
+    expect(info).toMatchObject({ currentPage: 2, totalPages: 2, hasNext: false, reason: 'pagination announcement' });
+  });
+
+  test('falls back to the next button state', async ({ page }) => {
+    await page.setContent(paginationPage({ nextButton: '<a id="right-arrow" href="#">Next</a>' }));
+    expect(await page.evaluate(detectPagination, selectors)).toMatchObject({ hasNext: true, reason: 'next button state' });
+
+    await page.setContent(paginationPage({ nextButton: '<a id="right-arrow" class="disabled" href="#">Next</a>' }));
+    expect(await page.evaluate(detectPagination, selectors)).toMatchObject({ hasNext: false });
+
+    await page.setContent(paginationPage({ nextButton: '<a id="right-arrow" aria-disabled="true" href="#">Next</a>' }));
+    expect(await page.evaluate(detectPagination, selectors)).toMatchObject({ hasNext: false });
+
+    await page.setContent(paginationPage({}));
+    expect(await page.evaluate(detectPagination, selectors)).toMatchObject({ hasNext: false });
+  });
+
+  test('decides whether to continue to the next page', () => {
+    expect(resolveNextPage({ singlePage: true }, 1).hasNext).toBe(false);
+    expect(resolveNextPage({ totalPages: 3, hasNext: true }, 3).hasNext).toBe(false);
+    expect(resolveNextPage({ totalPages: 3, hasNext: true }, 2).hasNext).toBe(true);
+    expect(resolveNextPage({ totalPages: null, hasNext: false }, 1).hasNext).toBe(false);
+    expect(resolveNextPage({ totalPages: null, hasNext: true }, 1).hasNext).toBe(true);
+  });
+});
@@ -0,0 +1,88 @@
+const { test, expect } = require('@playwright/test');
+
+const { toLocaleUrl, resolveLocales, combineLocaleStories } = require('../lib/locales');
+const { mergeStories } = require('../lib/history');
+
+test.describe('Locales', () => {
+  test('points search URLs at another locale', () => {
+    const url = 'https://www.microsoft.com/en-us/customers/search/?filters=region%3Aasia%2Fhong-kong-sar&sortBy=PublishedDate+Desc';
+
+    expect(toLocaleUrl(url, 'zh-hk'))
+      .toBe('https://www.microsoft.com/zh-hk/customers/search/?filters=region%3Aasia%2Fhong-kong-sar&sortBy=PublishedDate+Desc');
+    expect(toLocaleUrl('https://www.microsoft.com/customers/search/', 'zh-tw'))
+      .toBe('https://www.microsoft.com/zh-tw/customers/search/');
+  });
+
+  test('resolves configured locales and the ones chosen on the command line', () => {
+    const extraction = { locales: ['en-us', { code: 'ZH-HK', label: '繁體中文（香港）' }] };
+
+    expect(resolveLocales({})).toEqual([]);
+    expect(resolveLocales(extraction)).toEqual([
+      { code: 'en-us', label: 'en-us' },
+      { code: 'zh-hk', label: '繁體中文（香港）' }
+    ]);
+    expect(resolveLocales(extraction, ['zh-hk', 'ja'])).toEqual([
+      { code: 'zh-hk', label: '繁體中文（香港）' },
+      { code: 'ja', label: 'ja' }
+    ]);
+    expect(() => resolveLocales({ locales: ['english'] })).toThrow('Locale codes must look like');
+    expect(() => resolveLocales(extraction, ['en-us', 'EN-US'])).toThrow('Duplicate locale "en-us"');
+  });
+
+  test('links the translations of a story into one record', () => {
+    const story = (globalId, locale, title, industry, products) => ({
+      globalId,
+      title,
+      industry,
+      storyUrl: `https://www.microsoft.com/${locale}/customers/story/${globalId}-story`,
+      microsoftProducts: products.map(name => ({ name, icon: `https://example.com/${globalId}.png` }))
+    });
+
+    const stories = combineLocaleStories([
+      { locale: 'en-us', stories: [story('1001', 'en', 'Contoso builds an AI assistant', 'Financial Services', ['Azure OpenAI'])] },
+      {
+        locale: 'zh-hk',
+        stories: [
+          story('1001', 'zh-hk', 'Contoso 打造 AI 助理', '金融服務', ['Azure OpenAI 服務']),
+          story('1005', 'zh-hk', '只有中文版的故事', '零售', [])
+        ]
+      }
+    ]);
+
+    expect(stories.map(item => item.globalId)).toEqual(['1001', '1005']);
+    expect(stories[0].title).toBe('Contoso builds an AI assistant');
+    expect(stories[0].locales).toEqual({
+      'en-us': {
+        title: 'Contoso builds an AI assistant',
+        industry: 'Financial Services',
+        products: ['Azure OpenAI'],
+        storyUrl: 'https://www.microsoft.com/en/customers/story/1001-story'
+      },
+      'zh-hk': {
+        title: 'Contoso 打造 AI 助理',
+        industry: '金融服務',
+        products: ['Azure OpenAI 服務'],
+        storyUrl: 'https://www.microsoft.com/zh-hk/customers/story/1001-story'
+      }
+    });
+    expect(stories[1]).toMatchObject({ title: '只有中文版的故事', locales: { 'zh-hk': { industry: '零售' } } });
+    expect(Object.keys(stories[1].locales)).toEqual(['zh-hk']);
+  });
+
+  test('keeps translations that a later run did not see', () => {
+    const translation = title => ({ title, industry: '', products: [], storyUrl: 'https://www.microsoft.com/zh-tw/customers/story/1001-story' });
+    const current = {
+      globalId: '1001',
+      title: 'Contoso builds an AI assistant',
+      storyUrl: 'https://www.microsoft.com/en/customers/story/1001-story',
+      microsoftProducts: []
+    };
+    const [previous] = mergeStories([], [{ ...current, locales: { 'en-us': translation('Contoso'), 'zh-tw': translation('舊標題') } }], '2025-09-01T00:00:00.000Z').stories;
+
+    const { stories, unchangedIds } = mergeStories([previous], [{ ...current, locales: { 'en-us': translation('Contoso (updated)') } }], '2025-10-01T00:00:00.000Z');
+
+    expect(unchangedIds.has('1001')).toBe(true);
+    expect(stories[0].locales['en-us'].title).toBe('Contoso (updated)');
+    expect(stories[0].locales['zh-tw'].title).toBe('舊標題');
+  });
+});
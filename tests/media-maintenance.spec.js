@@ -0,0 +1,142 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { collectMediaReferences, checkMedia, pruneOrphans, clearRemovedStoryMedia, refetchMedia } = require('../lib/media-maintenance');
+const { PNG_BYTES, startFixtureServer } = require('./helpers/fixture-server');
+
+test.describe('Media maintenance', () => {
+  let server;
+  let tempDir;
+  let mediaDir;
+
+  const buildStories = () => [{
+    globalId: '1001',
+    company: { logo: `${server.origin}/images/logo.png`, logoLocal: 'media/1001_logo.png' },
+    media: { headerImage: `${server.origin}/images/header.png`, headerImageLocal: 'media/1001_header.png' },
+    microsoftProducts: [
+      { name: 'Azure', icon: `${server.origin}/images/azure.png`, iconLocal: 'media/1001_product_azure.png' },
+      'Power BI'
+    ]
+  }];
+
+  test.beforeAll(async () => {
+    server = await startFixtureServer();
+  });
+
+  test.afterAll(async () => {
+    await server.close();
+  });
+
+  test.beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'customer-stories-'));
+    mediaDir = path.join(tempDir, 'media');
+    fs.mkdirSync(mediaDir);
+    fs.writeFileSync(path.join(mediaDir, '1001_logo.png'), PNG_BYTES);
+    fs.writeFileSync(path.join(mediaDir, '1001_header.png'), Buffer.alloc(0));
+    fs.writeFileSync(path.join(mediaDir, '0042_logo.png'), PNG_BYTES);
+    fs.writeFileSync(path.join(mediaDir, 'manifest.json'), JSON.stringify({ version: 1, assets: {} }));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('collects original and variant paths', () => {
+    const stories = buildStories();
+    stories[0].company.logoVariants = [{ name: 'thumb', path: 'media/1001_logo_thumb.png', webpPath: 'media/1001_logo_thumb.webp' }];
+
+    expect(collectMediaReferences(stories).map(reference => reference.path)).toEqual([
+      'media/1001_logo.png',
+      'media/1001_logo_thumb.png',
+      'media/1001_logo_thumb.webp',
+      'media/1001_header.png',
+      'media/1001_product_azure.png'
+    ]);
+  });
+
+  test('reports missing, empty, unreadable and orphaned files', async () => {
+    fs.writeFileSync(path.join(mediaDir, '1001_product_azure.png'), '<html>Access denied</html>');
+
+    const report = await checkMedia(buildStories(), { rootDir: tempDir, mediaDir });
+
+    expect(report.missing).toEqual([]);
+    expect(report.empty.map(reference => reference.path)).toEqual(['media/1001_header.png']);
+    expect(report.corrupt.map(reference => reference.path)).toEqual(['media/1001_product_azure.png']);
+    expect(report.orphaned).toEqual(['0042_logo.png']);
+    expect(report.files).toBe(5);
+  });
+
+  test('treats the images of removed stories as orphaned', async () => {
+    const stories = [
+      ...buildStories(),
+      { globalId: '0042', status: 'removed', company: { logo: `${server.origin}/images/old.png`, logoLocal: 'media/0042_logo.png' }, microsoftProducts: [] }
+    ];
+
+    expect(collectMediaReferences(stories).map(reference => reference.globalId)).not.toContain('0042');
+    const report = await checkMedia(stories, { rootDir: tempDir, mediaDir });
+    expect(report.orphaned).toEqual(['0042_logo.png']);
+  });
+
+  test('drops the pruned image paths of removed stories', async () => {
+    const removed = {
+      globalId: '0042',
+      status: 'removed',
+      company: {
+        logo: `${server.origin}/images/old.png`,
+        logoLocal: 'media/0042_logo.png',
+        logoWidth: 1,
+        logoVariants: [{ name: 'thumb', path: 'media/0042_logo_thumb.png' }]
+      },
+      microsoftProducts: [{ name: 'Azure', icon: `${server.origin}/images/azure.png`, iconLocal: 'media/1001_product_azure.png' }]
+    };
+    const stories = [...buildStories(), removed];
+    fs.writeFileSync(path.join(mediaDir, '1001_product_azure.png'), PNG_BYTES);
+    const { orphaned } = await checkMedia(stories, { rootDir: tempDir, mediaDir });
+
+    pruneOrphans(orphaned, { mediaDir });
+    expect(clearRemovedStoryMedia(stories, tempDir)).toBe(1);
+
+    expect(removed.company).toEqual({ logo: `${server.origin}/images/old.png` });
+    // Still on disk, as an active story shares the file
+    expect(removed.microsoftProducts[0].iconLocal).toBe('media/1001_product_azure.png');
+    expect(stories[0].company.logoLocal).toBe('media/1001_logo.png');
+
+    const report = await checkMedia(stories, { rootDir: tempDir, mediaDir });
+    expect(report.missing).toEqual([]);
+    expect(report.orphaned).toEqual([]);
+  });
+
+  test('prunes orphans unless it is a dry run', async () => {
+    const { orphaned } = await checkMedia(buildStories(), { rootDir: tempDir, mediaDir });
+
+    expect(pruneOrphans(orphaned, { mediaDir, dryRun: true })).toBe(PNG_BYTES.length);
+    expect(fs.existsSync(path.join(mediaDir, '0042_logo.png'))).toBe(true);
+
+    pruneOrphans(orphaned, { mediaDir });
+    expect(fs.existsSync(path.join(mediaDir, '0042_logo.png'))).toBe(false);
+    expect(fs.existsSync(path.join(mediaDir, 'manifest.json'))).toBe(true);
+  });
+
+  test('refetches broken images from their original URLs', async () => {
+    const stories = buildStories();
+    const report = await checkMedia(stories, { rootDir: tempDir, mediaDir });
+    expect(report.missing.map(reference => reference.path)).toEqual(['media/1001_product_azure.png']);
+
+    await refetchMedia(stories, report, { rootDir: tempDir, mediaDir, dryRun: true });
+    expect(fs.statSync(path.join(mediaDir, '1001_header.png')).size).toBe(0);
+
+    const { fetched, failed } = await refetchMedia(stories, report, {
+      rootDir: tempDir,
+      mediaDir,
+      imageVariants: { enabled: false }
+    });
+
+    expect({ fetched, failed }).toEqual({ fetched: 2, failed: [] });
+    // Identical images are stored once, so the local paths may now point at a shared file
+    expect(fs.readFileSync(path.join(tempDir, stories[0].media.headerImageLocal))).toEqual(PNG_BYTES);
+    const after = await checkMedia(stories, { rootDir: tempDir, mediaDir });
+    expect(after.missing.length + after.empty.length + after.corrupt.length).toBe(0);
+  });
+});
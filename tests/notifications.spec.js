@@ -0,0 +1,246 @@
+const { test, expect } = require('@playwright/test');
+const http = require('http');
+const net = require('net');
+
+const { renderTemplate, buildNotificationContext, sendNotifications } = require('../lib/notifications');
+const { buildMessage } = require('../lib/smtp');
+
+/**
+ * Start an HTTP server that records every request body
+ * @returns {Promise<{url: string, requests: Array<object>, close: Function}>} - Running server
+ */
+async function startWebhookServer() {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      requests.push({ path: request.url, headers: request.headers, body });
+      response.writeHead(request.url === '/fail' ? 500 : 200);
+      response.end(request.url === '/fail' ? 'broken' : 'ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Start an SMTP server that accepts every message and records the session
+ * @returns {Promise<{port: number, sessions: Array<object>, close: Function}>} - Running server
+ */
+async function startSmtpServer() {
+  const sessions = [];
+  const server = net.createServer(socket => {
+    const session = { commands: [], data: '' };
+    sessions.push(session);
+    let buffer = '';
+    let inData = false;
+    socket.setEncoding('utf8');
+    socket.write('220 mock ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            session.data += `${line}\r\n`;
+          }
+          continue;
+        }
+        session.commands.push(line);
+        if (line.startsWith('EHLO')) {
+          socket.write('250-mock\r\n250 AUTH PLAIN LOGIN\r\n');
+        } else if (line.startsWith('AUTH PLAIN')) {
+          socket.write('235 ok\r\n');
+        } else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    sessions,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test.describe('Notifications', () => {
+  const buildContext = (outcome = 'success') => buildNotificationContext({
+    outcome,
+    exitCode: outcome === 'success' ? 0 : 4,
+    runDate: '2025-11-01T07:00:00.000Z',
+    results: { metadata: { totalStories: 3, storiesPerPage: { 1: 2, 2: 1 } } },
+    report: {
+      added: [{ globalId: '1001', title: 'Contoso <Bank>', industry: 'Financial Services', storyUrl: 'https://www.microsoft.com/en/customers/story/1001', products: ['Azure OpenAI'] }],
+      restored: [],
+      removed: [{ globalId: '1002', title: 'Fabrikam University', storyUrl: 'https://www.microsoft.com/en/customers/story/1002', products: [] }],
+      updated: []
+    },
+    summary: { failedPages: [], failedStoryPages: [], failedAssets: outcome === 'success' ? [] : [{ globalId: '1001' }] },
+    maxStories: 20
+  });
+
+  test('renders values, lists and conditional sections', () => {
+    const template = [
+      'Run {{status}} with {{totalStories}} stories',
+      '{{#newStories}}',
+      '+ {{title}} ({{industry}})',
+      '{{/newStories}}',
+      '{{^removedStories}}',
+      'Nothing removed',
+      '{{/removedStories}}',
+      '{{#failedPageCount}}',
+      '{{failedPageCount}} failed',
+      '{{/failedPageCount}}'
+    ].join('\n');
+
+    expect(renderTemplate(template, buildContext())).toBe('Run succeeded with 3 stories\n+ Contoso <Bank> (Financial Services)\n');
+    expect(renderTemplate(template, buildContext('partial'), value => value.toUpperCase()))
+      .toBe('Run COMPLETED WITH FAILURES with 3 stories\n+ CONTOSO <BANK> (FINANCIAL SERVICES)\n1 failed\n');
+    expect(() => renderTemplate('{{#newStories}}open', {})).toThrow('Unclosed {{#newStories}} in template');
+  });
+
+  test('collects the outcome, counts and new and removed stories', () => {
+    const context = buildContext();
+
+    expect(context).toMatchObject({
+      outcome: 'success',
+      status: 'succeeded',
+      totalStories: 3,
+      storiesPerPage: { 1: 2, 2: 1 },
+      pages: [{ page: 1, stories: 2 }, { page: 2, stories: 1 }],
+      newCount: 1,
+      removedCount: 1,
+      newStories: [{ globalId: '1001', title: 'Contoso <Bank>', products: 'Azure OpenAI' }],
+      removedStories: [{ globalId: '1002' }],
+      moreNewStories: 0
+    });
+
+    const failed = buildNotificationContext({ outcome: 'failure', exitCode: 1, runDate: '2025-11-01T07:00:00.000Z', error: new Error('No stories found') });
+    expect(failed).toMatchObject({ status: 'failed', error: 'No stories found', totalStories: null, newStories: [] });
+  });
+
+  test('posts the webhook, Slack and Teams payloads', async () => {
+    const server = await startWebhookServer();
+    try {
+      const results = await sendNotifications({
+        channels: [
+          { name: 'webhook', type: 'webhook', url: `${server.url}/webhook`, headers: { 'X-Token': 'secret' } },
+          { name: 'slack', type: 'slack', url: `${server.url}/slack` },
+          { name: 'teams', type: 'teams', url: `${server.url}/teams`, on: ['failure'] },
+          { name: 'custom', type: 'webhook', url: `${server.url}/custom`, template: '{"message": "{{newStories.0.title}} is new"}' },
+          { name: 'broken', type: 'slack', url: `${server.url}/fail` }
+        ]
+      }, buildContext());
+
+      expect(results).toEqual([
+        { channel: 'webhook', status: 'sent' },
+        { channel: 'slack', status: 'sent' },
+        { channel: 'teams', status: 'skipped' },
+        { channel: 'custom', status: 'sent' },
+        { channel: 'broken', status: 'failed', error: 'HTTP 500: broken' }
+      ]);
+
+      const [webhook, slack, custom] = server.requests;
+      expect(webhook.headers['x-token']).toBe('secret');
+      expect(JSON.parse(webhook.body)).toMatchObject({ event: 'extraction.completed', outcome: 'success', totalStories: 3, newCount: 1 });
+      expect(JSON.parse(slack.body).text).toContain('• <https://www.microsoft.com/en/customers/story/1001|Contoso &lt;Bank&gt;> (Financial Services)');
+      expect(JSON.parse(custom.body)).toEqual({ message: 'Contoso <Bank> is new' });
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('fills in settings from the environment and skips channels whose variables are not set', async () => {
+    const server = await startWebhookServer();
+    process.env.TEST_NOTIFY_URL = `${server.url}/from-env`;
+    try {
+      const results = await sendNotifications({
+        channels: [
+          { name: 'from-env', type: 'webhook', url: '${TEST_NOTIFY_URL}' },
+          { name: 'unset', type: 'webhook', url: '${TEST_NOTIFY_UNSET_URL}' }
+        ]
+      }, buildContext());
+
+      expect(results).toEqual([{ channel: 'from-env', status: 'sent' }, { channel: 'unset', status: 'skipped' }]);
+      expect(server.requests.map(request => request.path)).toEqual(['/from-env']);
+    } finally {
+      delete process.env.TEST_NOTIFY_URL;
+      await server.close();
+    }
+  });
+
+  test('sends email over SMTP', async () => {
+    const server = await startSmtpServer();
+    try {
+      const results = await sendNotifications({
+        subject: 'Stories {{status}}: {{newCount}} new',
+        channels: [{
+          name: 'email',
+          type: 'email',
+          smtp: { host: '127.0.0.1', port: server.port, username: 'bot', password: 'pa55' },
+          from: 'bot@example.com',
+          to: ['sales@example.com, ops@example.com']
+        }]
+      }, buildContext());
+
+      expect(results).toEqual([{ channel: 'email', status: 'sent' }]);
+      const [session] = server.sessions;
+      expect(session.commands).toContain(`AUTH PLAIN ${Buffer.from('\0bot\0pa55').toString('base64')}`);
+      expect(session.commands).toContain('MAIL FROM:<bot@example.com>');
+      expect(session.commands).toContain('RCPT TO:<ops@example.com>');
+      expect(session.data).toContain('Subject: Stories succeeded: 1 new');
+      const body = Buffer.from(session.data.split('\r\n\r\n')[1].replace(/\r\n/g, ''), 'base64').toString('utf8');
+      expect(body).toContain('- Contoso <Bank> (Financial Services) https://www.microsoft.com/en/customers/story/1001');
+      expect(body).toContain('- Fabrikam University https://www.microsoft.com/en/customers/story/1002');
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('prints the payloads in a dry run without sending them', async () => {
+    const logged = [];
+    const log = console.log;
+    console.log = (...args) => logged.push(args.join(' '));
+    try {
+      const results = await sendNotifications({
+        channels: [{ name: 'slack', type: 'slack', url: '${TEST_NOTIFY_UNSET_URL}' }]
+      }, buildContext(), { dryRun: true });
+
+      expect(results).toEqual([{ channel: 'slack', status: 'dry-run' }]);
+    } finally {
+      console.log = log;
+    }
+    expect(logged.join('\n')).toContain('POST ${TEST_NOTIFY_UNSET_URL}');
+    expect(logged.join('\n')).toContain('*Customer stories extraction succeeded*');
+  });
+
+  test('rejects unknown channel names', async () => {
+    await expect(sendNotifications({ channels: [{ name: 'slack', type: 'slack', url: 'https://example.com' }] }, buildContext(), { channels: ['nope'] }))
+      .rejects.toThrow('Unknown notification channel(s): nope');
+  });
+
+  test('encodes non-ASCII subjects in email headers', () => {
+    const message = buildMessage({ from: 'bot@example.com', to: ['a@example.com'], subject: '新故事', text: 'Hello' });
+    expect(message).toContain(`Subject: =?UTF-8?B?${Buffer.from('新故事').toString('base64')}?=`);
+    expect(message).toContain('Content-Transfer-Encoding: base64');
+  });
+});
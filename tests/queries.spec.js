@@ -0,0 +1,99 @@
+const { test, expect } = require('@playwright/test');
+
+const { buildSearchUrl } = require('../lib/config');
+const { resolveQueries, combineQueryStories, isPartialRun, scopePreviousStories } = require('../lib/queries');
+
+const extraction = {
+  baseUrl: 'https://www.microsoft.com/en-us/customers/search/',
+  pagination: { maxPages: 10 },
+  queries: [
+    {
+      name: 'hong-kong-ai',
+      filters: { businessNeed: 'artificial-intelligence', region: 'asia/hong-kong-sar', sortBy: 'PublishedDate+Desc' }
+    },
+    { name: 'financial-services', label: 'Financial Services', filters: { industries: 'financial-services' }, maxPages: 3 }
+  ]
+};
+
+test.describe('Saved queries', () => {
+
+  test('builds search URLs from filters', () => {
+    expect(buildSearchUrl({ baseUrl: extraction.baseUrl, filters: extraction.queries[0].filters })).toBe(
+      'https://www.microsoft.com/en-us/customers/search/?filters=business-need%3Aartificial-intelligence%2Cregion%3Aasia%2Fhong-kong-sar&sortBy=PublishedDate+Desc'
+    );
+    expect(buildSearchUrl({ baseUrl: extraction.baseUrl, filters: { region: ['asia/china', 'asia/india'] } })).toBe(
+      'https://www.microsoft.com/en-us/customers/search/?filters=region%3Aasia%2Fchina%2Cregion%3Aasia%2Findia'
+    );
+  });
+
+  test('resolves configured queries, a subset, or an explicit URL', () => {
+    const queries = resolveQueries(extraction);
+    expect(queries.map(query => [query.name, query.label, query.maxPages])).toEqual([
+      ['hong-kong-ai', 'hong-kong-ai', 10],
+      ['financial-services', 'Financial Services', 3]
+    ]);
+
+    expect(resolveQueries(extraction, { names: ['financial-services'] }).map(query => query.name))
+      .toEqual(['financial-services']);
+    expect(() => resolveQueries(extraction, { names: ['unknown'] })).toThrow('Unknown query name(s): unknown');
+
+    expect(resolveQueries(extraction, { url: 'https://example.com/search' })).toEqual([
+      { name: 'custom', label: 'Custom search', url: 'https://example.com/search', maxPages: 10 }
+    ]);
+  });
+
+  test('falls back to a default query built from extraction.filters', () => {
+    const queries = resolveQueries({ baseUrl: extraction.baseUrl, filters: { businessNeed: 'security' } });
+    expect(queries).toHaveLength(1);
+    expect(queries[0].name).toBe('default');
+    expect(queries[0].url).toBe('https://www.microsoft.com/en-us/customers/search/?filters=business-need%3Asecurity');
+  });
+
+  test('de-duplicates stories found by several queries and tags them', () => {
+    const stories = combineQueryStories([
+      { query: { name: 'a' }, stories: [{ globalId: '1', page: 1 }, { globalId: '2', page: 1 }] },
+      { query: { name: 'b' }, stories: [{ globalId: '2', page: 3 }, { globalId: '3', page: 1 }] }
+    ]);
+
+    expect(stories).toEqual([
+      { globalId: '1', page: 1, queries: ['a'] },
+      { globalId: '2', page: 1, queries: ['a', 'b'] },
+      { globalId: '3', page: 1, queries: ['b'] }
+    ]);
+  });
+
+  test('keeps stories of queries outside a partial run out of scope', () => {
+    const current = [{ globalId: '2', queries: ['a'] }];
+    const { inScope, outOfScope } = scopePreviousStories([
+      { globalId: '1', queries: ['b'] },
+      { globalId: '2', queries: ['a', 'b'] },
+      { globalId: '3', queries: ['a'] },
+      { globalId: '4' }
+    ], current, ['a']);
+
+    expect(outOfScope.map(story => story.globalId)).toEqual(['1']);
+    expect(inScope.map(story => story.globalId)).toEqual(['2', '3', '4']);
+    expect(current[0].queries).toEqual(['a', 'b']);
+  });
+
+  test('scopes a custom URL run like a run of some queries', () => {
+    const extraction = { baseUrl: 'https://www.microsoft.com/en-us/customers/search/', queries: [{ name: 'a' }, { name: 'b' }] };
+    const custom = resolveQueries(extraction, { url: 'https://www.microsoft.com/en-us/customers/search/?q=copilot' });
+
+    expect(isPartialRun(custom, ['custom'])).toBe(true);
+    expect(isPartialRun(resolveQueries(extraction), ['a', 'b'])).toBe(false);
+    expect(isPartialRun(resolveQueries(extraction), ['a'])).toBe(true);
+    expect(isPartialRun(resolveQueries(extraction, { names: ['a'] }), ['a'], ['a'])).toBe(true);
+
+    const current = [{ globalId: '3', queries: ['custom'] }];
+    const { inScope, outOfScope } = scopePreviousStories([
+      { globalId: '1', queries: ['a'] },
+      { globalId: '2', queries: ['b'] },
+      { globalId: '3', queries: ['a'] }
+    ], current, ['custom']);
+
+    expect(outOfScope.map(story => story.globalId)).toEqual(['1', '2']);
+    expect(inScope.map(story => story.globalId)).toEqual(['3']);
+    expect(current[0].queries).toEqual(['custom', 'a']);
+  });
+});
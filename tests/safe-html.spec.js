@@ -0,0 +1,33 @@
+const { test, expect } = require('@playwright/test');
+
+const { escapeHtml, safeStoryUrl, safeLocalPath, findRelatedStories } = require('../safe-html');
+
+test.describe('Shared page helpers', () => {
+  test('escapes text and allows only Microsoft story links', () => {
+    expect(escapeHtml('<a href="x">Tom & Jerry\'s</a>')).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    expect(escapeHtml(null)).toBe('');
+    expect(safeStoryUrl('https://www.microsoft.com/en/customers/story/1001')).toBe('https://www.microsoft.com/en/customers/story/1001');
+    expect(safeStoryUrl('javascript:alert(1)')).toBeNull();
+    expect(safeStoryUrl('https://microsoft.com.example.com/story')).toBeNull();
+  });
+
+  test('accepts only relative paths inside the site', () => {
+    expect(safeLocalPath('media/1001_logo.jpg')).toBe('media/1001_logo.jpg');
+    ['/etc/passwd', '../secrets.json', 'media/../../x.jpg', 'https://example.com/a.jpg', 'media/a b.jpg', null].forEach(value => {
+      expect(safeLocalPath(value)).toBeNull();
+    });
+  });
+
+  test('ranks related stories by shared products, then industry', () => {
+    const story = { globalId: '1', industry: 'Retail', microsoftProducts: [{ name: 'Azure OpenAI' }, 'Power BI'] };
+    const stories = [
+      story,
+      { globalId: '2', industry: 'Retail' },
+      { globalId: '3', industry: 'Education', microsoftProducts: ['Azure OpenAI', { name: 'Power BI' }] },
+      { globalId: '4', industry: 'Education', microsoftProducts: ['Dynamics 365'] },
+      ...['5', '6', '7'].map(globalId => ({ globalId, industry: 'Retail', microsoftProducts: ['Power BI'] }))
+    ];
+
+    expect(findRelatedStories(story, stories).map(related => related.globalId)).toEqual(['3', '5', '6', '7']);
+  });
+});
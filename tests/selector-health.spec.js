@@ -0,0 +1,91 @@
+const { test, expect } = require('@playwright/test');
+
+const { addSelectorMatches, computeFillRates, buildSelectorHealthReport } = require('../lib/selector-health');
+
+test.describe('Selector health', () => {
+  const selectors = {
+    title: ['.story-card__title', 'h3'],
+    industry: '.story-card__industry',
+    storyLink: 'a.story-card__link',
+    companyLogo: ['img.logo', 'img[alt*="logo"]'],
+    headerImage: 'img.header',
+    products: '.story-card__products li'
+  };
+
+  const buildStory = (globalId, overrides = {}) => ({
+    globalId,
+    title: `Story ${globalId}`,
+    industry: 'Financial Services',
+    storyUrl: `https://www.microsoft.com/en/customers/story/${globalId}`,
+    company: { logo: 'https://cdn.example.com/logo.png' },
+    media: { headerImage: 'https://cdn.example.com/header.jpg' },
+    microsoftProducts: [{ name: 'Azure OpenAI' }],
+    ...overrides
+  });
+
+  test('adds up selector matches across pages', () => {
+    const totals = {};
+    addSelectorMatches(totals, { title: { '.story-card__title': 2 }, companyLogo: { 'img.logo': 1, '(none)': 1 } });
+    addSelectorMatches(totals, { title: { '.story-card__title': 1, h3: 1 } });
+
+    expect(totals).toEqual({
+      title: { '.story-card__title': 3, h3: 1 },
+      companyLogo: { 'img.logo': 1, '(none)': 1 }
+    });
+  });
+
+  test('measures the share of stories with each field', () => {
+    expect(computeFillRates([])).toEqual({});
+    expect(computeFillRates([
+      buildStory('1001'),
+      buildStory('1002', { industry: '', company: {}, microsoftProducts: [] }),
+      buildStory('1003', { media: undefined })
+    ])).toEqual({ title: 1, industry: 0.667, storyLink: 1, companyLogo: 0.667, headerImage: 0.667, products: 0.667 });
+  });
+
+  test('flags fields whose fill rate dropped or that needed a fallback selector', () => {
+    const previousStories = Array.from({ length: 10 }, (value, index) => buildStory(String(1001 + index)));
+    const stories = previousStories.map((story, index) => (index < 5 ? { ...story, industry: '' } : story));
+
+    const report = buildSelectorHealthReport({
+      stories,
+      previousStories,
+      selectorMatches: {
+        title: { '.story-card__title': 8, h3: 2 },
+        industry: { '.story-card__industry': 5, '(none)': 5 },
+        companyLogo: { 'img.logo': 10 }
+      },
+      selectors,
+      maxFillRateDrop: 0.1
+    });
+
+    expect(report).toMatchObject({ totalStories: 10, previousStories: 10, healthy: false, flagged: ['title', 'industry'] });
+    expect(report.fields.title).toMatchObject({
+      candidates: ['.story-card__title', 'h3'],
+      fillRate: 1,
+      usedFallback: true,
+      warnings: ['2 match(es) only through fallback selectors']
+    });
+    expect(report.fields.industry).toMatchObject({
+      candidates: ['.story-card__industry'],
+      fillRate: 0.5,
+      previousFillRate: 1,
+      usedFallback: false,
+      warnings: ['fill rate dropped from 1 to 0.5']
+    });
+    expect(report.fields.products).toMatchObject({ matches: {}, fillRate: 1, warnings: [] });
+  });
+
+  test('is healthy on a first run and within the tolerated drop', () => {
+    const stories = [buildStory('1001'), buildStory('1002'), buildStory('1003'), buildStory('1004', { industry: '' })];
+    const matches = { title: { '.story-card__title': 4 } };
+
+    const firstRun = buildSelectorHealthReport({ stories, previousStories: [], selectorMatches: matches, selectors });
+    expect(firstRun.healthy).toBe(true);
+    expect(firstRun.fields.industry).toMatchObject({ fillRate: 0.75, previousFillRate: null });
+
+    const previousStories = stories.map(story => buildStory(story.globalId));
+    expect(buildSelectorHealthReport({ stories, previousStories, selectorMatches: matches, selectors, maxFillRateDrop: 0.3 }).healthy).toBe(true);
+    expect(buildSelectorHealthReport({ stories, previousStories, selectorMatches: matches, selectors }).flagged).toEqual(['industry']);
+  });
+});
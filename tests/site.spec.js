@@ -0,0 +1,66 @@
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+
+const { toSitePath, buildSiteConfig } = require('../lib/site');
+
+test.describe('Site config', () => {
+  const rootDir = path.resolve('/srv/site');
+  const config = {
+    site: { title: 'Asia AI Customer Stories', subtitle: 'Stories from across Asia' },
+    output: {
+      dataFile: 'microsoft-customer-stories.json',
+      statisticsFile: 'statistics.json',
+      queryDirectory: 'datasets'
+    }
+  };
+
+  test('lists the combined dataset first, then one dataset per query', () => {
+    const site = buildSiteConfig(config, {
+      rootDir,
+      queries: [
+        { name: 'hong-kong-ai', label: 'Hong Kong AI', title: 'Hong Kong AI Customer Stories' },
+        { name: 'asia-ai' }
+      ]
+    });
+
+    expect(site.title).toBe('Asia AI Customer Stories');
+    expect(site.subtitle).toBe('Stories from across Asia');
+    expect(site.datasets).toEqual([
+      { id: 'all', label: 'All stories', file: 'microsoft-customer-stories.json', statistics: 'statistics.json' },
+      { id: 'hong-kong-ai', label: 'Hong Kong AI', file: 'datasets/hong-kong-ai.json', title: 'Hong Kong AI Customer Stories' },
+      { id: 'asia-ai', label: 'asia-ai', file: 'datasets/asia-ai.json' }
+    ]);
+  });
+
+  test('leaves out query datasets when per-query files are disabled', () => {
+    const site = buildSiteConfig({ output: {} }, { rootDir, queries: [{ name: 'hong-kong-ai' }] });
+
+    expect(site.title).toBe('Microsoft Customer Stories');
+    expect(site.datasets.map(dataset => dataset.id)).toEqual(['all']);
+  });
+
+  test('lists the dataset the run wrote instead of output.dataFile', () => {
+    const site = buildSiteConfig({ output: { dataFile: 'microsoft-customer-stories.json' } }, {
+      rootDir,
+      dataFile: path.join(rootDir, 'data', 'stories.json')
+    });
+
+    expect(site.datasets[0]).toMatchObject({ id: 'all', file: 'data/stories.json' });
+  });
+
+  test('leaves out datasets the web app cannot reach', () => {
+    const site = buildSiteConfig({ output: { queryDirectory: '../datasets' } }, {
+      rootDir,
+      queries: [{ name: 'hong-kong-ai' }]
+    });
+
+    expect(site.datasets.map(dataset => dataset.id)).toEqual(['all']);
+  });
+
+  test('converts file paths to paths relative to the site root', () => {
+    expect(toSitePath(path.join(rootDir, 'datasets', 'a.json'), rootDir)).toBe('datasets/a.json');
+    expect(toSitePath('statistics.json', rootDir)).toBe('statistics.json');
+    expect(toSitePath('/elsewhere/a.json', rootDir)).toBeNull();
+    expect(toSitePath('.', rootDir)).toBeNull();
+  });
+});
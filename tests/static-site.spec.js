@@ -0,0 +1,191 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { slugify, planPages, readContentSecurityPolicy, renderSitemap, buildStaticSite } = require('../lib/static-site');
+const { PNG_BYTES } = require('./helpers/fixture-server');
+
+test.describe('Static site', () => {
+  let tempDir;
+  let rootDir;
+  let outDir;
+
+  const site = {
+    title: 'Hong Kong AI Customer Stories',
+    subtitle: 'Stories from Hong Kong',
+    datasets: [{ id: 'all', label: 'All stories', file: 'microsoft-customer-stories.json', statistics: 'statistics.json' }]
+  };
+
+  const buildResults = () => ({
+    metadata: { extractionDate: '2025-10-01T07:25:37.608Z' },
+    stories: [
+      {
+        globalId: '1001',
+        slug: 'contoso-bank-azure-openai',
+        title: 'Contoso Bank <script>alert(1)</script> answers faster',
+        industry: 'Financial Services',
+        storyUrl: 'https://www.microsoft.com/en/customers/story/1001-contoso-bank-azure-openai',
+        company: { logoLocal: 'media/1001_logo.png' },
+        media: { headerImageLocal: 'media/1001_header.png', headerImageWidth: 800, headerImageHeight: 400 },
+        microsoftProducts: [{ name: 'Azure OpenAI', iconLocal: 'media/1001_product_azure_openai.png' }, 'Power BI'],
+        details: { sections: [{ heading: 'Challenge', paragraphs: ['Contoso needed faster answers for its customers.'] }] }
+      },
+      {
+        globalId: '1002',
+        title: 'Fabrikam University teaches with Copilot',
+        industry: 'Education',
+        storyUrl: 'javascript:alert(1)',
+        media: { headerImageLocal: '../../etc/passwd' },
+        microsoftProducts: ['Azure OpenAI']
+      },
+      { globalId: '1003', title: 'Removed story', industry: 'Retail', status: 'removed' }
+    ]
+  });
+
+  test.beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'customer-stories-'));
+    rootDir = path.join(tempDir, 'repo');
+    outDir = path.join(tempDir, '_site');
+    fs.mkdirSync(path.join(rootDir, 'media'), { recursive: true });
+    ['index.html', 'safe-html.js', 'script.js', 'styles.css'].forEach(file => {
+      fs.copyFileSync(path.join(__dirname, '..', file), path.join(rootDir, file));
+    });
+    fs.writeFileSync(path.join(rootDir, 'microsoft-customer-stories.json'), JSON.stringify(buildResults()));
+    fs.writeFileSync(path.join(rootDir, 'media', '1001_logo.png'), PNG_BYTES);
+    fs.writeFileSync(path.join(rootDir, 'media', '1001_header.png'), PNG_BYTES);
+    fs.writeFileSync(path.join(rootDir, 'media', 'unused.png'), PNG_BYTES);
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('creates slugs for URLs', () => {
+    expect(slugify('Automotive, Mobility, and Transportation')).toBe('automotive-mobility-and-transportation');
+    expect(slugify('Retail & Consumer Goods')).toBe('retail-and-consumer-goods');
+    expect(slugify('Café Société')).toBe('cafe-societe');
+    expect(slugify('香港')).toBe('');
+  });
+
+  test('gives listing pages unique paths', () => {
+    const { industries, products } = planPages([
+      { globalId: '1', industry: 'Health Care', microsoftProducts: ['Azure'] },
+      { globalId: '2', industry: 'Health-Care', microsoftProducts: ['香港'] }
+    ]);
+
+    expect(industries.map(industry => industry.page)).toEqual(['industries/health-care.html', 'industries/health-care-2.html']);
+    expect(products.map(product => product.page)).toEqual(['products/azure.html', 'products/product-2.html']);
+  });
+
+  test('renders the index, story and listing pages', () => {
+    const summary = buildStaticSite(buildResults(), { rootDir, outDir, site, baseUrl: 'https://example.com/stories' });
+
+    expect(summary).toEqual({ pages: 7, stories: 2, industries: 2, products: 2, files: 6, sitemap: true });
+
+    const index = fs.readFileSync(path.join(outDir, 'index.html'), 'utf8');
+    expect(index).toContain('<title>Hong Kong AI Customer Stories</title>');
+    expect(index).toContain('<meta property="og:url" content="https://example.com/stories/">');
+    expect(index).toContain('href="stories/1001-contoso-bank-azure-openai.html"');
+    expect(index).toContain('href="industries/financial-services.html"');
+    expect(index).toContain('<script src="script.js"></script>');
+    expect(index).not.toContain('Removed story');
+
+    const story = fs.readFileSync(path.join(outDir, 'stories', '1001-contoso-bank-azure-openai.html'), 'utf8');
+    expect(story).toContain('<h1 class="story-detail-title">Contoso Bank &lt;script&gt;alert(1)&lt;/script&gt; answers faster</h1>');
+    expect(story).not.toContain('<script');
+    expect(story).toContain('<meta property="og:type" content="article">');
+    expect(story).toContain('<meta property="og:description" content="Contoso needed faster answers for its customers.">');
+    expect(story).toContain('<meta property="og:image" content="https://example.com/stories/media/1001_header.png">');
+    expect(story).toContain('href="../products/azure-openai.html"');
+    expect(story).toContain('href="https://www.microsoft.com/en/customers/story/1001-contoso-bank-azure-openai"');
+    expect(story).toContain('href="../stories/1002-fabrikam-university-teaches-with-copilot.html"');
+
+    const unsafeStory = fs.readFileSync(path.join(outDir, 'stories', '1002-fabrikam-university-teaches-with-copilot.html'), 'utf8');
+    expect(unsafeStory).not.toContain('javascript:');
+    expect(unsafeStory).not.toContain('passwd');
+
+    const product = fs.readFileSync(path.join(outDir, 'products', 'azure-openai.html'), 'utf8');
+    expect(product).toContain('<h1 class="listing-title">Azure OpenAI customer stories</h1>');
+    expect(product).toContain('2 customer stories');
+    expect(product).toContain('href="../stories/1002-fabrikam-university-teaches-with-copilot.html"');
+  });
+
+  test('gives every page the Content-Security-Policy of index.html', () => {
+    const template = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+    const policy = readContentSecurityPolicy(template);
+    expect(policy).toContain("script-src 'self'");
+
+    buildStaticSite(buildResults(), { rootDir, outDir, site });
+
+    ['index.html', 'stories/1001-contoso-bank-azure-openai.html', 'industries/financial-services.html'].forEach(page => {
+      expect(readContentSecurityPolicy(fs.readFileSync(path.join(outDir, page), 'utf8'))).toBe(policy);
+    });
+    expect(() => readContentSecurityPolicy('<html><head></head></html>')).toThrow('index.html has no Content-Security-Policy meta tag');
+  });
+
+  test('writes a sitemap and copies the files the pages use', () => {
+    buildStaticSite(buildResults(), { rootDir, outDir, site, baseUrl: 'https://example.com/stories/' });
+
+    const sitemap = fs.readFileSync(path.join(outDir, 'sitemap.xml'), 'utf8');
+    expect(sitemap.match(/<loc>/g)).toHaveLength(7);
+    expect(sitemap).toContain('<loc>https://example.com/stories/products/power-bi.html</loc>');
+    expect(sitemap).toContain('<lastmod>2025-10-01</lastmod>');
+    expect(fs.readFileSync(path.join(outDir, 'robots.txt'), 'utf8')).toContain('Sitemap: https://example.com/stories/sitemap.xml');
+
+    expect(fs.existsSync(path.join(outDir, 'microsoft-customer-stories.json'))).toBe(true);
+    expect(fs.existsSync(path.join(outDir, 'media', '1001_logo.png'))).toBe(true);
+    expect(fs.existsSync(path.join(outDir, 'media', 'unused.png'))).toBe(false);
+  });
+
+  test('leaves out absolute URLs without a base URL', () => {
+    const summary = buildStaticSite(buildResults(), { rootDir, outDir, site });
+
+    expect(summary.sitemap).toBe(false);
+    expect(fs.existsSync(path.join(outDir, 'sitemap.xml'))).toBe(false);
+    const story = fs.readFileSync(path.join(outDir, 'stories', '1001-contoso-bank-azure-openai.html'), 'utf8');
+    expect(story).not.toContain('og:url');
+    expect(story).not.toContain('og:image');
+    expect(story).toContain('og:title');
+  });
+
+  test('links the story and listing pages to their feeds', () => {
+    buildStaticSite(buildResults(), {
+      rootDir,
+      outDir,
+      site,
+      feeds: { feedFile: 'feed.xml', jsonFeedFile: 'feed.json', feedDirectory: 'feeds', perIndustry: true, perProduct: false }
+    });
+
+    const story = fs.readFileSync(path.join(outDir, 'stories', '1001-contoso-bank-azure-openai.html'), 'utf8');
+    expect(story).toContain('<link rel="alternate" type="application/atom+xml" title="Hong Kong AI Customer Stories" href="../feed.xml">');
+    expect(story).toContain('<link rel="alternate" type="application/feed+json" title="Hong Kong AI Customer Stories" href="../feed.json">');
+
+    const industry = fs.readFileSync(path.join(outDir, 'industries', 'education.html'), 'utf8');
+    expect(industry).toContain('<link rel="alternate" type="application/atom+xml" title="Education customer stories" href="../feeds/industries/education.xml">');
+    const product = fs.readFileSync(path.join(outDir, 'products', 'power-bi.html'), 'utf8');
+    expect(product).not.toContain('feeds/products');
+    expect(product).toContain('href="../feed.xml"');
+
+    const index = fs.readFileSync(path.join(outDir, 'index.html'), 'utf8');
+    expect(index).toContain('<link rel="alternate" type="application/atom+xml" title="Hong Kong AI Customer Stories" href="feed.xml">');
+  });
+
+  test('does not link feeds the build did not write', () => {
+    buildStaticSite(buildResults(), { rootDir, outDir, site });
+
+    ['index.html', 'stories/1001-contoso-bank-azure-openai.html', 'industries/education.html'].forEach(page => {
+      expect(fs.readFileSync(path.join(outDir, page), 'utf8')).not.toContain('rel="alternate"');
+    });
+  });
+
+  test('refuses to write into the site root', () => {
+    expect(() => buildStaticSite(buildResults(), { rootDir, outDir: tempDir, site }))
+      .toThrow('must not contain the site root');
+    expect(fs.existsSync(path.join(rootDir, 'index.html'))).toBe(true);
+  });
+
+  test('renders sitemap entries without a last modified date', () => {
+    expect(renderSitemap([{ path: '' }], 'https://example.com')).toContain('<url>\n    <loc>https://example.com/</loc>\n  </url>');
+  });
+});
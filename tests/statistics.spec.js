@@ -0,0 +1,73 @@
+const { test, expect } = require('@playwright/test');
+
+const { buildStatistics } = require('../lib/statistics');
+
+test.describe('Statistics', () => {
+  const stories = [
+    {
+      globalId: '1001',
+      industry: 'Financial Services',
+      microsoftProducts: [{ name: 'Azure OpenAI' }, { name: 'Azure AI Foundry' }],
+      queries: ['hong-kong-ai'],
+      firstSeen: '2025-01-15T00:00:00.000Z',
+      details: { publishedDate: '2024-12-02' }
+    },
+    {
+      globalId: '1002',
+      industry: 'Education',
+      microsoftProducts: ['Azure OpenAI', 'Azure AI Foundry', 'Microsoft 365 Copilot'],
+      queries: ['hong-kong-ai', 'asia-ai'],
+      firstSeen: '2025-02-01T00:00:00.000Z'
+    },
+    {
+      globalId: '1003',
+      industry: 'Financial Services',
+      microsoftProducts: [{ name: 'Microsoft 365 Copilot' }],
+      queries: ['asia-ai'],
+      firstSeen: '2025-02-10T00:00:00.000Z',
+      details: { publishedDate: 'not a date' }
+    },
+    {
+      globalId: '1004',
+      status: 'removed',
+      industry: 'Retail',
+      microsoftProducts: [{ name: 'Azure' }],
+      firstSeen: '2024-06-01T00:00:00.000Z'
+    }
+  ];
+
+  test('counts industries, products and product pairs over active stories', () => {
+    const statistics = buildStatistics(stories, { generatedAt: '2025-03-01T00:00:00.000Z' });
+
+    expect(statistics.totalStories).toBe(3);
+    expect(Object.entries(statistics.industries)).toEqual([['Financial Services', 2], ['Education', 1]]);
+    expect(Object.entries(statistics.products)).toEqual([
+      ['Azure AI Foundry', 2],
+      ['Azure OpenAI', 2],
+      ['Microsoft 365 Copilot', 2]
+    ]);
+    expect(statistics.productPairs[0]).toEqual({ products: ['Azure AI Foundry', 'Azure OpenAI'], count: 2 });
+    expect(statistics.productPairs).toHaveLength(3);
+  });
+
+  test('buckets stories per month by publish date and first seen', () => {
+    const statistics = buildStatistics(stories, { generatedAt: '2025-03-01T00:00:00.000Z' });
+
+    expect(statistics.publishedPerMonth).toEqual({ '2024-12': 1 });
+    expect(Object.entries(statistics.firstSeenPerMonth)).toEqual([['2025-01', 1], ['2025-02', 2]]);
+  });
+
+  test('breaks counts down per query', () => {
+    const statistics = buildStatistics(stories, {
+      generatedAt: '2025-03-01T00:00:00.000Z',
+      queries: [{ name: 'hong-kong-ai', label: 'Hong Kong AI' }, { name: 'asia-ai' }]
+    });
+
+    expect(statistics.queries['hong-kong-ai']).toMatchObject({
+      label: 'Hong Kong AI',
+      totalStories: 2,
+      products: { 'Azure OpenAI': 2, 'Azure AI Foundry': 2, 'Microsoft 365 Copilot': 1 }
+    });
+    expect(statistics.queries['asia-ai']).toMatchObject({ label: 'asia-ai', totalStories: 2 });
+  });
+});
@@ -0,0 +1,116 @@
+const { test, expect } = require('@playwright/test');
+
+const { loadConfig } = require('../lib/config');
+const { extractStoryDetails, crawlStoryPages } = require('../lib/story-page');
+
+const config = loadConfig();
+const { storyPage: selectors } = config.selectors;
+
+const STORY_PAGE = `
+  <html>
+    <head><meta property="article:published_time" content="2025-08-15T00:00:00Z"></head>
+    <body>
+      <nav><p>Skip to main content</p></nav>
+      <main>
+        <aside class="story-details">
+          <h3>Customer</h3><p>Contoso Bank</p>
+          <h3>Industry</h3><p>Financial Services</p>
+          <h3>Products and services</h3><ul><li>Azure OpenAI</li><li>Power BI</li><li>Azure OpenAI</li></ul>
+          <h3>Country/region:</h3><p>Hong Kong SAR</p>
+        </aside>
+        <p>Contoso Bank serves two million customers.</p>
+        <h2>Situation</h2>
+        <p>Answers took   days.</p>
+        <blockquote><p>“We answer in minutes now.”</p><cite>Jane Doe, CIO</cite></blockquote>
+        <h2>Solution</h2>
+        <p>An assistant built on Azure OpenAI.</p>
+        <h2>Empty section</h2>
+      </main>
+    </body>
+  </html>`;
+
+/**
+ * Fake Playwright page that returns the given details, failing the first
+ * `failures[url]` visits of each URL
+ * @param {object} failures - Number of failed visits per URL
+ * @returns {object} - Page with the methods `crawlStoryPages` uses and the visited URLs
+ */
+function createFakePage(failures = {}) {
+  const visits = [];
+  let current;
+  return {
+    visits,
+    async goto(url) {
+      visits.push(url);
+      current = url;
+      if (failures[url] > 0) {
+        failures[url]--;
+        throw new Error(`net::ERR_CONNECTION_RESET at ${url}`);
+      }
+    },
+    async waitForSelector() {},
+    async waitForTimeout() {},
+    async evaluate() {
+      return { customerName: `Customer of ${current}`, sections: [], quotes: [] };
+    }
+  };
+}
+
+test.describe('Story pages', () => {
+  const crawlConfig = {
+    ...config,
+    extraction: { ...config.extraction, pagination: { retries: 1, retryDelay: 1, delayBetweenPages: 0 } }
+  };
+
+  test('extracts facts, sections and quotes from a story page', async ({ page }) => {
+    await page.setContent(STORY_PAGE);
+
+    const details = await page.evaluate(extractStoryDetails, selectors);
+
+    expect(details).toEqual({
+      customerName: 'Contoso Bank',
+      publishedDate: '2025-08-15T00:00:00Z',
+      region: 'Hong Kong SAR',
+      organizationSize: null,
+      industry: 'Financial Services',
+      products: ['Azure OpenAI', 'Power BI'],
+      sections: [
+        { heading: '', paragraphs: ['Contoso Bank serves two million customers.'] },
+        { heading: 'Situation', paragraphs: ['Answers took days.'] },
+        { heading: 'Solution', paragraphs: ['An assistant built on Azure OpenAI.'] }
+      ],
+      quotes: [{ text: 'We answer in minutes now.', attribution: 'Jane Doe, CIO' }]
+    });
+  });
+
+  test('attaches details and the customer name to each story', async () => {
+    const stories = [
+      { globalId: '1001', storyUrl: 'https://example.com/1001', company: { logo: 'logo.png' }, detailsError: { message: 'old' } },
+      { globalId: '1002', storyUrl: 'https://example.com/1002' }
+    ];
+    const page = createFakePage({ 'https://example.com/1001': 1 });
+
+    const result = await crawlStoryPages(page, stories, crawlConfig);
+
+    expect(result).toEqual({ crawled: 2, failed: 0, failures: [] });
+    expect(page.visits).toEqual(['https://example.com/1001', 'https://example.com/1001', 'https://example.com/1002']);
+    expect(stories[0].company).toEqual({ logo: 'logo.png', name: 'Customer of https://example.com/1001' });
+    expect(stories[0].detailsError).toBeUndefined();
+    expect(stories[0].details.crawledAt).toBeTruthy();
+  });
+
+  test('records pages that keep failing and keeps earlier details', async () => {
+    const stories = [{ globalId: '1001', storyUrl: 'https://example.com/1001', details: { sections: [], crawledAt: '2025-09-01T07:00:00.000Z' } }];
+    const page = createFakePage({ 'https://example.com/1001': 5 });
+
+    const result = await crawlStoryPages(page, stories, crawlConfig);
+
+    expect(result.failed).toBe(1);
+    expect(result.failures).toEqual([
+      { globalId: '1001', url: 'https://example.com/1001', error: 'net::ERR_CONNECTION_RESET at https://example.com/1001' }
+    ]);
+    expect(page.visits).toHaveLength(2);
+    expect(stories[0].details.crawledAt).toBe('2025-09-01T07:00:00.000Z');
+    expect(stories[0].detailsError.message).toBe('net::ERR_CONNECTION_RESET at https://example.com/1001');
+  });
+});
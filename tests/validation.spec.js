@@ -0,0 +1,97 @@
+const { test, expect } = require('@playwright/test');
+
+const { buildStorySchema, checkStoryUrl, validateResults } = require('../lib/validation');
+
+test.describe('Validation', () => {
+  const dataExtraction = { requiredFields: ['title', 'storyUrl', 'industry'], validateUrls: true, qualityThreshold: 0.9 };
+
+  const buildStory = (globalId, overrides = {}) => ({
+    globalId,
+    title: `Story ${globalId}`,
+    industry: 'Financial Services',
+    storyUrl: `https://www.microsoft.com/en/customers/story/${globalId}`,
+    microsoftProducts: [{ name: 'Azure OpenAI' }],
+    status: 'active',
+    ...overrides
+  });
+
+  const buildStories = count => Array.from({ length: count }, (value, index) => buildStory(String(1001 + index)));
+
+  test('adds the required fields to the schema', () => {
+    const schema = buildStorySchema(['title', 'industry']);
+
+    expect(schema.required).toEqual(['globalId', 'title', 'storyUrl', 'microsoftProducts', 'industry']);
+    expect(schema.properties.industry.minLength).toBe(1);
+  });
+
+  test('accepts only https story URLs on microsoft.com', () => {
+    expect(checkStoryUrl('https://www.microsoft.com/en/customers/story/1001')).toBeNull();
+    expect(checkStoryUrl('https://microsoft.com/en/customers/story/1001')).toBeNull();
+    expect(checkStoryUrl('/en/customers/story/1001')).toBe('storyUrl is not an absolute URL: "/en/customers/story/1001"');
+    expect(checkStoryUrl('http://www.microsoft.com/story')).toBe('storyUrl must use https: "http://www.microsoft.com/story"');
+    expect(checkStoryUrl('https://microsoft.com.example.com/story')).toBe('storyUrl is not on microsoft.com: "https://microsoft.com.example.com/story"');
+  });
+
+  test('reports invalid stories and passes at the quality threshold', () => {
+    const stories = [
+      ...buildStories(9),
+      buildStory('1010', { storyUrl: 'http://www.microsoft.com/en/customers/story/1010', microsoftProducts: [{ name: ' ' }] })
+    ];
+
+    const validation = validateResults({ stories }, dataExtraction);
+    expect(validation).toMatchObject({ totalStories: 10, validStories: 9, invalidStories: 1, duplicates: 0, qualityScore: 0.9, passed: true });
+    expect(validation.issues).toEqual([
+      { globalId: '1010', field: 'microsoftProducts.0.name', message: 'must match pattern "\\S"' },
+      { globalId: '1010', field: 'storyUrl', message: 'storyUrl must use https: "http://www.microsoft.com/en/customers/story/1010"' }
+    ]);
+
+    expect(validateResults({ stories }, { ...dataExtraction, qualityThreshold: 1 }).passed).toBe(false);
+    expect(validateResults({ stories }, { ...dataExtraction, validateUrls: false }).issues).toHaveLength(1);
+    expect(validateResults({ stories: [] }, dataExtraction).passed).toBe(false);
+  });
+
+  test('fails on duplicate IDs and URLs', () => {
+    const stories = [
+      ...buildStories(20),
+      buildStory('1001', { storyUrl: 'https://www.microsoft.com/en/customers/story/1001-copy' }),
+      buildStory('2000', { storyUrl: 'https://www.microsoft.com/en/customers/story/1002' })
+    ];
+
+    const validation = validateResults({ stories }, dataExtraction);
+    expect(validation).toMatchObject({ duplicates: 2, passed: false });
+    expect(validation.issues).toEqual([
+      { globalId: '1001', field: 'globalId', message: 'duplicate of story at index 0' },
+      { globalId: '2000', field: 'storyUrl', message: 'duplicate of story at index 1' }
+    ]);
+  });
+
+  test('scores only active stories', () => {
+    // A broken selector: half the listing disappeared and the stories that were found lost their industry
+    const stories = [
+      ...buildStories(10).map(story => ({ ...story, status: 'removed' })),
+      ...buildStories(20).slice(10).map(story => ({ ...story, industry: '' }))
+    ];
+    const validation = validateResults({ stories }, dataExtraction);
+
+    expect(validation).toMatchObject({ totalStories: 20, activeStories: 10, validStories: 0, invalidStories: 10, qualityScore: 0, passed: false });
+    expect(validation.issues[0]).toEqual({ globalId: '1011', field: 'industry', message: 'must NOT have fewer than 1 characters' });
+  });
+
+  test('fails when the active stories drop sharply since the previous run', () => {
+    const previousStories = buildStories(20);
+    const stories = buildStories(20).map((story, index) => (index < 10 ? { ...story, status: 'removed' } : story));
+
+    const validation = validateResults({ stories }, dataExtraction, { previousStories });
+    expect(validation).toMatchObject({
+      qualityScore: 1,
+      previousActiveStories: 20,
+      activeStories: 10,
+      activeStoryDrop: 0.5,
+      maxActiveStoryDrop: 0.3,
+      passed: false
+    });
+
+    expect(validateResults({ stories }, { ...dataExtraction, maxActiveStoryDrop: 0.6 }, { previousStories }).passed).toBe(true);
+    expect(validateResults({ stories: buildStories(18) }, dataExtraction, { previousStories }).passed).toBe(true);
+  });
+});